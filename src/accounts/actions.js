@@ -0,0 +1,246 @@
+/**
+ * Account Actions
+ *
+ * Changes to accounts shared by the `account` CLI commands and the admin
+ * API. Each takes an account ID or name, applies the change to
+ * accounts.json under the lock (see ./store.js) and resolves to the updated
+ * account. Problems are thrown as AccountError, whose `status` is the HTTP
+ * status the admin API answers with.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { updateAccountsFile, getAccountsData } from './store.js';
+import { refreshCredentials } from './refresh.js';
+
+export class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+/**
+ * Find an account by ID or name, or null
+ */
+export function findAccount(data, idOrName) {
+  return data.accounts[idOrName]
+    || Object.values(data.accounts).find(a => a.name === idOrName)
+    || null;
+}
+
+/**
+ * Name for a new account when none is given: the first "account-N" that no
+ * account uses
+ */
+export function defaultAccountName(data) {
+  const names = new Set(Object.values(data.accounts).map(a => a.name));
+
+  let n = Object.keys(data.accounts).length + 1;
+  while (names.has(`account-${n}`)) {
+    n++;
+  }
+  return `account-${n}`;
+}
+
+/**
+ * Check that a new account may be called `name` before logging it in
+ */
+export function checkNewAccountName(data, name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new AccountError('Name must be a non-empty string');
+  }
+
+  if (Object.values(data.accounts).some(a => a.name === name)) {
+    throw new AccountError(`An account named "${name}" already exists; log it in again explicitly to replace its credentials`, 409);
+  }
+}
+
+function toAccountCredentials(credentials) {
+  return {
+    accessToken: credentials.accessToken,
+    tokenType: credentials.tokenType,
+    refreshToken: credentials.refreshToken,
+    resourceUrl: credentials.resourceUrl,
+    expiryDate: credentials.expiryDate,
+    scope: credentials.scope,
+  };
+}
+
+/**
+ * Add an account with the credentials from a completed login
+ *
+ * The account is enabled, and becomes the default if there was none.
+ * Rejects with a 409 if the name was taken meanwhile, so a login never
+ * lands on another account. Resolves to the account.
+ */
+export async function addAccount(name, credentials) {
+  return updateAccountsFile((data) => {
+    checkNewAccountName(data, name);
+
+    const id = randomUUID();
+    data.accounts[id] = {
+      id,
+      name,
+      credentials: toAccountCredentials(credentials),
+      createdAt: Date.now(),
+      lastUsed: null,
+      requestCount: 0,
+      enabled: true,
+    };
+
+    if (!data.defaultAccountId) {
+      data.defaultAccountId = id;
+    }
+
+    return data.accounts[id];
+  });
+}
+
+/**
+ * Replace an existing account's credentials with those from a new login,
+ * clearing `loginRequired`
+ */
+export async function reloginAccount(idOrName, credentials) {
+  return updateAccount(idOrName, (account) => {
+    account.credentials = toAccountCredentials(credentials);
+    delete account.loginRequired;
+  });
+}
+
+// Apply `change(account, data)` to one account in accounts.json
+function updateAccount(idOrName, change) {
+  return updateAccountsFile((data) => {
+    const account = findAccount(data, idOrName);
+    if (!account) {
+      throw new AccountError(`Account not found: ${idOrName}`, 404);
+    }
+
+    change(account, data);
+    return account;
+  });
+}
+
+/**
+ * Remove an account; the next remaining account becomes the default if
+ * it was the default
+ */
+export async function removeAccount(idOrName) {
+  return updateAccount(idOrName, (account, data) => {
+    delete data.accounts[account.id];
+
+    if (data.defaultAccountId === account.id) {
+      const remaining = Object.keys(data.accounts);
+      data.defaultAccountId = remaining.length > 0 ? remaining[0] : null;
+    }
+  });
+}
+
+export async function setDefaultAccount(idOrName) {
+  return updateAccount(idOrName, (account, data) => {
+    data.defaultAccountId = account.id;
+  });
+}
+
+export async function setAccountEnabled(idOrName, enabled) {
+  return updateAccount(idOrName, (account) => {
+    account.enabled = enabled;
+  });
+}
+
+/**
+ * Rename an account; names must be unique, since commands accept them
+ */
+export async function renameAccount(idOrName, newName) {
+  if (typeof newName !== 'string' || !newName.trim()) {
+    throw new AccountError('Name must be a non-empty string');
+  }
+
+  return updateAccount(idOrName, (account, data) => {
+    const taken = Object.values(data.accounts).find(a => a.name === newName && a.id !== account.id);
+    if (taken) {
+      throw new AccountError(`Another account is already named "${newName}"`, 409);
+    }
+
+    account.name = newName;
+  });
+}
+
+export async function setAccountWeight(idOrName, weight) {
+  const value = Number(weight);
+  if (weight === null || weight === '' || !Number.isFinite(value) || value < 0) {
+    throw new AccountError(`Invalid weight: ${weight} (must be a number >= 0)`);
+  }
+
+  return updateAccount(idOrName, (account) => {
+    account.weight = value;
+  });
+}
+
+function checkTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag)) {
+    throw new AccountError('Tags must be a list of non-empty strings');
+  }
+}
+
+function applyTags(account, tags) {
+  if (tags.length > 0) {
+    account.tags = [...new Set(tags)];
+  } else {
+    delete account.tags;
+  }
+}
+
+/**
+ * Add (`add` true) or remove tags, which routing rules select accounts by
+ */
+export async function tagAccount(idOrName, tags, add) {
+  checkTags(tags);
+
+  return updateAccount(idOrName, (account) => {
+    const current = account.tags || [];
+    applyTags(account, add ? [...current, ...tags] : current.filter(tag => !tags.includes(tag)));
+  });
+}
+
+/**
+ * Replace an account's tags
+ */
+export async function setAccountTags(idOrName, tags) {
+  checkTags(tags);
+
+  return updateAccount(idOrName, (account) => {
+    applyTags(account, tags);
+  });
+}
+
+/**
+ * Refresh an account's token now, even if it has not expired
+ *
+ * Joins a refresh already in progress. Resolves to the updated account;
+ * rejects with the refresh error, after marking the account
+ * `loginRequired` if its refresh token was rejected. `log` receives the
+ * refresh's log lines.
+ */
+export async function refreshAccount(idOrName, { log } = {}) {
+  const account = findAccount(getAccountsData(), idOrName);
+  if (!account) {
+    throw new AccountError(`Account not found: ${idOrName}`, 404);
+  }
+
+  await refreshCredentials(account.id, { log });
+  return getAccountsData().accounts[account.id];
+}
+
+/**
+ * Copy an account without its access and refresh tokens
+ */
+export function redactAccount(account) {
+  const { accessToken, refreshToken, ...credentials } = account.credentials || {};
+
+  return {
+    ...account,
+    credentials: { ...credentials, hasRefreshToken: Boolean(refreshToken) },
+  };
+}
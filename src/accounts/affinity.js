@@ -0,0 +1,115 @@
+/**
+ * Session Affinity for Qwen Proxy
+ *
+ * Pins a conversation to one account so consecutive turns reuse the
+ * upstream prompt cache. Pins live in memory and expire after a TTL
+ * that is extended on every use; past MAX_PINS the least recently used
+ * pins are dropped. Pins are scoped to the client API key, so one client
+ * cannot steer another's conversations.
+ */
+
+import { createHash } from 'node:crypto';
+
+// Number of leading messages hashed when no explicit key is given
+const LEADING_MESSAGES = 2;
+
+// Prune expired pins once the table grows past this size
+const PRUNE_THRESHOLD = 1000;
+// Most pins kept; beyond this the least recently used go first
+export const MAX_PINS = 10000;
+
+// Affinity key -> { accountId, expiresAt }, least recently used first
+const pins = new Map();
+
+/**
+ * Derive the affinity key for a request
+ *
+ * Uses the `x-session-id` header, then the OpenAI `user` field, then a
+ * hash of the leading messages, within the scope of `clientKey` (the
+ * request's API key record, or null). Returns null when none are
+ * available.
+ */
+export function getAffinityKey(headers, requestBody, clientKey = null) {
+  const scope = clientKey?.id || 'anonymous';
+
+  const sessionId = headers['x-session-id'];
+  if (sessionId) {
+    return `${scope}:session:${sessionId}`;
+  }
+
+  if (typeof requestBody.user === 'string' && requestBody.user) {
+    return `${scope}:user:${requestBody.user}`;
+  }
+
+  const messages = Array.isArray(requestBody.messages) ? requestBody.messages : [];
+  if (messages.length === 0) {
+    return null;
+  }
+
+  const leading = messages
+    .slice(0, LEADING_MESSAGES)
+    .map(m => [m.role, m.content]);
+
+  const hash = createHash('sha256')
+    .update(JSON.stringify(leading))
+    .digest('hex')
+    .slice(0, 32);
+
+  return `${scope}:messages:${hash}`;
+}
+
+/**
+ * Get the account a key is pinned to, or null if none or expired
+ */
+export function getPinnedAccountId(key) {
+  const pin = pins.get(key);
+  if (!pin) return null;
+
+  pins.delete(key);
+  if (pin.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  // Re-inserting moves the pin to the most recently used end
+  pins.set(key, pin);
+  return pin.accountId;
+}
+
+/**
+ * Pin a key to an account for `ttlMs`
+ */
+export function pinAccount(key, accountId, ttlMs) {
+  pins.delete(key);
+
+  if (pins.size >= PRUNE_THRESHOLD) {
+    pruneExpiredPins();
+  }
+
+  // Maps iterate in insertion order, so the first pins are the least recently used
+  for (const oldest of pins.keys()) {
+    if (pins.size < MAX_PINS) break;
+    pins.delete(oldest);
+  }
+
+  pins.set(key, { accountId, expiresAt: Date.now() + ttlMs });
+}
+
+/**
+ * Remove expired pins
+ */
+export function pruneExpiredPins() {
+  const now = Date.now();
+  for (const [key, pin] of pins) {
+    if (pin.expiresAt <= now) {
+      pins.delete(key);
+    }
+  }
+}
+
+/**
+ * Number of active pins
+ */
+export function getPinCount() {
+  pruneExpiredPins();
+  return pins.size;
+}
@@ -0,0 +1,159 @@
+/**
+ * Server-Side Login
+ *
+ * Runs the OAuth device flow inside the server, for hosts without a
+ * browser. `startLogin()` returns the verification URL and user code to
+ * open on another device; the flow keeps polling in the background and
+ * saves the account once the user approves. A login either adds a new
+ * account or, when asked for explicitly, replaces an existing account's
+ * credentials. Sessions are kept in memory and can be polled with
+ * `getLogin()` until they finish.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { performDeviceAuthFlow } from '../auth/oauth.js';
+import { getAccountsData } from './store.js';
+import {
+  AccountError,
+  findAccount,
+  addAccount,
+  reloginAccount,
+  checkNewAccountName,
+  defaultAccountName,
+} from './actions.js';
+import { createLogger } from '../logging/logger.js';
+
+// How long the device flow polls before giving up
+const LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+// Forget finished sessions after this long
+const SESSION_TTL_MS = 15 * 60 * 1000;
+
+const logger = createLogger({ component: 'login' });
+
+// Session ID -> session; see `describeSession()` for the fields
+const sessions = new Map();
+
+function pruneSessions(now) {
+  for (const [id, session] of sessions) {
+    if (session.status !== 'pending' && now - session.finishedAt >= SESSION_TTL_MS) {
+      sessions.delete(id);
+    }
+  }
+}
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    relogin: session.relogin,
+    status: session.status,
+    verificationUrl: session.verificationUrl,
+    userCode: session.userCode,
+    startedAt: session.startedAt,
+    expiresAt: session.expiresAt,
+    finishedAt: session.finishedAt,
+    accountId: session.accountId,
+    error: session.error,
+  };
+}
+
+// Work out which account a login is for, before the device flow starts
+function resolveTarget({ name, relogin }) {
+  const data = getAccountsData();
+
+  if (relogin) {
+    const account = findAccount(data, relogin);
+    if (!account) {
+      throw new AccountError(`Account not found: ${relogin}`, 404);
+    }
+    return { name: account.name, accountId: account.id };
+  }
+
+  const accountName = name || defaultAccountName(data);
+  checkNewAccountName(data, accountName);
+
+  const pending = [...sessions.values()]
+    .some(s => s.status === 'pending' && !s.relogin && s.name === accountName);
+  if (pending) {
+    throw new AccountError(`A login for a new account named "${accountName}" is already in progress`, 409);
+  }
+
+  return { name: accountName, accountId: null };
+}
+
+/**
+ * Start a login, for a new account named `name` (or "account-N"), or with
+ * `relogin` for the existing account with that ID or name
+ *
+ * Resolves once the device code has been issued, to the session:
+ * { id, name, status: 'pending', verificationUrl, userCode, expiresAt, ... }.
+ * Rejects with an AccountError if the name is taken or the account to log
+ * in again does not exist, or with the error of a failed device code
+ * request.
+ */
+export async function startLogin({ name, relogin } = {}) {
+  const now = Date.now();
+  pruneSessions(now);
+
+  const target = resolveTarget({ name, relogin });
+  const session = {
+    id: randomUUID(),
+    name: target.name,
+    relogin: Boolean(target.accountId),
+    status: 'pending',
+    verificationUrl: null,
+    userCode: null,
+    startedAt: now,
+    expiresAt: null,
+    finishedAt: null,
+    accountId: target.accountId,
+    error: null,
+  };
+
+  return new Promise((resolve, reject) => {
+    const flow = performDeviceAuthFlow((url, userCode) => {
+      session.verificationUrl = url;
+      session.userCode = userCode;
+      session.expiresAt = Date.now() + LOGIN_TIMEOUT_MS;
+      sessions.set(session.id, session);
+
+      logger.info('Login started', { login: session.id, account: session.name });
+      resolve(describeSession(session));
+    }, undefined, LOGIN_TIMEOUT_MS);
+
+    flow.then(async (credentials) => {
+      const account = session.relogin
+        ? await reloginAccount(session.accountId, credentials)
+        : await addAccount(session.name, credentials);
+      session.status = 'complete';
+      session.accountId = account.id;
+      logger.info('Login complete', { login: session.id, account: account.name });
+    }).catch((e) => {
+      // Failed before the URL was issued: nothing to poll
+      if (!session.verificationUrl) {
+        reject(e);
+        return;
+      }
+
+      session.status = e.message === 'Device authorization timeout' ? 'expired' : 'failed';
+      session.error = e.message;
+      logger.warn('Login failed', { login: session.id, account: session.name, error: e.message });
+    }).finally(() => {
+      session.finishedAt = Date.now();
+    });
+  });
+}
+
+/**
+ * Get a login session by ID, or null if unknown or forgotten
+ *
+ * `status` is 'pending' until the user approves ('complete', with
+ * `accountId` set), the code expires ('expired') or the flow fails
+ * ('failed', with `error` set). A re-login has `accountId` from the start.
+ */
+export function getLogin(id) {
+  pruneSessions(Date.now());
+  const session = sessions.get(id);
+  return session ? describeSession(session) : null;
+}
@@ -4,19 +4,13 @@
  * Manages multiple Qwen OAuth accounts with load balancing
  */
 
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
-
 import {
-  refreshAccessToken,
   isCredentialsExpired,
   OAUTH_CONFIG,
 } from '../auth/oauth.js';
-
-// Paths
-const QWEN_PROXY_DIR = join(homedir(), '.qwen-proxy');
-const ACCOUNTS_FILE = join(QWEN_PROXY_DIR, 'accounts.json');
+import { getStrategy } from './strategies.js';
+import { getAccountsData, scheduleSave } from './store.js';
+import { refreshAccountToken } from './refresh.js';
 
 // API Configuration
 const API_CONFIG = {
@@ -34,48 +28,27 @@ const DASHSCOPE_HEADERS = {
 
 const USER_AGENT = 'qwen-proxy/1.2.0';
 
-// Round-robin state
-let lastAccountIndex = -1;
+// Cooldown configuration for unhealthy accounts
+const HEALTH_CONFIG = {
+  rateLimitCooldownMs: 60 * 1000,
+  authCooldownMs: 5 * 60 * 1000,
+  serverErrorCooldownMs: 30 * 1000,
+  maxCooldownMs: 15 * 60 * 1000,
+  // Transient errors only trigger a cooldown after this many in a row
+  serverErrorThreshold: 3,
+};
 
-/**
- * Ensure the .qwen-proxy directory exists
- */
-function ensureDir() {
-  if (!existsSync(QWEN_PROXY_DIR)) {
-    mkdirSync(QWEN_PROXY_DIR, { recursive: true, mode: 0o700 });
-  }
-}
+// Active upstream requests per account (in memory only)
+const inFlightCounts = new Map();
 
 /**
- * Load accounts from file
+ * Get accounts data
+ *
+ * Returns the in-memory store, which stays in sync with accounts.json (see
+ * ./store.js). Changes made by the functions below are persisted for you.
  */
 export function loadAccounts() {
-  ensureDir();
-  
-  if (!existsSync(ACCOUNTS_FILE)) {
-    return { accounts: {}, defaultAccountId: null };
-  }
-
-  try {
-    const data = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'));
-    
-    // Validate structure
-    if (!data.accounts || typeof data.accounts !== 'object') {
-      return { accounts: {}, defaultAccountId: null };
-    }
-
-    return data;
-  } catch {
-    return { accounts: {}, defaultAccountId: null };
-  }
-}
-
-/**
- * Save accounts to file
- */
-export function saveAccounts(data) {
-  ensureDir();
-  writeFileSync(ACCOUNTS_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+  return getAccountsData();
 }
 
 /**
@@ -110,90 +83,283 @@ export function getEnabledAccounts() {
 
 /**
  * Get account for request (with load balancing)
+ *
+ * Accounts whose IDs are in `exclude` are skipped, so callers can fail
+ * over to the next account after an upstream error. Accounts that are
+ * cooling down after rate limits or repeated failures, or that need to
+ * log in again, are skipped too.
+ * Unknown strategy names fall back to `default`.
+ *
+ * When `preferredAccountId` names an available account it is returned
+ * without consulting the strategy (used for session affinity). With
+ * `accountIds`, only those accounts are considered (used for routing rules).
  */
-export function getAccountForRequest(strategy = 'default') {
-  const enabledAccounts = getEnabledAccounts();
+export function getAccountForRequest(strategy = 'default', exclude = [], { preferredAccountId, accountIds } = {}) {
+  const data = loadAccounts();
+  const excluded = new Set(exclude);
+  const allowed = accountIds ? new Set(accountIds) : null;
+  const availableAccounts = Object.values(data.accounts)
+    .filter(a => a.enabled && !a.loginRequired && !excluded.has(a.id) && !isAccountCoolingDown(a))
+    .filter(a => !allowed || allowed.has(a.id));
 
-  if (enabledAccounts.length === 0) {
+  if (availableAccounts.length === 0) {
     return null;
   }
 
-  if (strategy === 'round-robin' && enabledAccounts.length > 1) {
-    // Round-robin: cycle through accounts
-    lastAccountIndex = (lastAccountIndex + 1) % enabledAccounts.length;
-    return enabledAccounts[lastAccountIndex];
+  const preferred = preferredAccountId && availableAccounts.find(a => a.id === preferredAccountId);
+  if (preferred) {
+    return preferred;
   }
 
-  // Default strategy: use default account or first enabled
-  return getDefaultAccount();
+  const select = getStrategy(strategy) || getStrategy('default');
+
+  return select(availableAccounts, {
+    defaultAccountId: data.defaultAccountId,
+    getInFlight: getInFlightCount,
+  }) || null;
+}
+
+/**
+ * Mark a request as in flight on an account
+ *
+ * Returns a release function; calling it more than once is harmless.
+ */
+export function beginAccountRequest(accountId) {
+  inFlightCounts.set(accountId, getInFlightCount(accountId) + 1);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    const count = getInFlightCount(accountId) - 1;
+    if (count > 0) {
+      inFlightCounts.set(accountId, count);
+    } else {
+      inFlightCounts.delete(accountId);
+    }
+  };
+}
+
+/**
+ * Get the number of requests in flight on an account
+ */
+export function getInFlightCount(accountId) {
+  return inFlightCounts.get(accountId) || 0;
 }
 
 /**
  * Get valid credentials (with auto-refresh)
+ *
+ * Tokens are normally refreshed in the background before they expire; an
+ * expired token is refreshed here, sharing any refresh already running.
  */
 export async function getValidCredentials(accountId) {
   const data = loadAccounts();
   const account = data.accounts[accountId];
 
-  if (!account || !account.enabled) {
+  if (!account || !account.enabled || account.loginRequired) {
     return null;
   }
 
-  // Check if token needs refresh
-  if (isCredentialsExpired(account.credentials)) {
-    if (!account.credentials.refreshToken) {
-      console.error(`Account ${account.name} token expired and no refresh token available`);
-      return null;
-    }
+  let credentials = account.credentials;
+  if (isCredentialsExpired(credentials)) {
+    credentials = await refreshAccountToken(accountId);
 
-    try {
-      console.log(`Refreshing token for account ${account.name}...`);
-      const newCredentials = await refreshAccessToken(account.credentials.refreshToken);
-
-      // Update stored credentials
-      data.accounts[accountId].credentials = {
-        accessToken: newCredentials.accessToken,
-        tokenType: newCredentials.tokenType,
-        refreshToken: newCredentials.refreshToken || account.credentials.refreshToken,
-        resourceUrl: newCredentials.resourceUrl,
-        expiryDate: newCredentials.expiryDate,
-        scope: newCredentials.scope,
-      };
-
-      saveAccounts(data);
-      console.log(`Token refreshed for account ${account.name}`);
-
-      return {
-        accessToken: newCredentials.accessToken,
-        tokenType: newCredentials.tokenType,
-        resourceUrl: newCredentials.resourceUrl,
-      };
-    } catch (error) {
-      console.error(`Failed to refresh token for account ${account.name}:`, error);
+    if (!credentials) {
       return null;
     }
   }
 
   return {
-    accessToken: account.credentials.accessToken,
-    tokenType: account.credentials.tokenType,
-    resourceUrl: account.credentials.resourceUrl,
+    accessToken: credentials.accessToken,
+    tokenType: credentials.tokenType,
+    resourceUrl: credentials.resourceUrl,
   };
 }
 
 /**
  * Update account stats after successful request
+ *
+ * A success also clears any failure streak and cooldown.
  */
 export function updateAccountStats(accountId) {
   const data = loadAccounts();
   
   if (data.accounts[accountId]) {
-    data.accounts[accountId].lastUsed = Date.now();
-    data.accounts[accountId].requestCount++;
-    saveAccounts(data);
+    const account = data.accounts[accountId];
+    account.lastUsed = Date.now();
+    account.requestCount++;
+
+    if (account.health) {
+      account.health.consecutiveFailures = 0;
+      account.health.cooldownUntil = null;
+    }
+
+    scheduleSave();
   }
 }
 
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Check whether an upstream error body reports an exhausted quota
+ *
+ * Qwen portal answers with `insufficient_quota`, DashScope with
+ * `Throttling.AllocationQuota` or a "quota exceeded" message.
+ */
+export function isQuotaExceededError(body) {
+  if (!body) return false;
+
+  let error;
+  try {
+    error = JSON.parse(body).error;
+  } catch {
+    return /quota/i.test(body);
+  }
+
+  if (!error) return false;
+  if (typeof error === 'string') return /quota/i.test(error);
+
+  return [error.code, error.type, error.message]
+    .some(field => typeof field === 'string' && /quota/i.test(field));
+}
+
+// Start of the next UTC day, when daily quotas reset
+function nextQuotaReset(now) {
+  const reset = new Date(now);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.getTime();
+}
+
+/**
+ * Work out how long an account should cool down after a failure
+ */
+function computeCooldownUntil(failure, consecutiveFailures, now) {
+  const { status, retryAfter, body } = failure;
+  const backoff = (baseMs) => Math.min(
+    baseMs * 2 ** Math.max(0, consecutiveFailures - 1),
+    HEALTH_CONFIG.maxCooldownMs,
+  );
+
+  if (status === 429) {
+    if (isQuotaExceededError(body)) {
+      return nextQuotaReset(now);
+    }
+
+    const retryAfterMs = parseRetryAfter(retryAfter);
+    if (retryAfterMs !== null) {
+      return now + retryAfterMs;
+    }
+
+    return now + backoff(HEALTH_CONFIG.rateLimitCooldownMs);
+  }
+
+  if (status === 401 || status === 403) {
+    return now + HEALTH_CONFIG.authCooldownMs;
+  }
+
+  // Server errors and network failures
+  if (consecutiveFailures >= HEALTH_CONFIG.serverErrorThreshold) {
+    return now + backoff(HEALTH_CONFIG.serverErrorCooldownMs);
+  }
+
+  return null;
+}
+
+/**
+ * Record a failed upstream request against an account
+ *
+ * `failure` holds the upstream `status` (omitted for network errors),
+ * the raw `retryAfter` header, the response `body` and/or a `message`.
+ */
+export function recordAccountFailure(accountId, failure) {
+  const data = loadAccounts();
+  const account = data.accounts[accountId];
+
+  if (!account) return null;
+
+  const now = Date.now();
+  const health = account.health || {};
+  const consecutiveFailures = (health.consecutiveFailures || 0) + 1;
+  const message = failure.message || failure.body || `HTTP ${failure.status}`;
+
+  account.health = {
+    lastError: {
+      status: failure.status ?? null,
+      message: String(message).slice(0, 500),
+      at: now,
+    },
+    consecutiveFailures,
+    cooldownUntil: computeCooldownUntil(failure, consecutiveFailures, now)
+      ?? health.cooldownUntil
+      ?? null,
+  };
+
+  scheduleSave();
+  return account.health;
+}
+
+/**
+ * Check if account is cooling down after rate limits or failures
+ */
+export function isAccountCoolingDown(account) {
+  const cooldownUntil = account?.health?.cooldownUntil;
+  return Boolean(cooldownUntil && cooldownUntil > Date.now());
+}
+
+/**
+ * Summarize account health for status output
+ */
+export function getAccountHealth(account) {
+  const health = account?.health || {};
+  const coolingDown = isAccountCoolingDown(account);
+
+  let state = 'healthy';
+  if (account?.loginRequired) {
+    state = 'login-required';
+  } else if (coolingDown) {
+    state = 'cooldown';
+  } else if (health.consecutiveFailures > 0) {
+    state = 'degraded';
+  }
+
+  return {
+    state,
+    consecutiveFailures: health.consecutiveFailures || 0,
+    cooldownUntil: coolingDown ? health.cooldownUntil : null,
+    lastError: health.lastError || null,
+    loginRequired: account?.loginRequired || null,
+  };
+}
+
+/**
+ * Get the earliest time a cooling-down account becomes available again,
+ * optionally among `accountIds` only
+ */
+export function getNextAvailableTime(accountIds) {
+  const cooldowns = getEnabledAccounts()
+    .filter(a => !accountIds || accountIds.includes(a.id))
+    .filter(isAccountCoolingDown)
+    .map(a => a.health.cooldownUntil);
+
+  return cooldowns.length > 0 ? Math.min(...cooldowns) : null;
+}
+
 /**
  * Resolve base URL from resource_url
  */
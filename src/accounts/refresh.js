@@ -0,0 +1,154 @@
+/**
+ * Token Refresh
+ *
+ * Refreshes OAuth tokens for the server. Concurrent refreshes of an account
+ * share one request, because a refresh token may only be good for one use.
+ * A background check refreshes tokens ahead of expiry, so requests rarely
+ * wait on the OAuth endpoint.
+ *
+ * When the token endpoint rejects a refresh token, the account is marked
+ * `loginRequired` and skipped until it logs in again.
+ *
+ * How far ahead of expiry tokens are refreshed is the
+ * `auth.tokenRefreshAheadMs` setting.
+ */
+
+import { refreshAccessToken, TokenRefreshError } from '../auth/oauth.js';
+import { getAccountsData, saveNow, scheduleSave } from './store.js';
+import { tokenRefreshes } from '../metrics/proxy.js';
+import { createLogger } from '../logging/logger.js';
+import { getConfig } from '../config/store.js';
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+const logger = createLogger({ component: 'accounts' });
+
+// Refreshes in progress: account ID -> Promise
+const refreshes = new Map();
+
+// Write accounts.json now; if that fails, leave it to the retrying background save
+function persist(log) {
+  return saveNow().catch((e) => {
+    log.error('Failed to save accounts.json', { error: e.message });
+    scheduleSave();
+  });
+}
+
+function markLoginRequired(accountId, message, log) {
+  const account = getAccountsData().accounts[accountId];
+  if (!account) return;
+
+  account.loginRequired = { message: String(message).slice(0, 500), at: Date.now() };
+  persist(log);
+
+  log.warn('Account needs to log in again', { account: account.name, reason: account.loginRequired.message });
+}
+
+async function runRefresh(accountId, log) {
+  const account = getAccountsData().accounts[accountId];
+  if (!account) {
+    throw new Error(`Account not found: ${accountId}`);
+  }
+
+  const { refreshToken } = account.credentials;
+  if (!refreshToken) {
+    log.error('Token expired and no refresh token available', { account: account.name });
+    markLoginRequired(accountId, 'No refresh token available', log);
+    throw new Error(`Account "${account.name}" has no refresh token; log in again`);
+  }
+
+  try {
+    log.info('Refreshing token', { account: account.name });
+    const newCredentials = await refreshAccessToken(refreshToken);
+
+    // Look the account up again: the store may have reloaded meanwhile
+    const current = getAccountsData().accounts[accountId];
+    if (!current) {
+      throw new Error(`Account removed during refresh: ${account.name}`);
+    }
+
+    current.credentials = {
+      accessToken: newCredentials.accessToken,
+      tokenType: newCredentials.tokenType,
+      refreshToken: newCredentials.refreshToken || refreshToken,
+      resourceUrl: newCredentials.resourceUrl,
+      expiryDate: newCredentials.expiryDate,
+      scope: newCredentials.scope,
+    };
+    delete current.loginRequired;
+
+    // The old refresh token may be spent, so persist right away
+    await persist(log);
+    tokenRefreshes.inc({ result: 'success' });
+    log.info('Token refreshed', { account: current.name, expiryDate: new Date(newCredentials.expiryDate).toISOString() });
+
+    return current.credentials;
+  } catch (error) {
+    tokenRefreshes.inc({ result: 'failure' });
+    log.error('Failed to refresh token', { account: account.name, error: error.message });
+
+    // Network errors and 5xx are retried; a rejected token never recovers
+    if (error instanceof TokenRefreshError && error.isRejected) {
+      markLoginRequired(accountId, error.message, log);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Refresh an account's token, joining a refresh already in progress
+ *
+ * Resolves to the new credentials and rejects if the refresh fails. The
+ * refresh that starts the request logs to `log`.
+ */
+export function refreshCredentials(accountId, { log = logger } = {}) {
+  let refresh = refreshes.get(accountId);
+
+  if (!refresh) {
+    refresh = runRefresh(accountId, log).finally(() => refreshes.delete(accountId));
+    refreshes.set(accountId, refresh);
+  }
+
+  return refresh;
+}
+
+/**
+ * Refresh an account's token, joining a refresh already in progress
+ *
+ * Resolves to the new credentials, or null if the refresh failed.
+ */
+export function refreshAccountToken(accountId) {
+  return refreshCredentials(accountId).catch(() => null);
+}
+
+// Whether an account's token should be refreshed in the background now
+function isDueForRefresh(account, now) {
+  const { refreshToken, expiryDate } = account.credentials || {};
+
+  return account.enabled
+    && !account.loginRequired
+    && Boolean(refreshToken && expiryDate)
+    && expiryDate - now <= getConfig().auth.tokenRefreshAheadMs;
+}
+
+/**
+ * Refresh tokens in the background before they expire
+ *
+ * Checks every account now and then every 30 seconds; failed refreshes
+ * are retried on the next check unless the account needs to log in again.
+ */
+export function startTokenRefresher() {
+  const check = () => {
+    const now = Date.now();
+
+    for (const account of Object.values(getAccountsData().accounts)) {
+      if (isDueForRefresh(account, now)) {
+        refreshAccountToken(account.id);
+      }
+    }
+  };
+
+  check();
+  setInterval(check, CHECK_INTERVAL_MS).unref();
+}
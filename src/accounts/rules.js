@@ -0,0 +1,104 @@
+/**
+ * Routing Rules
+ *
+ * Rules in the `routing.rules` setting decide which accounts may serve a
+ * request before the routing strategy picks one of them. A rule has one or
+ * more conditions, all of which must match:
+ *
+ *   model  - Requested model, after alias resolution
+ *   key    - Name or ID of the client's API key
+ *   header - Value of the request's x-qwen-account header
+ *
+ * and a target:
+ *
+ *   account - Account ID or name
+ *   tag     - Every account with this tag
+ *
+ * Conditions may use `*` as a wildcard. The first matching rule wins;
+ * requests that match no rule may use any account. A rule with a `header`
+ * condition but no target uses the header's value as the account or tag,
+ * so `{ "header": "*" }` lets clients pick any account by name or tag.
+ */
+
+import { loadAccounts } from './manager.js';
+import { getConfig } from '../config/store.js';
+
+export const ACCOUNT_HEADER = 'x-qwen-account';
+
+// Match `value` against a pattern in which `*` stands for any text
+function matchesPattern(pattern, value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(value);
+}
+
+function matchesRule(rule, { model, clientKey, accountHeader }) {
+  if (rule.model !== undefined && !matchesPattern(rule.model, model)) {
+    return false;
+  }
+
+  if (rule.key !== undefined && !(clientKey && (matchesPattern(rule.key, clientKey.name) || rule.key === clientKey.id))) {
+    return false;
+  }
+
+  if (rule.header !== undefined && !matchesPattern(rule.header, accountHeader)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Describe a rule in one line, e.g. `model vision-model -> tag "vision"`
+ */
+export function describeRule(rule) {
+  const conditions = ['model', 'key', 'header']
+    .filter(field => rule[field] !== undefined)
+    .map(field => `${field} ${rule[field]}`)
+    .join(' and ');
+
+  let target = `the account or tag named in ${ACCOUNT_HEADER}`;
+  if (rule.account !== undefined) {
+    target = `account "${rule.account}"`;
+  } else if (rule.tag !== undefined) {
+    target = `tag "${rule.tag}"`;
+  }
+
+  return `${conditions} -> ${target}`;
+}
+
+/**
+ * Find the accounts a request may use
+ *
+ * `request` is { model, clientKey, accountHeader }. Returns null when no
+ * rule matches, or { index, rule, accountIds, fromHeader } for the first
+ * rule that does; `accountIds` lists the enabled accounts it selects
+ * (possibly none) and `fromHeader` is true when the header named them.
+ */
+export function resolveRoute(request) {
+  const { rules } = getConfig().routing;
+  const index = rules.findIndex(rule => matchesRule(rule, request));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const rule = rules[index];
+  const fromHeader = rule.account === undefined && rule.tag === undefined;
+  const accounts = Object.values(loadAccounts().accounts).filter(a => a.enabled && !a.loginRequired);
+
+  let selected;
+  if (fromHeader) {
+    const name = request.accountHeader;
+    selected = accounts.filter(a => a.id === name || a.name === name || a.tags?.includes(name));
+  } else if (rule.account !== undefined) {
+    selected = accounts.filter(a => a.id === rule.account || a.name === rule.account);
+  } else {
+    selected = accounts.filter(a => a.tags?.includes(rule.tag));
+  }
+
+  return { index, rule, accountIds: selected.map(a => a.id), fromHeader };
+}
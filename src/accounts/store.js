@@ -0,0 +1,366 @@
+/**
+ * Account Store
+ *
+ * Keeps accounts.json in memory for the server and persists it safely:
+ *
+ * - Writes go to a temp file that is renamed over accounts.json, so readers
+ *   never see a partial file.
+ * - Read-modify-write cycles hold accounts.json.lock, which the CLI takes
+ *   too, so neither side overwrites the other's changes. Waiting for the
+ *   lock never blocks the event loop.
+ * - The server watches the file and merges in CLI edits.
+ *
+ * accounts.json is authoritative for what users edit (accounts, names,
+ * enabled, weight, default account); memory is authoritative for runtime
+ * state (usage stats and health). Of two sets of credentials the one that
+ * expires later wins, so a refresh on either side is never lost; the
+ * `loginRequired` mark goes with the credentials it was made for.
+ */
+
+import {
+  existsSync,
+  readFileSync,
+  writeFileSync,
+  renameSync,
+  unlinkSync,
+  mkdirSync,
+  openSync,
+  writeSync,
+  closeSync,
+  statSync,
+  linkSync,
+  watchFile,
+} from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { randomBytes } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { createLogger } from '../logging/logger.js';
+
+// Paths
+const QWEN_PROXY_DIR = join(homedir(), '.qwen-proxy');
+export const ACCOUNTS_FILE = join(QWEN_PROXY_DIR, 'accounts.json');
+const LOCK_FILE = `${ACCOUNTS_FILE}.lock`;
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+// A lock older than this is assumed to be left over from a crash
+const LOCK_STALE_MS = 10000;
+
+// Delay before runtime changes (stats, health) are written
+const SAVE_DEBOUNCE_MS = 1000;
+// Delay before trying again after a failed save
+const SAVE_RETRY_MS = 10 * 1000;
+const WATCH_INTERVAL_MS = 1000;
+
+const logger = createLogger({ component: 'accounts' });
+
+// In-memory state (server only)
+let memory = null;
+let saveTimer = null;
+// Lock holders in this process queue here rather than poll for the file
+let lockQueue = Promise.resolve();
+// mtime of the accounts.json version memory was last synced with
+let syncedMtime = 0;
+
+function ensureDir() {
+  if (!existsSync(QWEN_PROXY_DIR)) {
+    mkdirSync(QWEN_PROXY_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+function emptyData() {
+  return { accounts: {}, defaultAccountId: null };
+}
+
+function getMtime() {
+  return existsSync(ACCOUNTS_FILE) ? statSync(ACCOUNTS_FILE).mtimeMs : 0;
+}
+
+/**
+ * Read accounts.json from disk
+ */
+export function readAccountsFile() {
+  ensureDir();
+
+  if (!existsSync(ACCOUNTS_FILE)) {
+    return emptyData();
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'));
+
+    // Validate structure
+    if (!data.accounts || typeof data.accounts !== 'object') {
+      return emptyData();
+    }
+
+    return data;
+  } catch {
+    return emptyData();
+  }
+}
+
+// Write via a temp file and rename, which is atomic on the same filesystem
+function writeAccountsFile(data) {
+  ensureDir();
+
+  const tempFile = `${ACCOUNTS_FILE}.${process.pid}.tmp`;
+  writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+  renameSync(tempFile, ACCOUNTS_FILE);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// The lock file's inode if it is left over from a crash, or null
+function getStaleLockInode() {
+  try {
+    const { ino, mtimeMs } = statSync(LOCK_FILE);
+    const pid = parseInt(readFileSync(LOCK_FILE, 'utf-8'), 10);
+    if ((pid && !isProcessAlive(pid)) || Date.now() - mtimeMs > LOCK_STALE_MS) {
+      return ino;
+    }
+    return null;
+  } catch {
+    // Released while we looked
+    return null;
+  }
+}
+
+/**
+ * Move a stale lock out of the way
+ *
+ * Renaming is atomic, so of several processes that saw the same stale lock
+ * only one moves it. If what got moved is not the lock that was judged
+ * stale, another process took the lock meanwhile, and it is put back.
+ */
+function removeStaleLock(staleInode) {
+  const moved = `${LOCK_FILE}.${process.pid}.${randomBytes(4).toString('hex')}.stale`;
+
+  try {
+    renameSync(LOCK_FILE, moved);
+  } catch {
+    // Another process moved or released it first
+    return;
+  }
+
+  if (statSync(moved).ino !== staleInode) {
+    try {
+      // Unlike rename, link fails rather than replace a lock taken since
+      linkSync(moved, LOCK_FILE);
+    } catch {
+      // Someone else holds it now either way
+    }
+  }
+
+  unlinkSync(moved);
+}
+
+// Resolves to the inode of the lock file created for us
+async function acquireLock() {
+  ensureDir();
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      const fd = openSync(LOCK_FILE, 'wx', 0o600);
+      try {
+        writeSync(fd, String(process.pid));
+      } finally {
+        closeSync(fd);
+      }
+      return statSync(LOCK_FILE).ino;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    const staleInode = getStaleLockInode();
+    if (staleInode !== null) {
+      removeStaleLock(staleInode);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${LOCK_FILE}; remove it if no qwen-proxy process is running`);
+    }
+
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+// Remove the lock, unless it was taken over as stale and is someone else's now
+function releaseLock(inode) {
+  try {
+    if (statSync(LOCK_FILE).ino === inode) {
+      unlinkSync(LOCK_FILE);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Run `fn` while holding the accounts lock
+ *
+ * Resolves to what `fn` returns. Rejects if the lock cannot be had within
+ * 5 seconds or `fn` throws.
+ */
+export function withAccountsLock(fn) {
+  const run = lockQueue.then(async () => {
+    const inode = await acquireLock();
+    try {
+      return await fn();
+    } finally {
+      releaseLock(inode);
+    }
+  });
+
+  lockQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Re-read accounts.json, apply `mutator(data)` and write it back, all
+ * under the lock. Resolves to what the mutator returns; if it throws,
+ * nothing is written and the promise rejects.
+ *
+ * In the server, memory is updated too, so the change applies at once.
+ */
+export function updateAccountsFile(mutator) {
+  return withAccountsLock(() => {
+    const data = readAccountsFile();
+    const result = mutator(data);
+    writeAccountsFile(data);
+
+    if (memory) {
+      memory = mergeAccounts(data, memory);
+      syncedMtime = getMtime();
+    }
+
+    return result;
+  });
+}
+
+// Whether the file holds newer credentials than memory (e.g. after a CLI login)
+function hasNewerCredentials(fileAccount, runtime) {
+  if (!runtime.credentials) return true;
+  if (!fileAccount.credentials) return false;
+  return (fileAccount.credentials.expiryDate || 0) > (runtime.credentials.expiryDate || 0);
+}
+
+// Combine the file's accounts with the runtime state held in memory
+function mergeAccounts(fileData, memoryData) {
+  const merged = { ...fileData, accounts: {} };
+
+  for (const [id, fileAccount] of Object.entries(fileData.accounts)) {
+    const runtime = memoryData.accounts[id];
+
+    if (!runtime) {
+      merged.accounts[id] = fileAccount;
+      continue;
+    }
+
+    const account = {
+      ...fileAccount,
+      lastUsed: Math.max(fileAccount.lastUsed || 0, runtime.lastUsed || 0) || null,
+      requestCount: Math.max(fileAccount.requestCount || 0, runtime.requestCount || 0),
+      health: runtime.health ?? fileAccount.health,
+    };
+
+    const { credentials, loginRequired } = hasNewerCredentials(fileAccount, runtime) ? fileAccount : runtime;
+    account.credentials = credentials;
+    if (loginRequired) {
+      account.loginRequired = loginRequired;
+    } else {
+      delete account.loginRequired;
+    }
+
+    merged.accounts[id] = account;
+  }
+
+  return merged;
+}
+
+/**
+ * Get the in-memory accounts data, loading it on first use
+ *
+ * Callers may change accounts in place and then call `scheduleSave()` or
+ * `saveNow()`.
+ */
+export function getAccountsData() {
+  if (!memory) {
+    memory = readAccountsFile();
+    syncedMtime = getMtime();
+  }
+  return memory;
+}
+
+/**
+ * Write memory to accounts.json now, merged with any changes on disk
+ *
+ * Rejects if the lock cannot be had or the write fails; memory keeps the
+ * changes either way.
+ */
+export async function saveNow() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  if (!memory) return;
+
+  await withAccountsLock(() => {
+    memory = mergeAccounts(readAccountsFile(), memory);
+    writeAccountsFile(memory);
+    syncedMtime = getMtime();
+  });
+}
+
+function scheduleSaveIn(delayMs) {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveNow().catch((e) => {
+      logger.error('Failed to save accounts.json, will retry', { error: e.message, retryInMs: SAVE_RETRY_MS });
+      scheduleSaveIn(SAVE_RETRY_MS);
+    });
+  }, delayMs);
+  saveTimer.unref();
+}
+
+/**
+ * Write memory to accounts.json after a short delay, batching changes
+ *
+ * Failed saves are logged and retried.
+ */
+export function scheduleSave() {
+  scheduleSaveIn(SAVE_DEBOUNCE_MS);
+}
+
+/**
+ * Merge accounts.json into memory whenever another process changes it
+ *
+ * `onReload(data)` is called after each merge.
+ */
+export function watchAccountsFile(onReload = () => {}) {
+  getAccountsData();
+
+  watchFile(ACCOUNTS_FILE, { interval: WATCH_INTERVAL_MS }, (current) => {
+    if (current.mtimeMs === syncedMtime) {
+      return;
+    }
+
+    memory = mergeAccounts(readAccountsFile(), memory);
+    syncedMtime = current.mtimeMs;
+    onReload(memory);
+  }).unref();
+}
@@ -0,0 +1,102 @@
+/**
+ * Routing Strategies for Qwen Proxy
+ *
+ * A strategy picks one account out of those available for a request.
+ * It is called as `select(accounts, context)` where `accounts` is a
+ * non-empty list of enabled, healthy accounts and `context` provides:
+ *   - defaultAccountId: ID of the configured default account
+ *   - getInFlight(accountId): number of requests currently in flight
+ */
+
+const strategies = new Map();
+
+// Round-robin state
+let lastAccountIndex = -1;
+
+// Smooth weighted round-robin state (account ID -> current weight)
+const currentWeights = new Map();
+
+/**
+ * Register a routing strategy
+ */
+export function registerStrategy(name, select) {
+  if (typeof select !== 'function') {
+    throw new TypeError(`Strategy "${name}" must be a function`);
+  }
+  strategies.set(name, select);
+}
+
+/**
+ * Get a routing strategy by name
+ */
+export function getStrategy(name) {
+  return strategies.get(name) || null;
+}
+
+/**
+ * List registered strategy names
+ */
+export function listStrategies() {
+  return [...strategies.keys()];
+}
+
+/**
+ * Get the routing weight of an account (defaults to 1)
+ */
+export function getAccountWeight(account) {
+  const weight = Number(account.weight ?? 1);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+// Pick the first account in comparator order (stable, so ties keep list order)
+function pickFirst(accounts, compare) {
+  return [...accounts].sort(compare)[0];
+}
+
+// Default: use default account or first available
+registerStrategy('default', (accounts, { defaultAccountId }) => {
+  return accounts.find(a => a.id === defaultAccountId) || accounts[0];
+});
+
+// Round-robin: cycle through accounts
+registerStrategy('round-robin', (accounts) => {
+  lastAccountIndex = (lastAccountIndex + 1) % accounts.length;
+  return accounts[lastAccountIndex];
+});
+
+// Least-used: fewest requests, then least recently used
+registerStrategy('least-used', (accounts) => {
+  return pickFirst(accounts, (a, b) =>
+    (a.requestCount || 0) - (b.requestCount || 0) || (a.lastUsed || 0) - (b.lastUsed || 0));
+});
+
+// Weighted: smooth weighted round-robin over the `weight` field
+registerStrategy('weighted', (accounts) => {
+  let total = 0;
+  let best = null;
+
+  for (const account of accounts) {
+    const weight = getAccountWeight(account);
+    const current = (currentWeights.get(account.id) || 0) + weight;
+    currentWeights.set(account.id, current);
+    total += weight;
+
+    if (!best || current > currentWeights.get(best.id)) {
+      best = account;
+    }
+  }
+
+  currentWeights.set(best.id, currentWeights.get(best.id) - total);
+  return best;
+});
+
+// Random: uniform pick
+registerStrategy('random', (accounts) => {
+  return accounts[Math.floor(Math.random() * accounts.length)];
+});
+
+// Least-in-flight: fewest active requests, then least used
+registerStrategy('least-in-flight', (accounts, { getInFlight }) => {
+  return pickFirst(accounts, (a, b) =>
+    getInFlight(a.id) - getInFlight(b.id) || (a.requestCount || 0) - (b.requestCount || 0));
+});
@@ -0,0 +1,100 @@
+/**
+ * Admin Token
+ *
+ * A single token, separate from client API keys, that unlocks the /admin
+ * API. Only a SHA-256 hash of it is stored, in ~/.qwen-proxy/admin.json;
+ * the plaintext is shown once when it is created. The admin API is off
+ * until a token exists.
+ */
+
+import { existsSync, readFileSync, writeFileSync, unlinkSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+
+import { hashKey } from './keys.js';
+
+// Paths
+const QWEN_PROXY_DIR = join(homedir(), '.qwen-proxy');
+const ADMIN_FILE = join(QWEN_PROXY_DIR, 'admin.json');
+
+const TOKEN_PREFIX = 'qpa-';
+
+function loadAdmin() {
+  if (!existsSync(ADMIN_FILE)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(readFileSync(ADMIN_FILE, 'utf-8'));
+    return typeof data.tokenHash === 'string' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the admin token, replacing any previous one
+ *
+ * Returns the plaintext token, which is not recoverable afterwards.
+ */
+export function createAdminToken() {
+  if (!existsSync(QWEN_PROXY_DIR)) {
+    mkdirSync(QWEN_PROXY_DIR, { recursive: true, mode: 0o700 });
+  }
+
+  const token = TOKEN_PREFIX + randomBytes(24).toString('base64url');
+  writeFileSync(ADMIN_FILE, JSON.stringify({ tokenHash: hashKey(token), createdAt: Date.now() }, null, 2), { mode: 0o600 });
+
+  return token;
+}
+
+/**
+ * Delete the admin token, turning the admin API off
+ *
+ * Returns false if there was none.
+ */
+export function revokeAdminToken() {
+  if (!existsSync(ADMIN_FILE)) {
+    return false;
+  }
+
+  unlinkSync(ADMIN_FILE);
+  return true;
+}
+
+/**
+ * Get { createdAt } for the admin token, or null if there is none
+ */
+export function getAdminTokenInfo() {
+  const data = loadAdmin();
+  return data ? { createdAt: data.createdAt || null } : null;
+}
+
+/**
+ * Check a presented token against the stored hash
+ */
+export function verifyAdminToken(token) {
+  const data = loadAdmin();
+  if (!data || typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  const presented = Buffer.from(hashKey(token), 'hex');
+  const stored = Buffer.from(data.tokenHash, 'hex');
+  return presented.length === stored.length && timingSafeEqual(presented, stored);
+}
+
+/**
+ * Get the admin token from the x-admin-token header or a Bearer
+ * Authorization header
+ */
+export function extractAdminToken(headers) {
+  const header = headers['x-admin-token'];
+  if (header) {
+    return header;
+  }
+
+  const match = headers['authorization']?.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
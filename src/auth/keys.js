@@ -0,0 +1,253 @@
+/**
+ * Proxy API Keys
+ *
+ * Keys issued by the proxy to its own clients. Only a SHA-256 hash of each
+ * key is stored; the plaintext is shown once when the key is created.
+ * Authentication is enforced as soon as a key has been created; revoking
+ * every key locks the proxy rather than opening it again.
+ *
+ * keys.json is kept in memory and only read again when it changes on disk.
+ * A keys.json that cannot be parsed is an error rather than "no keys", so a
+ * damaged file never turns authentication off.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, statSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { randomBytes, randomUUID, createHash } from 'node:crypto';
+
+// Paths
+const QWEN_PROXY_DIR = join(homedir(), '.qwen-proxy');
+const KEYS_FILE = join(QWEN_PROXY_DIR, 'keys.json');
+
+const KEY_PREFIX = 'qp-';
+
+// Only persist lastUsed when it is older than this
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Parsed keys.json, and the file version it was read from
+let cache = null;
+
+/**
+ * Error thrown when keys.json exists but cannot be used
+ */
+export class KeysFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeysFileError';
+  }
+}
+
+/**
+ * Ensure the .qwen-proxy directory exists
+ */
+function ensureDir() {
+  if (!existsSync(QWEN_PROXY_DIR)) {
+    mkdirSync(QWEN_PROXY_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+/**
+ * Hash an API key for storage and lookup
+ */
+export function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// Identify a version of keys.json; a rename gives a new inode
+function getFileVersion() {
+  try {
+    const { ino, mtimeMs, size } = statSync(KEYS_FILE);
+    return `${ino}:${mtimeMs}:${size}`;
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Load keys, from memory unless keys.json changed since it was last read
+ *
+ * Throws KeysFileError if keys.json is not valid.
+ */
+export function loadKeys() {
+  const version = getFileVersion();
+
+  if (!version) {
+    cache = null;
+    return { keys: {} };
+  }
+
+  if (cache?.version === version) {
+    return cache.data;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(KEYS_FILE, 'utf-8'));
+  } catch (e) {
+    throw new KeysFileError(`Cannot read ${KEYS_FILE}: ${e.message}`);
+  }
+
+  if (!data?.keys || typeof data.keys !== 'object') {
+    throw new KeysFileError(`${KEYS_FILE} has no "keys" object`);
+  }
+
+  cache = { data, version };
+  return data;
+}
+
+/**
+ * Save keys via a temp file and rename, so readers never see half a file
+ */
+export function saveKeys(data) {
+  ensureDir();
+
+  const tempFile = `${KEYS_FILE}.${process.pid}.tmp`;
+  writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+  renameSync(tempFile, KEYS_FILE);
+
+  cache = { data, version: getFileVersion() };
+}
+
+/**
+ * Create a new API key
+ *
+ * Returns the stored record and the plaintext key, which is not
+ * recoverable afterwards.
+ */
+export function createKey(name) {
+  const data = loadKeys();
+  const id = randomUUID();
+  const key = KEY_PREFIX + randomBytes(24).toString('base64url');
+
+  data.keys[id] = {
+    id,
+    name: name || `key-${Object.keys(data.keys).length + 1}`,
+    hash: hashKey(key),
+    // First characters, to tell keys apart in listings
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    createdAt: Date.now(),
+    lastUsed: null,
+    revokedAt: null,
+  };
+
+  saveKeys(data);
+  return { record: data.keys[id], key };
+}
+
+/**
+ * Get key record by ID or name
+ */
+export function getKey(idOrName) {
+  const data = loadKeys();
+
+  if (data.keys[idOrName]) {
+    return data.keys[idOrName];
+  }
+
+  return Object.values(data.keys).find(k => k.name === idOrName) || null;
+}
+
+/**
+ * List all key records
+ */
+export function listKeys() {
+  return Object.values(loadKeys().keys);
+}
+
+/**
+ * Revoke a key by ID or name
+ */
+export function revokeKey(idOrName) {
+  const data = loadKeys();
+  const record = Object.values(data.keys)
+    .find(k => k.id === idOrName || k.name === idOrName);
+
+  if (!record) {
+    return null;
+  }
+
+  record.revokedAt = record.revokedAt || Date.now();
+  saveKeys(data);
+  return record;
+}
+
+/**
+ * Update the limits of a key by ID or name
+ *
+ * Keys in `limits` set to null are removed; others are merged in.
+ */
+export function setKeyLimits(idOrName, limits) {
+  const data = loadKeys();
+  const record = Object.values(data.keys)
+    .find(k => k.id === idOrName || k.name === idOrName);
+
+  if (!record) {
+    return null;
+  }
+
+  const merged = { ...record.limits };
+  for (const [name, value] of Object.entries(limits)) {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  }
+
+  record.limits = merged;
+  saveKeys(data);
+  return record;
+}
+
+/**
+ * Check if any key has been issued (and therefore auth is required)
+ *
+ * Throws KeysFileError if keys.json is not valid.
+ */
+export function isAuthRequired() {
+  return listKeys().length > 0;
+}
+
+/**
+ * Verify a presented key, returning its record or null
+ */
+export function verifyKey(key) {
+  if (!key) {
+    return null;
+  }
+
+  const data = loadKeys();
+  const hash = hashKey(key);
+  const record = Object.values(data.keys).find(k => k.hash === hash);
+
+  if (!record || record.revokedAt) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (!record.lastUsed || now - record.lastUsed > LAST_USED_RESOLUTION_MS) {
+    record.lastUsed = now;
+    saveKeys(data);
+  }
+
+  return record;
+}
+
+/**
+ * Extract a presented API key from request headers
+ *
+ * Accepts `Authorization: Bearer <key>` and `x-api-key: <key>`.
+ */
+export function extractKey(headers) {
+  const authorization = headers['authorization'];
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+
+  return headers['x-api-key'] || null;
+}
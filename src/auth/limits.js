@@ -0,0 +1,279 @@
+/**
+ * Per-Key Usage Limits
+ *
+ * Enforces the `limits` configured on a proxy API key:
+ *   - requestsPerMinute: sliding one-minute window, kept in memory
+ *   - tokensPerDay: total tokens per UTC day, persisted across restarts
+ *   - allowedModels: list of model IDs the key may use
+ *
+ * Keys without their own requestsPerMinute or tokensPerDay get the
+ * `limits.*` settings from config.json, if set.
+ *
+ * Responses carry the same `x-ratelimit-*` headers as the OpenAI API.
+ *
+ * Daily token counts are kept in memory and written to key-usage.json
+ * shortly after each change, via a temp file and rename.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+import { getConfig } from '../config/store.js';
+import { createLogger } from '../logging/logger.js';
+
+// Paths
+const QWEN_PROXY_DIR = join(homedir(), '.qwen-proxy');
+const KEY_USAGE_FILE = join(QWEN_PROXY_DIR, 'key-usage.json');
+
+const MINUTE_MS = 60 * 1000;
+
+// Delay before token counts are written, batching busy periods
+const SAVE_DEBOUNCE_MS = 5 * 1000;
+// Delay before trying again after a failed save
+const SAVE_RETRY_MS = 30 * 1000;
+
+const logger = createLogger({ component: 'limits' });
+
+// Key ID -> timestamps of requests in the current window
+const requestWindows = new Map();
+
+// Today's token counts per key, loaded on first use
+let keyUsage = null;
+let saveTimer = null;
+
+/**
+ * Ensure the .qwen-proxy directory exists
+ */
+function ensureDir() {
+  if (!existsSync(QWEN_PROXY_DIR)) {
+    mkdirSync(QWEN_PROXY_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+// Current UTC day, e.g. 2026-01-31
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.getTime();
+}
+
+/**
+ * Format a duration the way OpenAI's x-ratelimit-reset-* headers do (e.g. 1m30s)
+ */
+export function formatResetDuration(ms) {
+  if (ms < 1000) {
+    return `${Math.max(0, Math.ceil(ms))}ms`;
+  }
+
+  let seconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+
+  return `${hours ? `${hours}h` : ''}${hours || minutes ? `${minutes}m` : ''}${seconds}s`;
+}
+
+/**
+ * Load persisted daily token usage per key
+ *
+ * A file that cannot be parsed is moved aside, so the next save does not
+ * destroy it.
+ */
+function loadKeyUsage() {
+  ensureDir();
+
+  if (!existsSync(KEY_USAGE_FILE)) {
+    return { date: today(), tokens: {} };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(KEY_USAGE_FILE, 'utf-8'));
+  } catch (e) {
+    const aside = `${KEY_USAGE_FILE}.corrupt-${Date.now()}`;
+    try {
+      renameSync(KEY_USAGE_FILE, aside);
+      logger.error('key-usage.json is corrupt, moved it aside and started a new one', { error: e.message, movedTo: aside });
+    } catch (renameError) {
+      logger.error('key-usage.json is corrupt and could not be moved aside', { error: e.message, renameError: renameError.message });
+    }
+    return { date: today(), tokens: {} };
+  }
+
+  // Counters reset at the start of each UTC day
+  if (data?.date !== today() || !data.tokens || typeof data.tokens !== 'object') {
+    return { date: today(), tokens: {} };
+  }
+
+  return data;
+}
+
+// Today's counts, starting over when the UTC day changes
+function getKeyUsage() {
+  if (!keyUsage) {
+    keyUsage = loadKeyUsage();
+  } else if (keyUsage.date !== today()) {
+    keyUsage = { date: today(), tokens: {} };
+  }
+
+  return keyUsage;
+}
+
+/**
+ * Write today's token counts to key-usage.json now
+ *
+ * Throws if the write fails.
+ */
+export function saveKeyUsageNow() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  if (!keyUsage) return;
+
+  ensureDir();
+
+  // Write via a temp file and rename, which is atomic on the same filesystem
+  const tempFile = `${KEY_USAGE_FILE}.${process.pid}.tmp`;
+  writeFileSync(tempFile, JSON.stringify(keyUsage, null, 2), { mode: 0o600 });
+  renameSync(tempFile, KEY_USAGE_FILE);
+}
+
+function scheduleSaveIn(delayMs) {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      saveKeyUsageNow();
+    } catch (e) {
+      logger.error('Failed to save key-usage.json, will retry', { error: e.message, retryInMs: SAVE_RETRY_MS });
+      scheduleSaveIn(SAVE_RETRY_MS);
+    }
+  }, delayMs);
+  saveTimer.unref();
+}
+
+/**
+ * Get tokens used today by a key
+ */
+export function getTokensUsedToday(keyId) {
+  return getKeyUsage().tokens[keyId] || 0;
+}
+
+/**
+ * Add tokens to a key's daily usage
+ */
+export function recordKeyTokens(keyId, tokens) {
+  if (!tokens) return;
+
+  const data = getKeyUsage();
+  data.tokens[keyId] = (data.tokens[keyId] || 0) + tokens;
+  scheduleSaveIn(SAVE_DEBOUNCE_MS);
+}
+
+// Drop timestamps that fell out of the window and return the rest
+function getWindow(keyId, now) {
+  const window = (requestWindows.get(keyId) || []).filter(t => now - t < MINUTE_MS);
+  requestWindows.set(keyId, window);
+  return window;
+}
+
+// Limits from config.json for keys that don't set their own (0 = none)
+function getDefaultLimits() {
+  const { requestsPerMinute, tokensPerDay } = getConfig().limits;
+  const defaults = {};
+
+  if (requestsPerMinute) defaults.requestsPerMinute = requestsPerMinute;
+  if (tokensPerDay) defaults.tokensPerDay = tokensPerDay;
+
+  return defaults;
+}
+
+/**
+ * Check a request against a key's limits and count it if admitted
+ *
+ * Returns `{ headers }` when allowed, or `{ status, error, headers }` when
+ * the request must be rejected. `error` is an OpenAI error object.
+ */
+export function checkKeyLimits(record, model) {
+  const limits = record ? { ...getDefaultLimits(), ...record.limits } : {};
+  const headers = {};
+  const now = Date.now();
+
+  if (Array.isArray(limits.allowedModels) && limits.allowedModels.length > 0
+    && !limits.allowedModels.includes(model)) {
+    return {
+      status: 403,
+      headers,
+      error: {
+        message: `The model \`${model}\` is not allowed for this API key.`,
+        type: 'invalid_request_error',
+        param: 'model',
+        code: 'model_not_allowed',
+      },
+    };
+  }
+
+  if (limits.tokensPerDay) {
+    const used = getTokensUsedToday(record.id);
+    const resetMs = nextUtcMidnight() - now;
+
+    headers['x-ratelimit-limit-tokens'] = String(limits.tokensPerDay);
+    headers['x-ratelimit-remaining-tokens'] = String(Math.max(0, limits.tokensPerDay - used));
+    headers['x-ratelimit-reset-tokens'] = formatResetDuration(resetMs);
+
+    if (used >= limits.tokensPerDay) {
+      headers['retry-after'] = String(Math.ceil(resetMs / 1000));
+      return {
+        status: 429,
+        headers,
+        error: {
+          message: `Rate limit reached for tokens per day (TPD): Limit ${limits.tokensPerDay}, Used ${used}.`,
+          type: 'tokens',
+          param: null,
+          code: 'rate_limit_exceeded',
+        },
+      };
+    }
+  }
+
+  if (limits.requestsPerMinute) {
+    const window = getWindow(record.id, now);
+    const admitted = window.length < limits.requestsPerMinute;
+
+    if (admitted) {
+      window.push(now);
+    }
+
+    // The oldest request in the window is the next one to expire
+    const resetMs = window[0] + MINUTE_MS - now;
+
+    headers['x-ratelimit-limit-requests'] = String(limits.requestsPerMinute);
+    headers['x-ratelimit-remaining-requests'] = String(limits.requestsPerMinute - window.length);
+    headers['x-ratelimit-reset-requests'] = formatResetDuration(resetMs);
+
+    if (!admitted) {
+      headers['retry-after'] = String(Math.ceil(resetMs / 1000));
+      return {
+        status: 429,
+        headers,
+        error: {
+          message: `Rate limit reached for requests per minute (RPM): Limit ${limits.requestsPerMinute}, Used ${window.length}.`,
+          type: 'requests',
+          param: null,
+          code: 'rate_limit_exceeded',
+        },
+      };
+    }
+  }
+
+  return { headers };
+}
@@ -30,6 +30,24 @@ export class SlowDownError extends Error {
   }
 }
 
+/**
+ * Error thrown when the token endpoint rejects a refresh
+ *
+ * `status` is the HTTP status. A 400, 401 or 403 means the refresh token
+ * itself is no longer accepted and the account has to log in again.
+ */
+export class TokenRefreshError extends Error {
+  constructor(status, body) {
+    super(`Token refresh failed: HTTP ${status}: ${body}`);
+    this.name = 'TokenRefreshError';
+    this.status = status;
+  }
+
+  get isRejected() {
+    return [400, 401, 403].includes(this.status);
+  }
+}
+
 /**
  * Generate PKCE code verifier and challenge (RFC 7636)
  */
@@ -170,7 +188,7 @@ export async function refreshAccessToken(refreshToken) {
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Token refresh failed: HTTP ${response.status}: ${errorText}`);
+    throw new TokenRefreshError(response.status, errorText);
   }
 
   const data = await response.json();
@@ -0,0 +1,361 @@
+/**
+ * Terminal QR Codes
+ *
+ * A small QR code encoder, so `account login --no-browser` can show the
+ * verification URL as a code to scan with a phone. It only does what that
+ * needs: byte mode, error correction level L and versions 1-10 (up to 271
+ * bytes). See ISO/IEC 18004 for the details behind the tables.
+ */
+
+// Per version: EC codewords per block, and [data codewords, block count]
+// for each group of blocks, at error correction level L
+const VERSIONS = [
+  null,
+  { ec: 7, groups: [[19, 1]] },
+  { ec: 10, groups: [[34, 1]] },
+  { ec: 15, groups: [[55, 1]] },
+  { ec: 20, groups: [[80, 1]] },
+  { ec: 26, groups: [[108, 1]] },
+  { ec: 18, groups: [[68, 2]] },
+  { ec: 20, groups: [[78, 2]] },
+  { ec: 24, groups: [[97, 2]] },
+  { ec: 30, groups: [[116, 2]] },
+  { ec: 18, groups: [[68, 2], [69, 2]] },
+];
+
+// Alignment pattern centre coordinates per version
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+// Format info bits for level L
+const EC_LEVEL_L = 0b01;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+// GF(256) tables for Reed-Solomon, with the QR polynomial 0x11d
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) {
+  EXP[i] = EXP[i - 255];
+}
+
+function gfMultiply(a, b) {
+  return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+// Reed-Solomon error correction codewords for one block
+function reedSolomon(data, degree) {
+  // Generator polynomial, highest power first
+  let generator = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    for (let j = 0; j < generator.length; j++) {
+      next[j] ^= generator[j];
+      next[j + 1] ^= gfMultiply(generator[j], EXP[i]);
+    }
+    generator = next;
+  }
+
+  const remainder = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < degree; i++) {
+      remainder[i] ^= gfMultiply(generator[i + 1], factor);
+    }
+  }
+  return remainder;
+}
+
+function getBit(value, i) {
+  return ((value >>> i) & 1) === 1;
+}
+
+// Format info: EC level and mask, BCH-protected and masked
+function formatBits(mask) {
+  const data = (EC_LEVEL_L << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) {
+    rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  }
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+// Version info for versions 7 and up, BCH-protected
+function versionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i++) {
+    rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  }
+  return (version << 12) | rem;
+}
+
+// Pick the smallest version that fits, and build its codewords
+function encodeData(bytes) {
+  for (let version = 1; version < VERSIONS.length; version++) {
+    const { ec, groups } = VERSIONS[version];
+    const dataCodewords = groups.reduce((sum, [size, count]) => sum + size * count, 0);
+    const countBits = version < 10 ? 8 : 16;
+
+    if (4 + countBits + bytes.length * 8 > dataCodewords * 8) {
+      continue;
+    }
+
+    // Byte mode indicator, length, data, terminator and padding
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+    push(0b0100, 4);
+    push(bytes.length, countBits);
+    for (const byte of bytes) push(byte, 8);
+    push(0, Math.min(4, dataCodewords * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; data.length < dataCodewords; pad ^= 0xec ^ 0x11) {
+      data.push(pad);
+    }
+
+    // Split into blocks, add error correction and interleave
+    const blocks = [];
+    let offset = 0;
+    for (const [size, count] of groups) {
+      for (let i = 0; i < count; i++) {
+        const block = data.slice(offset, offset + size);
+        blocks.push({ data: block, ec: reedSolomon(block, ec) });
+        offset += size;
+      }
+    }
+
+    const codewords = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+      for (const block of blocks) {
+        if (i < block.data.length) codewords.push(block.data[i]);
+      }
+    }
+    for (let i = 0; i < ec; i++) {
+      for (const block of blocks) codewords.push(block.ec[i]);
+    }
+
+    return { version, codewords };
+  }
+
+  throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+}
+
+// Place the finder, timing and alignment patterns and reserve the format areas
+function drawFunctionPatterns(version, size) {
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = ALIGNMENT[version];
+  const last = positions.length - 1;
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = 0; j < positions.length; j++) {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        continue;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(positions[i] + dx, positions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+
+  if (version >= 7) {
+    const bits = versionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+
+  drawFormatBits(modules, reserved, size, 0);
+  return { modules, reserved };
+}
+
+function drawFormatBits(modules, reserved, size, mask) {
+  const bits = formatBits(mask);
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+  // Split between the other two finders
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true);
+}
+
+// Lay the codewords out in the zigzag column pairs, right to left
+function drawCodewords(modules, reserved, size, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+// Penalty score of a masked symbol; the mask with the lowest is used
+function penalty(modules, size) {
+  let score = 0;
+  const finderLike = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true],
+  ];
+
+  for (let pass = 0; pass < 2; pass++) {
+    const at = pass === 0 ? (a, b) => modules[a][b] : (a, b) => modules[b][a];
+
+    for (let a = 0; a < size; a++) {
+      // Runs of five or more modules of one colour
+      let run = 1;
+      for (let b = 1; b <= size; b++) {
+        if (b < size && at(a, b) === at(a, b - 1)) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+
+      // Patterns that look like a finder
+      for (let b = 0; b + 11 <= size; b++) {
+        for (const pattern of finderLike) {
+          if (pattern.every((dark, k) => at(a, b + k) === dark)) score += 40;
+        }
+      }
+    }
+  }
+
+  // 2x2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const dark = modules[y][x];
+      if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) {
+        score += 3;
+      }
+    }
+  }
+
+  // Imbalance between dark and light
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+
+  return score;
+}
+
+/**
+ * Encode text as a QR code
+ *
+ * Returns the modules as rows of booleans, true for dark, without the
+ * quiet zone. Throws if the text is longer than 271 bytes.
+ */
+export function encodeQrCode(text) {
+  const { version, codewords } = encodeData([...Buffer.from(text, 'utf-8')]);
+  const size = 17 + version * 4;
+  const { modules, reserved } = drawFunctionPatterns(version, size);
+  drawCodewords(modules, reserved, size, codewords);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const masked = modules.map((row, y) => row.map((dark, x) => (!reserved[y][x] && MASKS[mask](x, y) ? !dark : dark)));
+    drawFormatBits(masked, reserved, size, mask);
+
+    const score = penalty(masked, size);
+    if (!best || score < best.score) {
+      best = { modules: masked, score };
+    }
+  }
+
+  return best.modules;
+}
+
+/**
+ * Render text as a QR code for the terminal
+ *
+ * Each line of output holds two rows of modules, drawn with half blocks in
+ * explicit black and white so the code scans on light and dark themes.
+ */
+export function renderQrCode(text, { margin = 4 } = {}) {
+  const modules = encodeQrCode(text);
+  const size = modules.length;
+  const isDark = (x, y) => x >= 0 && y >= 0 && x < size && y < size && modules[y][x];
+
+  const lines = [];
+  for (let y = -margin; y < size + margin; y += 2) {
+    let line = '';
+    for (let x = -margin; x < size + margin; x++) {
+      const top = isDark(x, y) ? 30 : 97;
+      const bottom = isDark(x, y + 1) ? 40 : 107;
+      line += `\x1b[${top};${bottom}m▀`;
+    }
+    lines.push(`${line}\x1b[0m`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,67 @@
+/**
+ * Line Diff
+ *
+ * Small LCS-based line diff for comparing a replayed response with its
+ * capture. Quadratic, so inputs are capped at MAX_DIFF_LINES lines.
+ */
+
+export const MAX_DIFF_LINES = 2000;
+
+/**
+ * Normalize a response body for diffing
+ *
+ * JSON bodies are pretty-printed and each SSE `data:` or NDJSON line is
+ * kept on its own line, so changes show up per field or per event.
+ */
+export function normalizeBody(body) {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2).split('\n');
+  } catch {
+    // Not a single JSON document
+  }
+
+  return body.split('\n').filter(line => line.trim() !== '');
+}
+
+/**
+ * Diff two lists of lines
+ *
+ * Returns [{ type: ' ' | '-' | '+', line }], or null if either side is
+ * longer than MAX_DIFF_LINES.
+ */
+export function diffLines(before, after) {
+  if (before.length > MAX_DIFF_LINES || after.length > MAX_DIFF_LINES) {
+    return null;
+  }
+
+  // lengths[i][j] = LCS length of before[i:] and after[j:]
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      result.push({ type: ' ', line: before[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: '-', line: before[i++] });
+    } else {
+      result.push({ type: '+', line: after[j++] });
+    }
+  }
+
+  while (i < before.length) result.push({ type: '-', line: before[i++] });
+  while (j < after.length) result.push({ type: '+', line: after[j++] });
+
+  return result;
+}
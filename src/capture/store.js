@@ -0,0 +1,258 @@
+/**
+ * Request Capture
+ *
+ * When enabled, each proxied request is written to
+ * ~/.qwen-proxy/captures/<request-id>.json with the inbound request, every
+ * upstream attempt (request, status, headers and full body or SSE stream)
+ * and the response sent to the client. Credentials are removed; message
+ * content is kept, so captures are only readable by the owner.
+ *
+ * Enabled with the `capture.enabled` setting; `capture.maxFiles` captures
+ * are kept, oldest deleted first. Captures are written off the request path
+ * via a temp file and rename, and old ones are pruned every PRUNE_EVERY
+ * captures rather than after each one.
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync } from 'node:fs';
+import { writeFile, rename, readdir, stat, unlink } from 'node:fs/promises';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { randomBytes } from 'node:crypto';
+
+import { getConfig } from '../config/store.js';
+
+// Paths
+const QWEN_PROXY_DIR = join(homedir(), '.qwen-proxy');
+export const CAPTURES_DIR = join(QWEN_PROXY_DIR, 'captures');
+
+// Headers never written to a capture
+const SECRET_HEADERS = new Set(['authorization', 'x-api-key', 'cookie', 'proxy-authorization']);
+
+// Captures saved between prunes, so the directory may briefly hold this many extra
+const PRUNE_EVERY = 20;
+
+// Starts full, so the first capture after startup prunes
+let savesSincePrune = PRUNE_EVERY;
+let pruning = null;
+
+function ensureDir() {
+  if (!existsSync(CAPTURES_DIR)) {
+    mkdirSync(CAPTURES_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+export function isCaptureEnabled() {
+  return getConfig().capture.enabled;
+}
+
+/**
+ * Copy headers (a plain object or a Headers instance) without credentials
+ */
+export function sanitizeHeaders(headers) {
+  const entries = typeof headers?.entries === 'function' ? [...headers.entries()] : Object.entries(headers || {});
+  const sanitized = {};
+
+  for (const [name, value] of entries) {
+    sanitized[name] = SECRET_HEADERS.has(name.toLowerCase()) ? '[REDACTED]' : value;
+  }
+
+  return sanitized;
+}
+
+function chunkToString(chunk, encoding) {
+  if (chunk === undefined || chunk === null || typeof chunk === 'function') return '';
+  return Buffer.isBuffer(chunk) ? chunk.toString('utf-8') : Buffer.from(chunk, encoding).toString('utf-8');
+}
+
+// Ignore files that went away meanwhile, e.g. deleted by hand
+function ignoreMissing(e) {
+  if (e.code !== 'ENOENT') throw e;
+  return null;
+}
+
+// Delete the oldest captures beyond the configured maximum
+async function pruneCaptures() {
+  const names = (await readdir(CAPTURES_DIR)).filter(name => name.endsWith('.json'));
+  const maxFiles = getConfig().capture.maxFiles;
+  if (names.length <= maxFiles) {
+    return;
+  }
+
+  const files = await Promise.all(names.map(async (name) => {
+    const path = join(CAPTURES_DIR, name);
+    const stats = await stat(path).catch(ignoreMissing);
+    return stats && { path, mtime: stats.mtimeMs };
+  }));
+
+  const oldest = files
+    .filter(Boolean)
+    .sort((a, b) => b.mtime - a.mtime)
+    .slice(maxFiles);
+
+  for (const file of oldest) {
+    await unlink(file.path).catch(ignoreMissing);
+  }
+}
+
+// Prune every PRUNE_EVERY saves, one prune at a time
+function schedulePrune() {
+  savesSincePrune++;
+  if (savesSincePrune < PRUNE_EVERY || pruning) {
+    return pruning;
+  }
+
+  savesSincePrune = 0;
+  pruning = pruneCaptures().finally(() => {
+    pruning = null;
+  });
+  return pruning;
+}
+
+/**
+ * Start capturing a request
+ *
+ * Tees everything written to `res`. Call `addUpstream()` for each upstream
+ * attempt and `save()` once the response has closed.
+ */
+export function createCapture(req, res, id) {
+  const startedAt = Date.now();
+  const responseChunks = [];
+  const upstream = [];
+  // Upstream bodies still being read from cloned responses
+  const pending = [];
+
+  const write = res.write;
+  const end = res.end;
+
+  res.write = function (chunk, encoding, ...rest) {
+    responseChunks.push(chunkToString(chunk, typeof encoding === 'string' ? encoding : undefined));
+    return write.call(this, chunk, encoding, ...rest);
+  };
+
+  res.end = function (chunk, encoding, ...rest) {
+    responseChunks.push(chunkToString(chunk, typeof encoding === 'string' ? encoding : undefined));
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  return {
+    id,
+
+    /**
+     * Record one upstream attempt
+     *
+     * Pass `response` for a successful response (its clone is read in the
+     * background), `responseBody` for an error already read, or `error`
+     * when the request failed to send.
+     */
+    addUpstream({ account, url, headers, body, startedAt: attemptStartedAt, response, responseBody, error }) {
+      const attempt = {
+        account: account.name,
+        accountId: account.id,
+        url,
+        headers: sanitizeHeaders(headers),
+        body,
+        status: response ? response.status : null,
+        responseHeaders: response ? sanitizeHeaders(response.headers) : null,
+        responseBody: responseBody ?? null,
+        error: error ?? null,
+        durationMs: null,
+      };
+
+      upstream.push(attempt);
+
+      if (response?.ok) {
+        const copy = response.clone();
+        pending.push(copy.text()
+          .then((text) => { attempt.responseBody = text; })
+          .catch((e) => { attempt.error = `Capture read failed: ${e.message}`; })
+          .finally(() => { attempt.durationMs = Date.now() - attemptStartedAt; }));
+      } else {
+        attempt.durationMs = Date.now() - attemptStartedAt;
+      }
+    },
+
+    /**
+     * Write the capture to disk
+     *
+     * Rejects if the write or a prune fails.
+     */
+    async save() {
+      await Promise.all(pending);
+
+      const capture = {
+        id,
+        capturedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        request: {
+          method: req.method,
+          url: req.url,
+          headers: sanitizeHeaders(req.headers),
+          body: req.rawBody ?? '',
+        },
+        upstream,
+        response: {
+          status: res.statusCode,
+          headers: sanitizeHeaders(res.getHeaders()),
+          body: responseChunks.join(''),
+          completed: res.writableFinished,
+        },
+      };
+
+      ensureDir();
+
+      // Renamed into place, so `replay` never reads a partial capture. Clients
+      // may reuse request IDs, so the temp name is unique per save.
+      const file = join(CAPTURES_DIR, `${id}.json`);
+      const tempFile = `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+      await writeFile(tempFile, JSON.stringify(capture, null, 2), { mode: 0o600 });
+      await rename(tempFile, file);
+
+      await schedulePrune();
+    },
+  };
+}
+
+/**
+ * Load a capture by request ID, or null if there is none
+ */
+export function loadCapture(id) {
+  // IDs come from x-request-id, so keep lookups inside the captures dir
+  if (!/^[\w.:-]+$/.test(id)) {
+    return null;
+  }
+
+  const file = join(CAPTURES_DIR, `${id}.json`);
+  if (!existsSync(file)) {
+    return null;
+  }
+
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+/**
+ * List captures, newest first, as { id, capturedAt, method, url, status }
+ */
+export function listCaptures() {
+  if (!existsSync(CAPTURES_DIR)) {
+    return [];
+  }
+
+  return readdirSync(CAPTURES_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map((name) => {
+      try {
+        const capture = JSON.parse(readFileSync(join(CAPTURES_DIR, name), 'utf-8'));
+        return {
+          id: capture.id,
+          capturedAt: capture.capturedAt,
+          method: capture.request.method,
+          url: capture.request.url,
+          status: capture.response.status,
+        };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+}
@@ -7,29 +7,39 @@
  */
 
 import { spawn } from "child_process";
-import { existsSync, readFileSync, writeFileSync, unlinkSync, mkdirSync, openSync } from "fs";
+import { existsSync, readFileSync, writeFileSync, unlinkSync, mkdirSync, openSync, statSync } from "fs";
 import { join } from "path";
 import { homedir } from "os";
-import { randomUUID } from "crypto";
 import { execSync } from "child_process";
 
 // Import OAuth functions
 import {
   performDeviceAuthFlow,
-  refreshAccessToken,
   isCredentialsExpired,
 } from "./auth/oauth.js";
+import { getAccountHealth } from "./accounts/manager.js";
+import { readAccountsFile } from "./accounts/store.js";
+import * as accountActions from "./accounts/actions.js";
+import { listStrategies } from "./accounts/strategies.js";
+import { describeRule } from "./accounts/rules.js";
+import { createKey, listKeys, revokeKey, getKey, setKeyLimits, KeysFileError } from "./auth/keys.js";
+import { getTokensUsedToday } from "./auth/limits.js";
+import { createAdminToken, revokeAdminToken, getAdminTokenInfo } from "./auth/admin.js";
+import { renderQrCode } from "./auth/qrcode.js";
+import { queryUsage, toDayKey, daysAgo, isDayKey, parseDayCount, RETENTION_DAYS } from "./usage/store.js";
+import { needsRotation, rotateFiles } from "./logging/rotate.js";
+import { readLogLines, followLog, parseSince } from "./logging/reader.js";
+import { loadCapture, listCaptures, CAPTURES_DIR } from "./capture/store.js";
+import { normalizeBody, diffLines } from "./capture/diff.js";
+import { buildCatalog } from "./models/catalog.js";
+import { CONFIG_FILE, readConfigFile, writeConfigFile, loadConfig, getConfig, getConfigSources } from "./config/store.js";
+import { CONFIG_SCHEMA, parseValue, validateValue, getPath, setPath, unsetPath } from "./config/schema.js";
 
 // Constants
 const QWEN_PROXY_DIR = join(homedir(), ".qwen-proxy");
 const PID_FILE = join(QWEN_PROXY_DIR, "server.pid");
 const LOG_FILE = join(QWEN_PROXY_DIR, "server.log");
 const ERROR_LOG_FILE = join(QWEN_PROXY_DIR, "error.log");
-const CONFIG_FILE = join(QWEN_PROXY_DIR, "config.json");
-const ACCOUNTS_FILE = join(QWEN_PROXY_DIR, "accounts.json");
-
-const DEFAULT_PORT = 3000;
-const DEFAULT_HOST = "127.0.0.1";
 
 const HELP_TEXT = `
 Usage: qwen-proxy [command]
@@ -39,18 +49,50 @@ Commands:
   stop                Stop the proxy server
   restart             Restart the proxy server
   status              Show server status
-  logs                Show server logs
-  config              Configure server settings
+  logs                Show recent server logs (--lines <n>, --follow, --errors, --since <time>);
+                      --errors also shows the server's stderr (error.log)
+  replay              Re-send a captured request and diff the response
+  models [id]         List models and the accounts that serve them (--key <api-key>, --json)
 
 Account Commands:
   account list        List all accounts
-  account login       Login with new account (opens browser)
+  account login       Login with new account (opens browser, or --no-browser
+                      to print the URL and a QR code); --relogin <name> logs
+                      an existing account in again
   account logout      Logout and remove account
   account default     Set default account
   account enable      Enable an account
   account disable     Disable an account
   account refresh     Refresh token for an account
   account rename      Rename an account
+  account weight      Set routing weight for an account
+  account tag         Add tags to an account, for routing rules
+  account untag       Remove tags from an account
+
+API Key Commands:
+  key create          Create a client API key for the proxy
+  key list            List API keys
+  key revoke          Revoke an API key
+  key limits          Show or set limits for an API key
+
+Admin Commands:
+  admin               Show whether the admin API is on
+  admin token         Create (or replace) the admin API token
+  admin revoke        Revoke the admin token, turning the admin API off
+
+Config Commands:
+  config              Show all settings and where they come from
+  config get <key>    Show one setting, or a section such as "routing"
+  config set <key> <value>
+                      Change a setting in config.json
+  config unset <key>  Reset a setting to its default
+  config validate     Check config.json and environment overrides
+
+Usage Commands:
+  usage               Token usage for today (--json, --csv)
+  usage week          Token usage for the last 7 days (or --days <n>)
+  usage --from <date> --to <date>
+                      Token usage for a range of days (YYYY-MM-DD)
 
 Options:
   -v                  Show version
@@ -59,8 +101,16 @@ Options:
 Examples:
   qwen-proxy start
   qwen-proxy account login --name work
+  qwen-proxy account login --name server --no-browser
+  qwen-proxy account login --relogin work
   qwen-proxy account list
   qwen-proxy account default work
+  qwen-proxy key create --name ci
+  qwen-proxy key limits ci --rpm 60 --tokens-per-day 500000
+  qwen-proxy config set routing.strategy least-in-flight
+  qwen-proxy usage week --csv > usage.csv
+  qwen-proxy logs --follow --errors
+  qwen-proxy replay 5b230245-6a35-4272-898a-ca03314846df
 `;
 
 // Version
@@ -75,41 +125,6 @@ function ensureDir() {
   }
 }
 
-// Load config
-function loadConfig() {
-  try {
-    if (existsSync(CONFIG_FILE)) {
-      return JSON.parse(readFileSync(CONFIG_FILE, "utf-8"));
-    }
-  } catch {}
-  return { port: DEFAULT_PORT, host: DEFAULT_HOST, routingStrategy: "default" };
-}
-
-// Save config
-function saveConfig(config) {
-  ensureDir();
-  writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-}
-
-// Load accounts
-function loadAccountsData() {
-  ensureDir();
-  if (!existsSync(ACCOUNTS_FILE)) {
-    return { accounts: {}, defaultAccountId: null };
-  }
-  try {
-    return JSON.parse(readFileSync(ACCOUNTS_FILE, "utf-8"));
-  } catch {
-    return { accounts: {}, defaultAccountId: null };
-  }
-}
-
-// Save accounts
-function saveAccountsData(data) {
-  ensureDir();
-  writeFileSync(ACCOUNTS_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
-}
-
 // Check if server is running
 function isRunning() {
   if (!existsSync(PID_FILE)) {
@@ -121,8 +136,8 @@ function isRunning() {
 
     try {
       process.kill(pid, 0);
-      const config = loadConfig();
-      return { running: true, pid, port: config.port, host: config.host };
+      const { server } = getConfig();
+      return { running: true, pid, port: server.port, host: server.host };
     } catch {
       unlinkSync(PID_FILE);
       return { running: false };
@@ -161,7 +176,7 @@ function openBrowser(url) {
 // ============================================
 
 function listAccounts() {
-  const data = loadAccountsData();
+  const data = readAccountsFile();
   const accounts = Object.values(data.accounts);
 
   if (accounts.length === 0) {
@@ -172,8 +187,10 @@ function listAccounts() {
   }
 
   console.log("Accounts:\n");
-  console.log("  ID                                    Name            Status        Expires       Default");
-  console.log("  " + "-".repeat(85));
+  console.log("  ID                                    Name            Status        Expires       Health           Default  Tags");
+  console.log("  " + "-".repeat(110));
+
+  const unhealthy = [];
 
   for (const account of accounts) {
     const expired = isCredentialsExpired(account.credentials);
@@ -183,9 +200,29 @@ function listAccounts() {
     const expires = account.credentials.expiryDate
       ? formatExpiry(account.credentials.expiryDate)
       : "never";
+    const health = getAccountHealth(account);
     const isDefault = account.id === data.defaultAccountId ? "★" : " ";
     
-    console.log(`  ${account.id.slice(0, 36)}  ${account.name.padEnd(15)} ${status.padEnd(13)} ${expires.padEnd(13)} ${isDefault}`);
+    const tags = account.tags?.join(",") || "";
+
+    console.log(`  ${account.id.slice(0, 36)}  ${account.name.padEnd(15)} ${status.padEnd(13)} ${expires.padEnd(13)} ${formatHealth(health).padEnd(16)} ${isDefault.padEnd(8)} ${tags}`.trimEnd());
+
+    if (health.state !== "healthy" && (health.lastError || health.loginRequired)) {
+      unhealthy.push({ account, health });
+    }
+  }
+
+  if (unhealthy.length > 0) {
+    console.log("\nLast errors:");
+    for (const { account, health } of unhealthy) {
+      if (health.loginRequired) {
+        console.log(`  ${account.name}: ${health.loginRequired.message.slice(0, 80)}`);
+        console.log(`    Log in again with: qwen-proxy account login --relogin ${account.name}`);
+        continue;
+      }
+      const status = health.lastError.status ? `HTTP ${health.lastError.status}` : "network";
+      console.log(`  ${account.name}: ${status} ${health.lastError.message.slice(0, 80)}`);
+    }
   }
 
   console.log("");
@@ -193,6 +230,19 @@ function listAccounts() {
   console.log(`Active: ${accounts.filter(a => a.enabled && !isCredentialsExpired(a.credentials)).length} account(s)`);
 }
 
+function formatHealth(health) {
+  if (health.state === "login-required") {
+    return "✗ login required";
+  }
+  if (health.state === "cooldown") {
+    return `⏸ cooldown ${formatExpiry(health.cooldownUntil)}`;
+  }
+  if (health.state === "degraded") {
+    return `⚠ ${health.consecutiveFailures} failure(s)`;
+  }
+  return "✓ healthy";
+}
+
 function formatExpiry(expiryDate) {
   const seconds = Math.floor((expiryDate - Date.now()) / 1000);
   if (seconds < 0) return "expired";
@@ -202,49 +252,61 @@ function formatExpiry(expiryDate) {
   return `${Math.floor(seconds / 86400)}d`;
 }
 
-async function loginAccount(name) {
-  const data = loadAccountsData();
-  const accountName = name || `account-${Object.keys(data.accounts).length + 1}`;
+async function loginAccount(name, { relogin, browser = true } = {}) {
+  const data = readAccountsFile();
+  let accountName;
+
+  // Check the target before the device flow, so a typo doesn't cost a login
+  if (relogin) {
+    const existing = accountActions.findAccount(data, relogin);
+    if (!existing) {
+      console.error(`Account not found: ${relogin}`);
+      process.exit(1);
+    }
+    accountName = existing.name;
+  } else {
+    accountName = name || accountActions.defaultAccountName(data);
+    try {
+      accountActions.checkNewAccountName(data, accountName);
+    } catch (error) {
+      if (!(error instanceof accountActions.AccountError)) throw error;
+      console.error(error.status === 409
+        ? `An account named "${accountName}" already exists. Log it in again with: qwen-proxy account login --relogin ${accountName}`
+        : error.message);
+      process.exit(1);
+    }
+  }
 
   console.log(`\nStarting OAuth login for account "${accountName}"...\n`);
 
   try {
     const credentials = await performDeviceAuthFlow((url, userCode) => {
-      console.log("Opening browser for authentication...\n");
+      if (browser) {
+        console.log("Opening browser for authentication...\n");
+      } else {
+        console.log("Scan the code below, or open the URL on any device, and approve the login:\n");
+        console.log(renderQrCode(url));
+        console.log();
+      }
       console.log(`  User Code: ${userCode}`);
       console.log(`  URL: ${url}\n`);
-      console.log("If the browser does not open automatically, visit the URL above.\n");
-      
-      openBrowser(url);
+
+      if (browser) {
+        console.log("If the browser does not open automatically, visit the URL above.\n");
+        openBrowser(url);
+      } else {
+        console.log("Waiting for approval...\n");
+      }
     });
 
-    const accountId = randomUUID();
-
-    data.accounts[accountId] = {
-      id: accountId,
-      name: accountName,
-      credentials: {
-        accessToken: credentials.accessToken,
-        tokenType: credentials.tokenType,
-        refreshToken: credentials.refreshToken,
-        resourceUrl: credentials.resourceUrl,
-        expiryDate: credentials.expiryDate,
-        scope: credentials.scope,
-      },
-      createdAt: Date.now(),
-      lastUsed: null,
-      requestCount: 0,
-      enabled: true,
-    };
-
-    if (!data.defaultAccountId) {
-      data.defaultAccountId = accountId;
-    }
+    // Saved under the lock: the server may have written while we waited,
+    // so a new account's name is checked again there
+    const account = relogin
+      ? await accountActions.reloginAccount(relogin, credentials)
+      : await accountActions.addAccount(accountName, credentials);
 
-    saveAccountsData(data);
-    
     console.log(`\n✓ Account "${accountName}" logged in successfully!`);
-    console.log(`  ID: ${accountId}`);
+    console.log(`  ID: ${account.id}`);
     console.log(`  Resource URL: ${credentials.resourceUrl || "portal.qwen.ai"}`);
     console.log(`  Expires: ${formatExpiry(credentials.expiryDate)}`);
   } catch (error) {
@@ -253,140 +315,693 @@ async function loginAccount(name) {
   }
 }
 
-async function refreshAccount(accountId) {
-  const data = loadAccountsData();
-  
-  // Find account by ID or name
-  let account = data.accounts[accountId];
-  if (!account) {
-    const found = Object.values(data.accounts).find(a => a.name === accountId);
-    if (found) {
-      account = found;
-      accountId = account.id;
-    }
+// Account actions log for the server; the CLI reports their outcome itself
+const QUIET_LOG = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Run an account action, printing its error and exiting if it fails
+async function runAccountAction(action, failure = "Failed") {
+  try {
+    return await action();
+  } catch (error) {
+    console.error(error instanceof accountActions.AccountError ? error.message : `✗ ${failure}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function refreshAccount(idOrName) {
+  const account = accountActions.findAccount(readAccountsFile(), idOrName);
+  if (account) {
+    console.log(`Refreshing token for account "${account.name}"...`);
+  }
+
+  const refreshed = await runAccountAction(() => accountActions.refreshAccount(idOrName, { log: QUIET_LOG }), "Failed to refresh token");
+  console.log(`✓ Token refreshed for "${refreshed.name}"`);
+  console.log(`  Expires: ${formatExpiry(refreshed.credentials.expiryDate)}`);
+}
+
+async function logoutAccount(idOrName) {
+  const account = await runAccountAction(() => accountActions.removeAccount(idOrName));
+  console.log(`✓ Account "${account.name}" logged out.`);
+}
+
+async function setDefaultAccount(idOrName) {
+  const account = await runAccountAction(() => accountActions.setDefaultAccount(idOrName));
+  console.log(`✓ Default account set to: ${account.name}`);
+}
+
+async function toggleAccount(idOrName, enabled) {
+  const account = await runAccountAction(() => accountActions.setAccountEnabled(idOrName, enabled));
+  console.log(`✓ Account "${account.name}" ${enabled ? "enabled" : "disabled"}.`);
+}
+
+async function renameAccount(idOrName, newName) {
+  const oldName = accountActions.findAccount(readAccountsFile(), idOrName)?.name;
+  const account = await runAccountAction(() => accountActions.renameAccount(idOrName, newName));
+  console.log(`✓ Account renamed from "${oldName}" to "${account.name}"`);
+}
+
+async function setAccountWeight(idOrName, weight) {
+  const account = await runAccountAction(() => accountActions.setAccountWeight(idOrName, weight));
+  console.log(`✓ Account "${account.name}" weight set to ${account.weight}.`);
+}
+
+async function tagAccount(idOrName, tags, add) {
+  const account = await runAccountAction(() => accountActions.tagAccount(idOrName, tags, add));
+  console.log(`✓ Account "${account.name}" tags: ${account.tags?.join(", ") || "none"}`);
+}
+
+// ============================================
+// API Key Commands
+// ============================================
+
+function createApiKey(name) {
+  const { record, key } = createKey(name);
+
+  console.log(`✓ API key "${record.name}" created.`);
+  console.log(`  ID:  ${record.id}`);
+  console.log(`  Key: ${key}`);
+  console.log("\nStore this key now, it cannot be shown again.");
+  console.log("Clients send it as: Authorization: Bearer <key>");
+}
+
+function listApiKeys() {
+  const keys = listKeys();
+
+  if (keys.length === 0) {
+    console.log("No API keys configured. The proxy accepts any client.");
+    console.log("\nTo require an API key:");
+    console.log("  qwen-proxy key create --name <key-name>");
+    return;
   }
 
-  if (!account) {
-    console.error(`Account not found: ${accountId}`);
+  console.log("API keys:\n");
+  console.log("  ID                                    Name            Prefix      Status      Last used                 Limits");
+  console.log("  " + "-".repeat(110));
+
+  for (const key of keys) {
+    const status = key.revokedAt ? "✗ revoked" : "✓ active";
+    const lastUsed = key.lastUsed ? new Date(key.lastUsed).toISOString() : "never";
+    console.log(`  ${key.id.slice(0, 36)}  ${key.name.padEnd(15)} ${key.prefix.padEnd(11)} ${status.padEnd(11)} ${lastUsed.padEnd(25)} ${formatKeyLimits(key.limits)}`);
+  }
+
+  console.log("");
+  console.log(`Total: ${keys.length} key(s)`);
+  console.log(`Active: ${keys.filter(k => !k.revokedAt).length} key(s)`);
+}
+
+function revokeApiKey(idOrName) {
+  const record = revokeKey(idOrName);
+
+  if (!record) {
+    console.error(`API key not found: ${idOrName}`);
     process.exit(1);
   }
 
-  if (!account.credentials.refreshToken) {
-    console.error(`Account "${account.name}" has no refresh token. Please login again.`);
+  console.log(`✓ API key "${record.name}" revoked.`);
+
+  if (!listKeys().some(k => !k.revokedAt)) {
+    console.log("  No active keys remain, all /v1 requests will be rejected.");
+  }
+}
+
+function formatKeyLimits(limits = {}) {
+  const parts = [];
+  if (limits.requestsPerMinute) parts.push(`${limits.requestsPerMinute} req/min`);
+  if (limits.tokensPerDay) parts.push(`${limits.tokensPerDay} tokens/day`);
+  if (limits.allowedModels?.length) parts.push(`models: ${limits.allowedModels.join(", ")}`);
+  return parts.length > 0 ? parts.join(", ") : "unlimited";
+}
+
+// Parse a numeric limit option; "off" or 0 clears it
+function parseLimitOption(value, flag) {
+  if (value === "off" || value === 0) {
+    return null;
+  }
+  if (typeof value !== "number" || !Number.isInteger(value) || value < 0) {
+    console.error(`Invalid value for --${flag}: ${value} (expected a positive integer or "off")`);
     process.exit(1);
   }
+  return value;
+}
 
-  console.log(`Refreshing token for account "${account.name}"...`);
+function apiKeyLimits(idOrName, options) {
+  const limits = {};
 
-  try {
-    const newCredentials = await refreshAccessToken(account.credentials.refreshToken);
-    
-    data.accounts[accountId].credentials = {
-      accessToken: newCredentials.accessToken,
-      tokenType: newCredentials.tokenType,
-      refreshToken: newCredentials.refreshToken || account.credentials.refreshToken,
-      resourceUrl: newCredentials.resourceUrl,
-      expiryDate: newCredentials.expiryDate,
-      scope: newCredentials.scope,
-    };
-
-    saveAccountsData(data);
-    
-    console.log(`✓ Token refreshed for "${account.name}"`);
-    console.log(`  Expires: ${formatExpiry(newCredentials.expiryDate)}`);
-  } catch (error) {
-    console.error("✗ Failed to refresh token:", error instanceof Error ? error.message : error);
+  if (options.rpm !== undefined) {
+    limits.requestsPerMinute = parseLimitOption(options.rpm, "rpm");
+  }
+  if (options["tokens-per-day"] !== undefined) {
+    limits.tokensPerDay = parseLimitOption(options["tokens-per-day"], "tokens-per-day");
+  }
+  if (options.models !== undefined) {
+    limits.allowedModels = options.models === "all" || options.models === true
+      ? null
+      : String(options.models).split(",").map(m => m.trim()).filter(Boolean);
+  }
+
+  const record = Object.keys(limits).length > 0
+    ? setKeyLimits(idOrName, limits)
+    : getKey(idOrName);
+
+  if (!record) {
+    console.error(`API key not found: ${idOrName}`);
     process.exit(1);
   }
+
+  if (Object.keys(limits).length > 0) {
+    console.log(`✓ Limits updated for "${record.name}".`);
+  }
+
+  console.log(`Limits for "${record.name}": ${formatKeyLimits(record.limits)}`);
+  if (record.limits?.tokensPerDay) {
+    console.log(`Tokens used today: ${getTokensUsedToday(record.id)}`);
+  }
 }
 
-function logoutAccount(accountId) {
-  const data = loadAccountsData();
-  
-  // Find account by ID or name
-  let account = data.accounts[accountId];
-  if (!account) {
-    const found = Object.values(data.accounts).find(a => a.name === accountId);
-    if (found) {
-      account = found;
-      accountId = account.id;
-    } else {
-      console.error(`Account not found: ${accountId}`);
+// ============================================
+// Admin Commands
+// ============================================
+
+function createAdminTokenCommand() {
+  const replaced = Boolean(getAdminTokenInfo());
+  const token = createAdminToken();
+
+  console.log(`✓ Admin token ${replaced ? "replaced; the previous token no longer works" : "created"}.`);
+  console.log(`  Token: ${token}`);
+  console.log("\nStore this token now, it cannot be shown again.");
+  console.log("Send it to /admin/* as: Authorization: Bearer <token>");
+}
+
+function revokeAdminTokenCommand() {
+  if (revokeAdminToken()) {
+    console.log("✓ Admin token revoked. The admin API is off.");
+  } else {
+    console.log("No admin token configured.");
+  }
+}
+
+function showAdminStatus() {
+  const info = getAdminTokenInfo();
+
+  if (!info) {
+    console.log("Admin API is off (no admin token).");
+    console.log("\nTo turn it on:");
+    console.log("  qwen-proxy admin token");
+    return;
+  }
+
+  console.log(`Admin API is on (token created ${info.createdAt ? new Date(info.createdAt).toISOString() : "at an unknown time"}).`);
+  console.log("\nReplace the token with: qwen-proxy admin token");
+  console.log("Turn the admin API off with: qwen-proxy admin revoke");
+}
+
+// ============================================
+// Usage Commands
+// ============================================
+
+// Resolve the report's day range from the period and --from/--to/--days
+function resolveUsageRange(period, options) {
+  let from = toDayKey();
+  let to = toDayKey();
+
+  if (period === "week") {
+    from = daysAgo(6);
+  } else if (period !== undefined && period !== "today") {
+    console.error(`Unknown usage period: ${period} (expected "today" or "week")`);
+    process.exit(1);
+  }
+
+  if (options.days !== undefined) {
+    const days = parseDayCount(options.days);
+    if (days === null) {
+      console.error(`Invalid value for --days: ${options.days} (expected a whole number from 1 to ${RETENTION_DAYS})`);
       process.exit(1);
     }
+    from = daysAgo(days - 1);
   }
 
-  const name = account.name;
-  delete data.accounts[accountId];
+  if (options.from !== undefined) from = String(options.from);
+  if (options.to !== undefined) to = String(options.to);
 
-  if (data.defaultAccountId === accountId) {
-    const remaining = Object.keys(data.accounts);
-    data.defaultAccountId = remaining.length > 0 ? remaining[0] : null;
+  if (!isDayKey(from) || !isDayKey(to)) {
+    console.error("Dates must be in YYYY-MM-DD format");
+    process.exit(1);
   }
 
-  saveAccountsData(data);
-  console.log(`✓ Account "${name}" logged out.`);
+  return { from, to };
 }
 
-function setDefaultAccount(accountId) {
-  const data = loadAccountsData();
-  
-  let account = data.accounts[accountId];
-  if (!account) {
-    const found = Object.values(data.accounts).find(a => a.name === accountId);
-    if (found) {
-      account = found;
-      accountId = account.id;
-    } else {
-      console.error(`Account not found: ${accountId}`);
-      return;
+function formatCount(value) {
+  return value.toLocaleString("en-US");
+}
+
+function printUsageTable(title, rows) {
+  console.log(`${title}:\n`);
+
+  if (rows.length === 0) {
+    console.log("  No requests\n");
+    return;
+  }
+
+  console.log("  Name                            Requests        Prompt    Completion         Total");
+  console.log("  " + "-".repeat(84));
+
+  for (const row of rows) {
+    console.log(`  ${row.name.slice(0, 30).padEnd(30)}  ${formatCount(row.requests).padStart(8)}  ${formatCount(row.promptTokens).padStart(12)}  ${formatCount(row.completionTokens).padStart(12)}  ${formatCount(row.totalTokens).padStart(12)}`);
+  }
+
+  console.log("");
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function printUsageCsv(report) {
+  console.log("group,id,name,requests,prompt_tokens,completion_tokens,total_tokens");
+
+  const groups = [["account", report.accounts], ["model", report.models], ["client", report.clients]];
+  for (const [group, rows] of groups) {
+    for (const row of rows) {
+      console.log([group, row.id, row.name, row.requests, row.promptTokens, row.completionTokens, row.totalTokens]
+        .map(csvField)
+        .join(","));
     }
   }
+}
+
+function showUsage(period, options) {
+  const report = queryUsage(resolveUsageRange(period, options));
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  if (options.csv) {
+    printUsageCsv(report);
+    return;
+  }
 
-  data.defaultAccountId = accountId;
-  saveAccountsData(data);
-  console.log(`✓ Default account set to: ${data.accounts[accountId].name}`);
+  const range = report.from === report.to ? report.from : `${report.from} to ${report.to}`;
+  console.log(`Token usage for ${range} (UTC)\n`);
+
+  printUsageTable("Accounts", report.accounts);
+  printUsageTable("Models", report.models);
+
+  const { totals } = report;
+  console.log(`Total: ${formatCount(totals.requests)} request(s), ${formatCount(totals.totalTokens)} tokens (${formatCount(totals.promptTokens)} prompt, ${formatCount(totals.completionTokens)} completion)`);
 }
 
-function toggleAccount(accountId, enabled) {
-  const data = loadAccountsData();
-  
-  let account = data.accounts[accountId];
-  if (!account) {
-    const found = Object.values(data.accounts).find(a => a.name === accountId);
-    if (found) {
-      account = found;
-      accountId = account.id;
-    } else {
-      console.error(`Account not found: ${accountId}`);
+// ============================================
+// Capture Commands
+// ============================================
+
+// Captured headers that must not be replayed as-is
+const SKIPPED_REPLAY_HEADERS = new Set([
+  "host", "content-length", "connection", "transfer-encoding", "accept-encoding",
+  "authorization", "x-api-key", "cookie", "x-request-id",
+]);
+
+function listRecentCaptures() {
+  const captures = listCaptures();
+
+  if (captures.length === 0) {
+    console.log("No captures found. Enable capture with: qwen-proxy config set capture.enabled on");
+    return;
+  }
+
+  console.log("Recent captures:\n");
+  for (const capture of captures.slice(0, 20)) {
+    console.log(`  ${capture.id.padEnd(36)}  ${capture.capturedAt}  ${String(capture.status).padEnd(3)}  ${capture.method} ${capture.url}`);
+  }
+}
+
+// Print changed lines with a few lines of context around each change
+function printDiff(diff, context = 2) {
+  const show = diff.map(() => false);
+
+  diff.forEach((entry, i) => {
+    if (entry.type === " ") return;
+    for (let j = Math.max(0, i - context); j <= Math.min(diff.length - 1, i + context); j++) {
+      show[j] = true;
+    }
+  });
+
+  let skipped = false;
+  diff.forEach((entry, i) => {
+    if (!show[i]) {
+      skipped = true;
       return;
     }
+    if (skipped) {
+      console.log("  ...");
+      skipped = false;
+    }
+    console.log(`${entry.type} ${entry.line}`);
+  });
+}
+
+async function replayCapture(id, options) {
+  const capture = loadCapture(id);
+
+  if (!capture) {
+    console.error(`Capture not found: ${id}`);
+    process.exit(1);
+  }
+
+  const headers = {};
+  for (const [name, value] of Object.entries(capture.request.headers)) {
+    if (!SKIPPED_REPLAY_HEADERS.has(name.toLowerCase())) {
+      headers[name] = value;
+    }
+  }
+
+  const key = options.key || process.env.QWEN_PROXY_API_KEY;
+  if (key) {
+    headers.authorization = `Bearer ${key}`;
+  } else if (capture.request.headers.authorization || capture.request.headers["x-api-key"]) {
+    console.log("Note: the captured request used an API key, which is not stored. Pass one with --key.\n");
+  }
+
+  const { server } = getConfig();
+  const url = `http://${server.host}:${server.port}${capture.request.url}`;
+  const method = capture.request.method;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers,
+      body: method === "GET" || method === "HEAD" ? undefined : capture.request.body,
+    });
+  } catch (e) {
+    console.error(`Failed to reach the proxy at ${url}: ${e.message}`);
+    console.error("Is the server running? Check with: qwen-proxy status");
+    process.exit(1);
+  }
+
+  const body = await response.text();
+
+  console.log(`Replayed ${capture.id} (${method} ${capture.request.url})`);
+  console.log(`  New request ID: ${response.headers.get("x-request-id") || "unknown"}`);
+  console.log(`  Status: ${capture.response.status} -> ${response.status}${capture.response.status === response.status ? " (same)" : ""}`);
+
+  if (options.body) {
+    console.log("\nResponse body:\n");
+    console.log(body);
+  }
+
+  const diff = diffLines(normalizeBody(capture.response.body), normalizeBody(body));
+
+  if (!diff) {
+    console.log("\nResponses are too large to diff.");
+    return;
+  }
+
+  if (diff.every(entry => entry.type === " ")) {
+    console.log("\nResponse body is identical.");
+    return;
+  }
+
+  console.log("\nResponse body diff (- captured, + replayed):\n");
+  printDiff(diff);
+}
+
+// ============================================
+// Model Commands
+// ============================================
+
+// GET a path from the running proxy, authenticating with --key or QWEN_PROXY_API_KEY
+async function fetchFromServer(path, options) {
+  const { server } = getConfig();
+  const key = options.key || process.env.QWEN_PROXY_API_KEY;
+
+  const response = await fetch(`http://${server.host}:${server.port}${path}`, {
+    headers: key ? { authorization: `Bearer ${key}` } : {},
+  });
+
+  if (response.status === 401) {
+    throw new Error("The proxy requires an API key. Pass one with --key or set QWEN_PROXY_API_KEY.");
+  }
+
+  return response;
+}
+
+// Get [{ model, accounts }] from the running server, or from the local
+// catalog (built-in models and aliases) when it is not running
+async function loadModelEntries(modelId, options) {
+  if (!isRunning().running) {
+    console.log("Server is not running; showing built-in models and aliases.\n");
+    const catalog = buildCatalog();
+    return modelId ? [catalog.get(modelId)].filter(Boolean) : [...catalog.values()];
+  }
+
+  let ids = [modelId];
+  if (!modelId) {
+    const list = await (await fetchFromServer("/v1/models", options)).json();
+    ids = list.data.map(model => model.id);
+  }
+
+  const entries = await Promise.all(ids.map(async (id) => {
+    const response = await fetchFromServer(`/v1/models/${encodeURIComponent(id)}`, options);
+    if (response.status === 404) return null;
+
+    const { accounts, ...model } = await response.json();
+    return { model, accounts: accounts || [] };
+  }));
+
+  return entries.filter(Boolean);
+}
+
+// The model an alias stands for, or "" for other models
+function getAliasTarget(model) {
+  return model.root && model.root !== model.id ? model.root : "";
+}
+
+async function listModelsCommand(modelId, options) {
+  let entries;
+  try {
+    entries = await loadModelEntries(modelId, options);
+  } catch (e) {
+    console.error(`Failed to list models: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(entries.map(({ model, accounts }) => ({ ...model, accounts })), null, 2));
+    return;
+  }
+
+  if (modelId) {
+    if (entries.length === 0) {
+      console.error(`Model not found: ${modelId}`);
+      process.exit(1);
+    }
+
+    const [{ model, accounts }] = entries;
+    console.log(`Model: ${model.id}`);
+    if (getAliasTarget(model)) {
+      console.log(`  Alias of: ${getAliasTarget(model)}`);
+    }
+    console.log(`  Owned by: ${model.owned_by}`);
+    console.log(`\nServed by:`);
+    if (accounts.length === 0) {
+      console.log("  No enabled account serves this model.");
+    }
+    for (const account of accounts) {
+      console.log(`  ${account.name.padEnd(15)} ${account.endpoint.padEnd(50)} ${account.discovered ? "listed" : "assumed"}`);
+    }
+    return;
   }
 
-  data.accounts[accountId].enabled = enabled;
-  saveAccountsData(data);
-  console.log(`✓ Account "${data.accounts[accountId].name}" ${enabled ? "enabled" : "disabled"}.`);
+  console.log("Models:\n");
+  console.log("  ID                             Alias of             Served by");
+  console.log("  " + "-".repeat(90));
+
+  for (const { model, accounts } of entries) {
+    const servedBy = accounts.map(account => account.discovered ? account.name : `${account.name}*`).join(", ") || "-";
+    console.log(`  ${model.id.padEnd(30)} ${getAliasTarget(model).padEnd(20)} ${servedBy}`);
+  }
+
+  console.log("");
+  console.log(`Total: ${entries.length} model(s)`);
+  if (entries.some(({ accounts }) => accounts.some(account => !account.discovered))) {
+    console.log("* Assumed from the built-in list; the account's model list has not been fetched.");
+  }
 }
 
-function renameAccount(accountId, newName) {
-  const data = loadAccountsData();
-  
-  let account = data.accounts[accountId];
-  if (!account) {
-    const found = Object.values(data.accounts).find(a => a.name === accountId);
-    if (found) {
-      account = found;
-      accountId = account.id;
-    } else {
-      console.error(`Account not found: ${accountId}`);
+// ============================================
+// Config Commands
+// ============================================
+
+// Format a setting's value for the terminal
+function formatConfigValue(value) {
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Read config.json for editing, exiting if it can't be parsed
+function readConfigForEdit() {
+  try {
+    return readConfigFile();
+  } catch (error) {
+    console.error(`Cannot read ${CONFIG_FILE}: ${error.message}`);
+    console.error("Fix or remove the file, then try again.");
+    process.exit(1);
+  }
+}
+
+function requireConfigKey(key, usage) {
+  if (!key) {
+    console.error(`Usage: ${usage}`);
+    process.exit(1);
+  }
+
+  if (!CONFIG_SCHEMA[key]) {
+    console.error(`Unknown setting: ${key}`);
+    console.error("Run \"qwen-proxy config get\" to list settings.");
+    process.exit(1);
+  }
+}
+
+// Tell the user when and how a changed setting takes effect
+function printApplyHint(key) {
+  const { env } = CONFIG_SCHEMA[key];
+  if (process.env[env] !== undefined) {
+    console.log(`  Note: ${env} is set in this environment and overrides config.json`);
+  }
+
+  if (!isRunning().running) return;
+
+  if (CONFIG_SCHEMA[key].restart) {
+    console.log("  Restart the server to apply: qwen-proxy restart");
+  } else {
+    console.log("  The running server applies this within a few seconds.");
+  }
+}
+
+function setConfigValue(key, text) {
+  const value = parseValue(key, String(text));
+  const error = validateValue(key, value);
+
+  if (error) {
+    console.error(`Invalid value for ${key}: ${error}`);
+    process.exit(1);
+  }
+
+  const data = readConfigForEdit();
+  setPath(data, key, value);
+  writeConfigFile(data);
+
+  console.log(`✓ ${key} set to ${formatConfigValue(value)}`);
+  printApplyHint(key);
+}
+
+function unsetConfigValue(key) {
+  const data = readConfigForEdit();
+  unsetPath(data, key);
+  writeConfigFile(data);
+
+  console.log(`✓ ${key} reset to the default (${formatConfigValue(CONFIG_SCHEMA[key].default)})`);
+  printApplyHint(key);
+}
+
+// Print settings whose key equals or starts with `prefix`
+function showConfig(prefix) {
+  const config = getConfig();
+  const sources = getConfigSources();
+
+  if (prefix && CONFIG_SCHEMA[prefix]) {
+    console.log(formatConfigValue(getPath(config, prefix)));
+    return;
+  }
+
+  const keys = Object.keys(CONFIG_SCHEMA).filter(key => !prefix || key.startsWith(`${prefix}.`));
+  if (keys.length === 0) {
+    console.error(`Unknown setting: ${prefix}`);
+    process.exit(1);
+  }
+
+  const width = Math.max(...keys.map(key => key.length));
+  for (const key of keys) {
+    const source = sources[key] === "env" ? `  (${CONFIG_SCHEMA[key].env})` : sources[key] === "default" ? "  (default)" : "";
+    console.log(`  ${key.padEnd(width)}  ${formatConfigValue(getPath(config, key))}${source}`);
+  }
+}
+
+// Print routing rules in the order they are evaluated
+function showRoutingRules() {
+  const { rules } = getConfig().routing;
+  if (rules.length === 0) return;
+
+  console.log("\nRouting rules (first match wins):");
+  rules.forEach((rule, index) => {
+    console.log(`  ${index + 1}. ${describeRule(rule)}`);
+  });
+}
+
+function validateConfigCommand() {
+  const { errors } = loadConfig();
+
+  if (errors.length === 0) {
+    console.log(`✓ Configuration is valid (${CONFIG_FILE})`);
+    return;
+  }
+
+  console.error("Configuration errors:");
+  for (const error of errors) {
+    console.error(error.key ? `  ${error.key} (${error.source}): ${error.message}` : `  ${error.source}: ${error.message}`);
+  }
+  process.exit(1);
+}
+
+function configure(subcommand, positionals, options) {
+  switch (subcommand) {
+    case "get":
+      showConfig(positionals[0]);
       return;
+    case "set":
+      requireConfigKey(positionals[0], "qwen-proxy config set <key> <value>");
+      if (positionals[1] === undefined) {
+        console.error("Usage: qwen-proxy config set <key> <value>");
+        process.exit(1);
+      }
+      setConfigValue(positionals[0], positionals[1]);
+      return;
+    case "unset":
+      requireConfigKey(positionals[0], "qwen-proxy config unset <key>");
+      unsetConfigValue(positionals[0]);
+      return;
+    case "validate":
+      validateConfigCommand();
+      return;
+  }
+
+  // Shortcuts from before `config set`
+  if (options.strategy !== undefined) {
+    setConfigValue("routing.strategy", options.strategy);
+    return;
+  }
+
+  if (options.affinity !== undefined) {
+    setConfigValue("routing.sessionAffinity", options.affinity);
+    return;
+  }
+
+  if (options.capture !== undefined) {
+    setConfigValue("capture.enabled", options.capture);
+    if (getPath(readConfigFile(), "capture.enabled")) {
+      console.log(`  Captures include message content and are written to ${CAPTURES_DIR}`);
     }
+    return;
   }
 
-  const oldName = account.name;
-  data.accounts[accountId].name = newName;
-  saveAccountsData(data);
-  console.log(`✓ Account renamed from "${oldName}" to "${newName}"`);
+  console.log(`Current configuration (${CONFIG_FILE}):\n`);
+  showConfig();
+  showRoutingRules();
+  console.log(`\nAvailable routing strategies: ${listStrategies().join(", ")}`);
+  console.log("Change a setting with: qwen-proxy config set <key> <value>");
 }
 
 // ============================================
@@ -403,11 +1018,32 @@ async function startServer(port, host) {
 
   ensureDir();
 
-  const config = loadConfig();
-  const finalPort = port || config.port;
-  const finalHost = host || config.host;
+  // --port and --host are remembered for the next start
+  if (port || host) {
+    const data = readConfigForEdit();
+
+    for (const [key, value] of [["server.port", port], ["server.host", host]]) {
+      if (!value) continue;
+
+      const error = validateValue(key, value);
+      if (error) {
+        console.error(`Invalid value for ${key}: ${error}`);
+        process.exit(1);
+      }
+      setPath(data, key, value);
+    }
+
+    writeConfigFile(data);
+  }
+
+  // The server refuses to start with invalid settings, so report them here
+  const { config, errors } = loadConfig();
+  if (errors.length > 0) {
+    validateConfigCommand();
+  }
 
-  saveConfig({ port: finalPort, host: finalHost, routingStrategy: config.routingStrategy });
+  const finalPort = config.server.port;
+  const finalHost = config.server.host;
 
   // Find server.mjs
   const serverPathGlobal = join(homedir(), ".bun", "install", "global", "node_modules", "@ishan-parihar", "qwen-proxy", "dist", "server.mjs");
@@ -428,18 +1064,19 @@ async function startServer(port, host) {
 
   console.log(`Starting Qwen Proxy Server on http://${finalHost}:${finalPort}...`);
 
-  const logFd = openSync(LOG_FILE, "a");
+  const rotation = getLogRotation(config);
+
+  // The server rotates server.log itself; stderr can only be rotated between runs
+  if (needsRotation(ERROR_LOG_FILE, rotation)) {
+    rotateFiles(ERROR_LOG_FILE, rotation.retain);
+  }
   const errorLogFd = openSync(ERROR_LOG_FILE, "a");
 
   const serverProcess = spawn(process.execPath, [actualServerPath], {
     detached: true,
-    stdio: ["ignore", logFd, errorLogFd],
-    env: {
-      ...process.env,
-      PORT: String(finalPort),
-      HOST: finalHost,
-      ROUTING_STRATEGY: config.routingStrategy || "default",
-    },
+    stdio: ["ignore", "ignore", errorLogFd],
+    // Everything else comes from config.json, which the server reloads itself
+    env: { ...process.env, LOG_FILE },
   });
 
   serverProcess.unref();
@@ -455,15 +1092,89 @@ async function startServer(port, host) {
     console.log(`  POST http://${finalHost}:${finalPort}/v1/chat/completions`);
     console.log(`  GET  http://${finalHost}:${finalPort}/status`);
     console.log(`\nUsage with OpenAI SDK:`);
-    console.log(`  OPENAI_API_KEY=any OPENAI_BASE_URL=http://${finalHost}:${finalPort}/v1`);
+    const apiKey = listKeys().length > 0 ? "<your-proxy-key>" : "any";
+    console.log(`  OPENAI_API_KEY=${apiKey} OPENAI_BASE_URL=http://${finalHost}:${finalPort}/v1`);
   } else {
     console.error("Failed to start server. Check logs:");
-    console.error(`  cat ${LOG_FILE}`);
+    console.error("  qwen-proxy logs --errors");
     console.error(`  cat ${ERROR_LOG_FILE}`);
     process.exit(1);
   }
 }
 
+// Log rotation settings for rotating error.log
+function getLogRotation(config) {
+  return {
+    maxBytes: config.logging.maxSize,
+    maxAgeMs: config.logging.maxAgeHours * 3600000,
+    retain: config.logging.retain,
+  };
+}
+
+// Format a parsed log line for the terminal
+function formatLogLine({ entry, raw }) {
+  if (!entry) {
+    return raw;
+  }
+
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join(" ");
+
+  return `${time} ${String(level).toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ""}`;
+}
+
+function showLogs(options) {
+  let since = null;
+  if (options.since !== undefined) {
+    since = parseSince(options.since);
+    if (since === null) {
+      console.error(`Invalid value for --since: ${options.since} (expected e.g. 30m, 2h, 1d or a date)`);
+      process.exit(1);
+    }
+  }
+
+  let limit = since === null ? 100 : Infinity;
+  if (options.lines !== undefined) {
+    if (!Number.isInteger(options.lines) || options.lines < 0) {
+      console.error(`Invalid value for --lines: ${options.lines} (expected a positive integer)`);
+      process.exit(1);
+    }
+    limit = options.lines;
+  }
+
+  const filter = options.errors
+    ? (line) => line.level === "warn" || line.level === "error"
+    : () => true;
+  const print = (line) => console.log(options.json ? line.raw : formatLogLine(line));
+  const printStderr = (line) => console.log(options.json ? line.raw : `[stderr] ${formatLogLine(line)}`);
+
+  // Crashes, including those at startup, only reach the server's stderr
+  const showStderr = options.errors && existsSync(ERROR_LOG_FILE);
+
+  if (!existsSync(LOG_FILE) && !showStderr && !options.follow) {
+    console.log("No logs found");
+    return;
+  }
+
+  if (limit > 0) {
+    readLogLines(LOG_FILE, { limit, since, filter }).forEach(print);
+
+    // stderr lines carry no time, so --since can only skip a file untouched since then
+    if (showStderr && (since === null || statSync(ERROR_LOG_FILE).mtimeMs >= since)) {
+      readLogLines(ERROR_LOG_FILE, { limit: Number.isFinite(limit) ? limit : 100 }).forEach(printStderr);
+    }
+  }
+
+  if (options.follow) {
+    followLog(LOG_FILE, print, { filter });
+    if (options.errors) {
+      followLog(ERROR_LOG_FILE, printStderr);
+    }
+  }
+}
+
 function stopServer() {
   const status = isRunning();
 
@@ -500,11 +1211,14 @@ function showStatus() {
   console.log(`  URL:  http://${status.host}:${status.port}`);
   console.log(`\nEndpoints:`);
   console.log(`  GET  /v1/models`);
+  console.log(`  GET  /v1/models/:id`);
   console.log(`  POST /v1/chat/completions`);
   console.log(`  GET  /status`);
   console.log(`  GET  /accounts`);
+  console.log(`  *    /admin/accounts (with the admin token)`);
+  console.log(`  GET  /dashboard`);
 
-  const data = loadAccountsData();
+  const data = readAccountsFile();
   const accounts = Object.values(data.accounts);
   
   console.log(`\nAccounts: ${accounts.length} configured`);
@@ -523,20 +1237,24 @@ function parseArgs() {
   const command = args[0] || "help";
   const subcommand = args[1];
   const options = {};
+  // Arguments after the subcommand that are not option names or values
+  const positionals = [];
 
   for (let i = 1; i < args.length; i++) {
     if (args[i].startsWith("--")) {
       const key = args[i].slice(2);
       const value = args[i + 1] && !args[i + 1].startsWith("--") ? args[++i] : true;
       options[key] = isNaN(Number(value)) ? value : Number(value);
+    } else if (i > 1) {
+      positionals.push(args[i]);
     }
   }
 
-  return { command, subcommand, options };
+  return { command, subcommand, options, positionals };
 }
 
 async function main() {
-  const { command, subcommand, options } = parseArgs();
+  const { command, subcommand, options, positionals } = parseArgs();
 
   if (command === "account") {
     switch (subcommand) {
@@ -545,51 +1263,73 @@ async function main() {
         listAccounts();
         break;
       case "login":
-        await loginAccount(options.name);
+        if (options.relogin !== undefined && options.name !== undefined) {
+          console.error("Usage: qwen-proxy account login [--name <name> | --relogin <account-id-or-name>] [--no-browser]");
+          process.exit(1);
+        }
+        await loginAccount(options.name, {
+          relogin: options.relogin !== undefined ? String(options.relogin) : undefined,
+          browser: !options["no-browser"],
+        });
         break;
       case "logout":
       case "remove":
       case "rm":
-        if (!process.argv[3] || process.argv[3].startsWith("--")) {
+        if (positionals.length < 1) {
           console.error("Usage: qwen-proxy account logout <account-id-or-name>");
           process.exit(1);
         }
-        logoutAccount(process.argv[3]);
+        await logoutAccount(positionals[0]);
         break;
       case "default":
-        if (!process.argv[3]) {
+        if (positionals.length < 1) {
           console.error("Usage: qwen-proxy account default <account-id-or-name>");
           process.exit(1);
         }
-        setDefaultAccount(process.argv[3]);
+        await setDefaultAccount(positionals[0]);
         break;
       case "enable":
-        if (!process.argv[3]) {
+        if (positionals.length < 1) {
           console.error("Usage: qwen-proxy account enable <account-id-or-name>");
           process.exit(1);
         }
-        toggleAccount(process.argv[3], true);
+        await toggleAccount(positionals[0], true);
         break;
       case "disable":
-        if (!process.argv[3]) {
+        if (positionals.length < 1) {
           console.error("Usage: qwen-proxy account disable <account-id-or-name>");
           process.exit(1);
         }
-        toggleAccount(process.argv[3], false);
+        await toggleAccount(positionals[0], false);
         break;
       case "refresh":
-        if (!process.argv[3]) {
+        if (positionals.length < 1) {
           console.error("Usage: qwen-proxy account refresh <account-id-or-name>");
           process.exit(1);
         }
-        await refreshAccount(process.argv[3]);
+        await refreshAccount(positionals[0]);
         break;
       case "rename":
-        if (!process.argv[3] || !process.argv[4]) {
+        if (positionals.length < 2) {
           console.error("Usage: qwen-proxy account rename <account-id-or-name> <new-name>");
           process.exit(1);
         }
-        renameAccount(process.argv[3], process.argv[4]);
+        await renameAccount(positionals[0], positionals[1]);
+        break;
+      case "weight":
+        if (positionals.length < 2) {
+          console.error("Usage: qwen-proxy account weight <account-id-or-name> <weight>");
+          process.exit(1);
+        }
+        await setAccountWeight(positionals[0], positionals[1]);
+        break;
+      case "tag":
+      case "untag":
+        if (positionals.length < 2) {
+          console.error(`Usage: qwen-proxy account ${subcommand} <account-id-or-name> <tag> [<tag>...]`);
+          process.exit(1);
+        }
+        await tagAccount(positionals[0], positionals.slice(1), subcommand === "tag");
         break;
       default:
         console.log("Account commands:");
@@ -601,10 +1341,65 @@ async function main() {
         console.log("  disable     Disable an account");
         console.log("  refresh     Refresh token for an account");
         console.log("  rename      Rename an account");
+        console.log("  weight      Set routing weight for an account");
+        console.log("  tag         Add tags to an account, for routing rules");
+        console.log("  untag       Remove tags from an account");
+    }
+    return;
+  }
+
+  if (command === "key") {
+    switch (subcommand) {
+      case "create":
+        createApiKey(options.name);
+        break;
+      case "list":
+      case "ls":
+        listApiKeys();
+        break;
+      case "revoke":
+        if (positionals.length < 1) {
+          console.error("Usage: qwen-proxy key revoke <key-id-or-name>");
+          process.exit(1);
+        }
+        revokeApiKey(positionals[0]);
+        break;
+      case "limits":
+        if (positionals.length < 1) {
+          console.error("Usage: qwen-proxy key limits <key-id-or-name> [--rpm <n|off>] [--tokens-per-day <n|off>] [--models <a,b|all>]");
+          process.exit(1);
+        }
+        apiKeyLimits(positionals[0], options);
+        break;
+      default:
+        console.log("API key commands:");
+        console.log("  create      Create a client API key (--name <name>)");
+        console.log("  list        List API keys");
+        console.log("  revoke      Revoke an API key");
+        console.log("  limits      Show or set limits (--rpm, --tokens-per-day, --models)");
     }
     return;
   }
 
+  if (command === "admin") {
+    switch (subcommand) {
+      case "token":
+        createAdminTokenCommand();
+        break;
+      case "revoke":
+        revokeAdminTokenCommand();
+        break;
+      default:
+        showAdminStatus();
+    }
+    return;
+  }
+
+  if (command === "usage") {
+    showUsage(subcommand?.startsWith("--") ? undefined : subcommand, options);
+    return;
+  }
+
   switch (command) {
     case "start":
       await startServer(options.port, options.host);
@@ -625,17 +1420,24 @@ async function main() {
       break;
 
     case "logs":
-      if (!existsSync(LOG_FILE)) {
-        console.log("No logs found");
-        return;
+      showLogs(options);
+      break;
+
+    case "replay":
+      if (!subcommand || subcommand.startsWith("--")) {
+        console.log("Usage: qwen-proxy replay <capture-id> [--key <api-key>] [--body]\n");
+        listRecentCaptures();
+        break;
       }
-      console.log(readFileSync(LOG_FILE, "utf-8"));
+      await replayCapture(subcommand, options);
+      break;
+
+    case "models":
+      await listModelsCommand(subcommand?.startsWith("--") ? undefined : subcommand, options);
       break;
 
     case "config":
-      const currentConfig = loadConfig();
-      console.log("Current configuration:");
-      console.log(JSON.stringify(currentConfig, null, 2));
+      configure(subcommand?.startsWith("--") ? undefined : subcommand, positionals, options);
       break;
 
     case "-v":
@@ -656,4 +1458,11 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+main().catch((error) => {
+  // A damaged keys.json is left for the user to fix rather than overwritten
+  if (error instanceof KeysFileError) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+  console.error(error);
+});
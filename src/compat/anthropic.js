@@ -0,0 +1,394 @@
+/**
+ * Anthropic Messages API Compatibility
+ *
+ * Translates Anthropic `/v1/messages` requests into OpenAI chat completion
+ * requests for the Qwen upstream, and translates responses and streams back.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+import { formatSSEEvent } from './sse.js';
+
+// OpenAI finish_reason -> Anthropic stop_reason
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'end_turn',
+};
+
+// HTTP status -> Anthropic error type
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error',
+};
+
+function generateId(prefix) {
+  return `${prefix}_${randomBytes(12).toString('hex')}`;
+}
+
+function mapStopReason(finishReason) {
+  return STOP_REASONS[finishReason] || 'end_turn';
+}
+
+// Normalize a string or list of text blocks to a single string
+function blocksToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (!Array.isArray(content)) {
+    return '';
+  }
+
+  return content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n\n');
+}
+
+// Convert an Anthropic image block to an OpenAI image_url part
+function imageToPart(block) {
+  const source = block.source || {};
+  const url = source.type === 'base64'
+    ? `data:${source.media_type};base64,${source.data}`
+    : source.url;
+
+  return { type: 'image_url', image_url: { url } };
+}
+
+// Convert a user message, splitting tool results into `tool` messages
+function convertUserMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: 'user', content: message.content }];
+  }
+
+  const toolMessages = [];
+  const parts = [];
+
+  for (const block of message.content || []) {
+    if (block.type === 'tool_result') {
+      const text = blocksToText(block.content);
+      toolMessages.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? `Error: ${text}` : text,
+      });
+    } else if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      parts.push(imageToPart(block));
+    }
+  }
+
+  // Tool results must directly follow the assistant's tool calls
+  const messages = [...toolMessages];
+
+  if (parts.length > 0) {
+    const textOnly = parts.every(part => part.type === 'text');
+    messages.push({
+      role: 'user',
+      content: textOnly ? parts.map(part => part.text).join('\n\n') : parts,
+    });
+  }
+
+  return messages;
+}
+
+// Convert an assistant message, turning tool_use blocks into tool_calls
+function convertAssistantMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: 'assistant', content: message.content }];
+  }
+
+  const texts = [];
+  const toolCalls = [];
+
+  for (const block of message.content || []) {
+    if (block.type === 'text') {
+      texts.push(block.text);
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input ?? {}),
+        },
+      });
+    }
+    // Thinking blocks have no OpenAI equivalent and are dropped
+  }
+
+  const converted = {
+    role: 'assistant',
+    content: texts.length > 0 ? texts.join('\n\n') : null,
+  };
+
+  if (toolCalls.length > 0) {
+    converted.tool_calls = toolCalls;
+  }
+
+  return [converted];
+}
+
+function convertToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Convert an Anthropic Messages request to an OpenAI chat completion request
+ */
+export function anthropicToOpenAIRequest(body) {
+  const messages = [];
+
+  const system = blocksToText(body.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  for (const message of body.messages || []) {
+    if (message.role === 'assistant') {
+      messages.push(...convertAssistantMessage(message));
+    } else {
+      messages.push(...convertUserMessage(message));
+    }
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    stop: body.stop_sequences,
+    stream: body.stream === true,
+    user: body.metadata?.user_id,
+  };
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    request.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema,
+      },
+    }));
+    request.tool_choice = convertToolChoice(body.tool_choice);
+  }
+
+  if (request.stream) {
+    // Usage is needed for the final message_delta event
+    request.stream_options = { include_usage: true };
+  }
+
+  // Drop unset fields so upstream defaults apply
+  for (const key of Object.keys(request)) {
+    if (request[key] === undefined) {
+      delete request[key];
+    }
+  }
+
+  return request;
+}
+
+function parseToolArguments(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Convert a non-streaming OpenAI chat completion to an Anthropic message
+ */
+export function openAIToAnthropicResponse(completion, model) {
+  const choice = completion.choices?.[0] || {};
+  const message = choice.message || {};
+  const content = [];
+
+  if (message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id || generateId('toolu'),
+      name: toolCall.function?.name,
+      input: parseToolArguments(toolCall.function?.arguments),
+    });
+  }
+
+  return {
+    id: completion.id ? `msg_${completion.id}` : generateId('msg'),
+    type: 'message',
+    role: 'assistant',
+    model: model || completion.model,
+    content,
+    stop_reason: mapStopReason(choice.finish_reason),
+    stop_sequence: null,
+    usage: {
+      input_tokens: completion.usage?.prompt_tokens || 0,
+      output_tokens: completion.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+/**
+ * Build an Anthropic error body
+ */
+export function anthropicError(status, message) {
+  const type = ERROR_TYPES[status] || (status >= 500 ? 'api_error' : 'invalid_request_error');
+  return { type: 'error', error: { type, message } };
+}
+
+/**
+ * Create a translator from OpenAI stream chunks to Anthropic SSE events
+ *
+ * `push(chunk)` takes a parsed OpenAI chunk and returns SSE strings to
+ * send; `finish()` returns the closing events once the upstream is done.
+ */
+export function createAnthropicStreamTranslator(model) {
+  let started = false;
+  let blockIndex = -1;
+  let openBlock = null;
+  let stopReason = 'end_turn';
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  // OpenAI tool call index -> Anthropic content block index
+  const toolBlocks = new Map();
+
+  function start(events, id) {
+    if (started) return;
+    started = true;
+
+    events.push(formatSSEEvent('message_start', {
+      type: 'message_start',
+      message: {
+        id: id ? `msg_${id}` : generateId('msg'),
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { ...usage },
+      },
+    }));
+  }
+
+  function closeBlock(events) {
+    if (!openBlock) return;
+
+    events.push(formatSSEEvent('content_block_stop', {
+      type: 'content_block_stop',
+      index: blockIndex,
+    }));
+    openBlock = null;
+  }
+
+  function openNewBlock(events, contentBlock) {
+    closeBlock(events);
+    blockIndex++;
+    openBlock = contentBlock.type;
+
+    events.push(formatSSEEvent('content_block_start', {
+      type: 'content_block_start',
+      index: blockIndex,
+      content_block: contentBlock,
+    }));
+  }
+
+  return {
+    push(chunk) {
+      const events = [];
+      start(events, chunk.id);
+
+      if (chunk.usage) {
+        usage.input_tokens = chunk.usage.prompt_tokens || 0;
+        usage.output_tokens = chunk.usage.completion_tokens || 0;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) {
+        return events;
+      }
+
+      const delta = choice.delta || {};
+
+      if (delta.content) {
+        if (openBlock !== 'text') {
+          openNewBlock(events, { type: 'text', text: '' });
+        }
+
+        events.push(formatSSEEvent('content_block_delta', {
+          type: 'content_block_delta',
+          index: blockIndex,
+          delta: { type: 'text_delta', text: delta.content },
+        }));
+      }
+
+      for (const toolCall of delta.tool_calls || []) {
+        const toolIndex = toolCall.index ?? 0;
+
+        if (!toolBlocks.has(toolIndex)) {
+          openNewBlock(events, {
+            type: 'tool_use',
+            id: toolCall.id || generateId('toolu'),
+            name: toolCall.function?.name || '',
+            input: {},
+          });
+          toolBlocks.set(toolIndex, blockIndex);
+        }
+
+        if (toolCall.function?.arguments) {
+          events.push(formatSSEEvent('content_block_delta', {
+            type: 'content_block_delta',
+            index: toolBlocks.get(toolIndex),
+            delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments },
+          }));
+        }
+      }
+
+      if (choice.finish_reason) {
+        stopReason = mapStopReason(choice.finish_reason);
+      }
+
+      return events;
+    },
+
+    finish() {
+      const events = [];
+      start(events);
+      closeBlock(events);
+
+      events.push(formatSSEEvent('message_delta', {
+        type: 'message_delta',
+        delta: { stop_reason: stopReason, stop_sequence: null },
+        usage: { output_tokens: usage.output_tokens },
+      }));
+      events.push(formatSSEEvent('message_stop', { type: 'message_stop' }));
+
+      return events;
+    },
+  };
+}
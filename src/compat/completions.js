@@ -0,0 +1,176 @@
+/**
+ * Legacy Completions API Compatibility
+ *
+ * Implements `/v1/completions` (including fill-in-the-middle with
+ * `suffix`) on top of chat completions, and converts the results back
+ * into the `text_completion` shape.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+// Marks the insertion point in fill-in-the-middle prompts
+const CURSOR = '<|cursor|>';
+
+const CONTINUE_PROMPT = 'You are a text completion engine. Continue the text exactly where it ends. '
+  + 'Reply with only the continuation: do not repeat the text, explain, or wrap the output in code fences.';
+
+const FILL_PROMPT = `You are a code completion engine. The user sends a file with the marker ${CURSOR} at the cursor. `
+  + 'Reply with only the code to insert at the marker: do not repeat the surrounding code, explain, '
+  + 'or wrap the output in code fences.';
+
+// Each prompt and choice is a separate upstream request, so both are capped
+export const MAX_PROMPTS = 16;
+export const MAX_CHOICES = 8;
+
+/**
+ * Generate a completion ID
+ */
+export function generateCompletionId() {
+  return `cmpl-${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Normalize `prompt` into a list of prompt strings
+ */
+export function normalizePrompts(prompt) {
+  if (Array.isArray(prompt)) {
+    // Token arrays are not supported, only strings
+    return prompt.filter(p => typeof p === 'string');
+  }
+
+  return [typeof prompt === 'string' ? prompt : ''];
+}
+
+/**
+ * Read `n` (choices per prompt) from a completions request
+ *
+ * Returns 1 when unset, or null unless it is an integer from 1 to
+ * MAX_CHOICES.
+ */
+export function parseChoiceCount(n) {
+  if (n === undefined || n === null) {
+    return 1;
+  }
+
+  return Number.isInteger(n) && n >= 1 && n <= MAX_CHOICES ? n : null;
+}
+
+/**
+ * Convert one prompt of a completions request to a chat completion request
+ */
+export function completionToChatRequest(body, prompt) {
+  const fillInMiddle = typeof body.suffix === 'string' && body.suffix.length > 0;
+
+  const request = {
+    model: body.model,
+    messages: [
+      { role: 'system', content: fillInMiddle ? FILL_PROMPT : CONTINUE_PROMPT },
+      { role: 'user', content: fillInMiddle ? `${prompt}${CURSOR}${body.suffix}` : prompt },
+    ],
+    max_tokens: body.max_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    stop: body.stop,
+    seed: body.seed,
+    presence_penalty: body.presence_penalty,
+    frequency_penalty: body.frequency_penalty,
+    user: body.user,
+    stream: body.stream === true,
+    // Always ask for usage so tokens are counted; hidden unless requested
+    stream_options: body.stream === true ? { include_usage: true } : undefined,
+  };
+
+  for (const key of Object.keys(request)) {
+    if (request[key] === undefined || request[key] === null) {
+      delete request[key];
+    }
+  }
+
+  return request;
+}
+
+/**
+ * Clean up chat output for use as raw completion text
+ *
+ * Removes a surrounding code fence and cuts the text at the first stop
+ * sequence, in case the model ignored either instruction.
+ */
+export function cleanCompletionText(text, stop) {
+  let cleaned = text;
+
+  const fenced = cleaned.match(/^\s*```[\w+-]*\n([\s\S]*?)\n?```\s*$/);
+  if (fenced) {
+    cleaned = fenced[1];
+  }
+
+  const stops = Array.isArray(stop) ? stop : stop ? [stop] : [];
+  for (const sequence of stops) {
+    const index = cleaned.indexOf(sequence);
+    if (sequence && index !== -1) {
+      cleaned = cleaned.slice(0, index);
+    }
+  }
+
+  return cleaned;
+}
+
+/**
+ * Build a text_completion choice from a chat completion
+ */
+export function chatToCompletionChoice(completion, { index, prompt, echo, stop }) {
+  const choice = completion.choices?.[0] || {};
+  const text = cleanCompletionText(choice.message?.content || '', stop);
+
+  return {
+    text: echo ? prompt + text : text,
+    index,
+    logprobs: null,
+    finish_reason: choice.finish_reason === 'length' ? 'length' : 'stop',
+  };
+}
+
+/**
+ * Build a text_completion response
+ */
+export function createCompletionResponse(id, model, choices, usage) {
+  return {
+    id,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices,
+    usage: usage && {
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      total_tokens: usage.totalTokens,
+    },
+  };
+}
+
+/**
+ * Convert a chat completion stream chunk to a text_completion chunk
+ */
+export function chatChunkToCompletionChunk(chunk, id, model) {
+  const choice = chunk.choices?.[0];
+
+  const converted = {
+    id,
+    object: 'text_completion',
+    created: chunk.created || Math.floor(Date.now() / 1000),
+    model,
+    choices: choice
+      ? [{
+        text: choice.delta?.content || '',
+        index: 0,
+        logprobs: null,
+        finish_reason: choice.finish_reason ?? null,
+      }]
+      : [],
+  };
+
+  if (chunk.usage) {
+    converted.usage = chunk.usage;
+  }
+
+  return converted;
+}
@@ -0,0 +1,338 @@
+/**
+ * Ollama API Compatibility
+ *
+ * Maps Ollama's `/api/chat` and `/api/generate` onto OpenAI chat
+ * completions, and `/api/tags` and `/api/show` onto the static model
+ * table. Ollama streams newline-delimited JSON and streams by default.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+// Tag appended to model names, as Ollama clients expect name:tag
+const DEFAULT_TAG = ':latest';
+
+// Base64 prefixes of common image formats (Ollama sends raw base64)
+const IMAGE_SIGNATURES = [
+  ['/9j/', 'image/jpeg'],
+  ['iVBORw0KGgo', 'image/png'],
+  ['R0lGOD', 'image/gif'],
+  ['UklGR', 'image/webp'],
+];
+
+function generateCallId() {
+  return `call_${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Strip the `:latest` tag from an Ollama model name
+ */
+export function normalizeModelName(name) {
+  return typeof name === 'string' && name.endsWith(DEFAULT_TAG)
+    ? name.slice(0, -DEFAULT_TAG.length)
+    : name;
+}
+
+function imageToDataUrl(image) {
+  if (image.startsWith('data:')) {
+    return image;
+  }
+
+  const signature = IMAGE_SIGNATURES.find(([prefix]) => image.startsWith(prefix));
+  return `data:${signature ? signature[1] : 'image/png'};base64,${image}`;
+}
+
+function withImages(text, images) {
+  if (!Array.isArray(images) || images.length === 0) {
+    return text;
+  }
+
+  return [
+    { type: 'text', text: text || '' },
+    ...images.map(image => ({ type: 'image_url', image_url: { url: imageToDataUrl(image) } })),
+  ];
+}
+
+/**
+ * Convert Ollama chat messages to OpenAI chat messages
+ *
+ * Ollama tool calls carry no IDs, so IDs are generated and matched to
+ * the following tool messages in order.
+ */
+export function convertMessages(messages) {
+  const converted = [];
+  let pendingCallIds = [];
+
+  for (const message of messages || []) {
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+      const toolCalls = message.tool_calls.map(toolCall => ({
+        id: generateCallId(),
+        type: 'function',
+        function: {
+          name: toolCall.function?.name,
+          arguments: typeof toolCall.function?.arguments === 'string'
+            ? toolCall.function.arguments
+            : JSON.stringify(toolCall.function?.arguments ?? {}),
+        },
+      }));
+
+      pendingCallIds = toolCalls.map(toolCall => toolCall.id);
+      converted.push({ role: 'assistant', content: message.content || null, tool_calls: toolCalls });
+    } else if (message.role === 'tool') {
+      converted.push({
+        role: 'tool',
+        tool_call_id: pendingCallIds.shift() || generateCallId(),
+        content: message.content,
+      });
+    } else {
+      converted.push({ role: message.role, content: withImages(message.content, message.images) });
+    }
+  }
+
+  return converted;
+}
+
+function convertFormat(format) {
+  if (format === 'json') {
+    return { type: 'json_object' };
+  }
+
+  if (format && typeof format === 'object') {
+    return { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+  }
+
+  return undefined;
+}
+
+// Build the shared part of the OpenAI request from Ollama options
+function buildRequest(body, messages) {
+  const options = body.options || {};
+  const stream = body.stream !== false;
+
+  const request = {
+    model: normalizeModelName(body.model),
+    messages,
+    stream,
+    temperature: options.temperature,
+    top_p: options.top_p,
+    seed: options.seed,
+    stop: options.stop,
+    max_tokens: options.num_predict > 0 ? options.num_predict : undefined,
+    response_format: convertFormat(body.format),
+    tools: Array.isArray(body.tools) && body.tools.length > 0 ? body.tools : undefined,
+  };
+
+  if (stream) {
+    // Token counts go in the final done chunk
+    request.stream_options = { include_usage: true };
+  }
+
+  for (const key of Object.keys(request)) {
+    if (request[key] === undefined) {
+      delete request[key];
+    }
+  }
+
+  return request;
+}
+
+/**
+ * Convert an Ollama /api/chat request to an OpenAI chat completion request
+ */
+export function ollamaChatToOpenAIRequest(body) {
+  return buildRequest(body, convertMessages(body.messages));
+}
+
+/**
+ * Convert an Ollama /api/generate request to an OpenAI chat completion request
+ */
+export function ollamaGenerateToOpenAIRequest(body) {
+  const messages = [];
+
+  if (body.system) {
+    messages.push({ role: 'system', content: body.system });
+  }
+
+  messages.push({ role: 'user', content: withImages(body.prompt || '', body.images) });
+
+  return buildRequest(body, messages);
+}
+
+function parseToolArguments(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function convertToolCalls(toolCalls) {
+  return toolCalls.map(toolCall => ({
+    function: {
+      name: toolCall.function?.name,
+      arguments: parseToolArguments(toolCall.function?.arguments),
+    },
+  }));
+}
+
+// Statistics fields of a final Ollama chunk
+function doneFields(finishReason, usage, startedAt) {
+  const totalDuration = Number(process.hrtime.bigint() - startedAt);
+
+  return {
+    done_reason: finishReason === 'length' ? 'length' : 'stop',
+    done: true,
+    total_duration: totalDuration,
+    load_duration: 0,
+    prompt_eval_count: usage?.prompt_tokens || 0,
+    prompt_eval_duration: 0,
+    eval_count: usage?.completion_tokens || 0,
+    eval_duration: totalDuration,
+  };
+}
+
+/**
+ * Convert a non-streaming OpenAI completion to an Ollama response
+ *
+ * `kind` is 'chat' or 'generate'; `startedAt` is a process.hrtime.bigint().
+ */
+export function openAIToOllamaResponse(completion, model, kind, startedAt) {
+  const choice = completion.choices?.[0] || {};
+  const message = choice.message || {};
+  const result = { model, created_at: new Date().toISOString() };
+
+  if (kind === 'chat') {
+    result.message = { role: 'assistant', content: message.content || '' };
+    if (message.tool_calls?.length) {
+      result.message.tool_calls = convertToolCalls(message.tool_calls);
+    }
+  } else {
+    result.response = message.content || '';
+  }
+
+  return { ...result, ...doneFields(choice.finish_reason, completion.usage, startedAt) };
+}
+
+/**
+ * Create a translator from OpenAI stream chunks to Ollama NDJSON lines
+ *
+ * Ollama sends tool calls whole, so their arguments are accumulated and
+ * emitted in one chunk when the upstream finishes.
+ */
+export function createOllamaStreamTranslator(model, kind, startedAt) {
+  let finishReason = null;
+  let usage = null;
+  // OpenAI tool call index -> accumulated call
+  const toolCalls = new Map();
+
+  function line(fields) {
+    return JSON.stringify({ model, created_at: new Date().toISOString(), ...fields }) + '\n';
+  }
+
+  function contentFields(text, calls) {
+    if (kind === 'generate') {
+      return { response: text };
+    }
+
+    const message = { role: 'assistant', content: text };
+    if (calls) {
+      message.tool_calls = calls;
+    }
+    return { message };
+  }
+
+  return {
+    push(chunk) {
+      const lines = [];
+
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) {
+        return lines;
+      }
+
+      const delta = choice.delta || {};
+
+      if (delta.content) {
+        lines.push(line({ ...contentFields(delta.content), done: false }));
+      }
+
+      for (const toolCall of delta.tool_calls || []) {
+        const index = toolCall.index ?? 0;
+        const call = toolCalls.get(index) || { function: { name: '', arguments: '' } };
+
+        if (toolCall.function?.name) {
+          call.function.name = toolCall.function.name;
+        }
+        call.function.arguments += toolCall.function?.arguments || '';
+        toolCalls.set(index, call);
+      }
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      return lines;
+    },
+
+    finish() {
+      const lines = [];
+
+      if (toolCalls.size > 0 && kind === 'chat') {
+        lines.push(line({ ...contentFields('', convertToolCalls([...toolCalls.values()])), done: false }));
+      }
+
+      lines.push(line({ ...contentFields(''), ...doneFields(finishReason, usage, startedAt) }));
+      return lines;
+    },
+  };
+}
+
+function modelDetails() {
+  return {
+    parent_model: '',
+    format: 'api',
+    family: 'qwen',
+    families: ['qwen'],
+    parameter_size: '',
+    quantization_level: '',
+  };
+}
+
+/**
+ * Build the /api/tags response from OpenAI model entries
+ */
+export function modelsToOllamaTags(models) {
+  return {
+    models: models.map(model => ({
+      name: `${model.id}${DEFAULT_TAG}`,
+      model: `${model.id}${DEFAULT_TAG}`,
+      modified_at: new Date(model.created * 1000).toISOString(),
+      size: 0,
+      digest: '',
+      details: modelDetails(),
+    })),
+  };
+}
+
+/**
+ * Build the /api/show response for an OpenAI model entry
+ */
+export function modelToOllamaShow(model) {
+  const capabilities = ['completion', 'tools'];
+  if (model.id.includes('vision')) {
+    capabilities.push('vision');
+  }
+
+  return {
+    modelfile: '',
+    parameters: '',
+    template: '',
+    details: modelDetails(),
+    model_info: { 'general.architecture': 'qwen', 'general.basename': model.id },
+    capabilities,
+    modified_at: new Date(model.created * 1000).toISOString(),
+  };
+}
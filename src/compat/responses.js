@@ -0,0 +1,470 @@
+/**
+ * OpenAI Responses API Compatibility
+ *
+ * Implements `/v1/responses` on top of chat completions: `input` items,
+ * `instructions` and function tools are converted to chat messages, and
+ * the upstream completion is converted back into a Response object or a
+ * stream of Responses events. Recent responses are kept in memory so
+ * `previous_response_id` can continue a conversation.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+import { formatSSEEvent } from './sse.js';
+
+// Stored responses kept for previous_response_id
+const MAX_STORED_RESPONSES = 500;
+const STORED_RESPONSE_TTL_MS = 60 * 60 * 1000;
+
+// Response ID -> { response, messages, storedAt }
+const storedResponses = new Map();
+
+function generateId(prefix) {
+  return `${prefix}_${randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Get a stored response entry, or null if unknown or expired
+ */
+export function getStoredResponse(id) {
+  const entry = storedResponses.get(id);
+  if (!entry) return null;
+
+  if (Date.now() - entry.storedAt > STORED_RESPONSE_TTL_MS) {
+    storedResponses.delete(id);
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Store a response and the conversation that produced it
+ */
+export function storeResponse(response, messages) {
+  // Map iteration order is insertion order, so the first key is the oldest
+  while (storedResponses.size >= MAX_STORED_RESPONSES) {
+    storedResponses.delete(storedResponses.keys().next().value);
+  }
+
+  storedResponses.set(response.id, { response, messages, storedAt: Date.now() });
+}
+
+// Convert a Responses content list to chat message content
+function convertContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  const parts = [];
+
+  for (const part of content || []) {
+    if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+      parts.push({ type: 'text', text: part.text });
+    } else if (part.type === 'input_image') {
+      parts.push({ type: 'image_url', image_url: { url: part.image_url, detail: part.detail } });
+    }
+  }
+
+  return parts.every(part => part.type === 'text')
+    ? parts.map(part => part.text).join('\n\n')
+    : parts;
+}
+
+/**
+ * Convert Responses `input` into chat messages
+ */
+export function inputToMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+
+  const messages = [];
+
+  for (const item of input || []) {
+    const type = item.type || 'message';
+
+    if (type === 'message') {
+      messages.push({
+        role: item.role === 'developer' ? 'system' : item.role,
+        content: convertContent(item.content),
+      });
+    } else if (type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' },
+      };
+
+      // Consecutive calls belong to the same assistant turn
+      const last = messages[messages.length - 1];
+      if (last?.role === 'assistant' && last.tool_calls && !last.content) {
+        last.tool_calls.push(toolCall);
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output),
+      });
+    }
+  }
+
+  return messages;
+}
+
+function convertToolChoice(toolChoice) {
+  if (typeof toolChoice === 'string') {
+    return toolChoice;
+  }
+
+  if (toolChoice?.type === 'function') {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+
+  return undefined;
+}
+
+function convertTextFormat(format) {
+  if (format?.type === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: { name: format.name, schema: format.schema, strict: format.strict },
+    };
+  }
+
+  if (format?.type === 'json_object') {
+    return { type: 'json_object' };
+  }
+
+  return undefined;
+}
+
+/**
+ * Convert a Responses request to a chat completion request
+ *
+ * `history` holds the messages of the previous response, if any. Returns
+ * the chat request and the conversation (without instructions) to store.
+ */
+export function responsesToOpenAIRequest(body, history = []) {
+  const conversation = [...history, ...inputToMessages(body.input)];
+  const messages = body.instructions
+    ? [{ role: 'system', content: body.instructions }, ...conversation]
+    : conversation;
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_output_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    user: body.user,
+    stream: body.stream === true,
+    response_format: convertTextFormat(body.text?.format),
+  };
+
+  // Only function tools have a chat completions equivalent
+  const tools = (body.tools || []).filter(tool => tool.type === 'function');
+  if (tools.length > 0) {
+    request.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    }));
+    request.tool_choice = convertToolChoice(body.tool_choice);
+    request.parallel_tool_calls = body.parallel_tool_calls;
+  }
+
+  if (request.stream) {
+    request.stream_options = { include_usage: true };
+  }
+
+  for (const key of Object.keys(request)) {
+    if (request[key] === undefined) {
+      delete request[key];
+    }
+  }
+
+  return { request, conversation };
+}
+
+/**
+ * Build the skeleton of a Response object for a request
+ */
+export function createResponseObject(body) {
+  return {
+    id: generateId('resp'),
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status: 'in_progress',
+    error: null,
+    incomplete_details: null,
+    instructions: body.instructions ?? null,
+    max_output_tokens: body.max_output_tokens ?? null,
+    model: body.model,
+    output: [],
+    parallel_tool_calls: body.parallel_tool_calls ?? true,
+    previous_response_id: body.previous_response_id ?? null,
+    temperature: body.temperature ?? null,
+    top_p: body.top_p ?? null,
+    tool_choice: body.tool_choice ?? 'auto',
+    tools: body.tools || [],
+    text: body.text || { format: { type: 'text' } },
+    store: body.store !== false,
+    metadata: body.metadata || {},
+    usage: null,
+  };
+}
+
+function convertUsage(usage) {
+  if (!usage) return null;
+
+  return {
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+  };
+}
+
+function messageItem(id, text, status) {
+  return {
+    type: 'message',
+    id,
+    status,
+    role: 'assistant',
+    content: [{ type: 'output_text', text, annotations: [] }],
+  };
+}
+
+function functionCallItem(id, toolCall, status) {
+  return {
+    type: 'function_call',
+    id,
+    call_id: toolCall.id,
+    name: toolCall.name,
+    arguments: toolCall.arguments,
+    status,
+  };
+}
+
+// Fill in final status, output_text and usage
+function completeResponse(response, finishReason, usage) {
+  response.status = finishReason === 'length' ? 'incomplete' : 'completed';
+  response.incomplete_details = finishReason === 'length' ? { reason: 'max_output_tokens' } : null;
+  response.usage = convertUsage(usage);
+  response.output_text = response.output
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content.map(part => part.text))
+    .join('');
+  return response;
+}
+
+/**
+ * Build the assistant chat message for a completed response, for storage
+ */
+export function responseToAssistantMessage(response) {
+  const text = response.output_text || '';
+  const toolCalls = response.output
+    .filter(item => item.type === 'function_call')
+    .map(item => ({
+      id: item.call_id,
+      type: 'function',
+      function: { name: item.name, arguments: item.arguments },
+    }));
+
+  const message = { role: 'assistant', content: text || null };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+  return message;
+}
+
+/**
+ * Fill a Response object from a non-streaming chat completion
+ */
+export function completionToResponse(response, completion) {
+  const choice = completion.choices?.[0] || {};
+  const message = choice.message || {};
+
+  if (message.content) {
+    response.output.push(messageItem(generateId('msg'), message.content, 'completed'));
+  }
+
+  for (const toolCall of message.tool_calls || []) {
+    response.output.push(functionCallItem(generateId('fc'), {
+      id: toolCall.id || generateId('call'),
+      name: toolCall.function?.name,
+      arguments: toolCall.function?.arguments || '{}',
+    }, 'completed'));
+  }
+
+  return completeResponse(response, choice.finish_reason, completion.usage);
+}
+
+/**
+ * Create a translator from chat completion chunks to Responses events
+ *
+ * `start()` returns the opening events, `push(chunk)` the events for one
+ * upstream chunk and `finish()` the closing events. The finished Response
+ * object is available as `response`.
+ */
+export function createResponsesStreamTranslator(response) {
+  let sequenceNumber = 0;
+  let finishReason = null;
+  let usage = null;
+  // The output item currently receiving deltas
+  let current = null;
+  // Chat tool call index -> output item state
+  const toolItems = new Map();
+
+  function event(type, data) {
+    return formatSSEEvent(type, { type, sequence_number: sequenceNumber++, ...data });
+  }
+
+  function closeCurrent(events) {
+    if (!current) return;
+
+    const outputIndex = current.outputIndex;
+
+    if (current.type === 'message') {
+      const item = messageItem(current.id, current.text, 'completed');
+      const part = item.content[0];
+
+      events.push(event('response.output_text.done', {
+        item_id: current.id, output_index: outputIndex, content_index: 0, text: current.text,
+      }));
+      events.push(event('response.content_part.done', {
+        item_id: current.id, output_index: outputIndex, content_index: 0, part,
+      }));
+      response.output[outputIndex] = item;
+    } else {
+      const item = functionCallItem(current.id, {
+        id: current.callId,
+        name: current.name,
+        arguments: current.arguments,
+      }, 'completed');
+
+      events.push(event('response.function_call_arguments.done', {
+        item_id: current.id, output_index: outputIndex, arguments: current.arguments,
+      }));
+      response.output[outputIndex] = item;
+    }
+
+    events.push(event('response.output_item.done', {
+      output_index: outputIndex, item: response.output[outputIndex],
+    }));
+    current = null;
+  }
+
+  function openMessage(events) {
+    closeCurrent(events);
+
+    current = { type: 'message', id: generateId('msg'), text: '', outputIndex: response.output.length };
+    const item = { ...messageItem(current.id, '', 'in_progress'), content: [] };
+    response.output.push(item);
+
+    events.push(event('response.output_item.added', { output_index: current.outputIndex, item }));
+    events.push(event('response.content_part.added', {
+      item_id: current.id,
+      output_index: current.outputIndex,
+      content_index: 0,
+      part: { type: 'output_text', text: '', annotations: [] },
+    }));
+  }
+
+  function openFunctionCall(events, toolCall) {
+    closeCurrent(events);
+
+    current = {
+      type: 'function_call',
+      id: generateId('fc'),
+      callId: toolCall.id || generateId('call'),
+      outputIndex: response.output.length,
+      name: toolCall.function?.name || '',
+      arguments: '',
+    };
+
+    const item = functionCallItem(current.id, { id: current.callId, name: current.name, arguments: '' }, 'in_progress');
+    response.output.push(item);
+
+    events.push(event('response.output_item.added', { output_index: current.outputIndex, item }));
+  }
+
+  return {
+    response,
+
+    start() {
+      return [
+        event('response.created', { response: { ...response } }),
+        event('response.in_progress', { response: { ...response } }),
+      ];
+    },
+
+    push(chunk) {
+      const events = [];
+
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) {
+        return events;
+      }
+
+      const delta = choice.delta || {};
+
+      if (delta.content) {
+        if (current?.type !== 'message') {
+          openMessage(events);
+        }
+
+        current.text += delta.content;
+        events.push(event('response.output_text.delta', {
+          item_id: current.id, output_index: current.outputIndex, content_index: 0, delta: delta.content,
+        }));
+      }
+
+      for (const toolCall of delta.tool_calls || []) {
+        const toolIndex = toolCall.index ?? 0;
+
+        if (!toolItems.has(toolIndex)) {
+          openFunctionCall(events, toolCall);
+          toolItems.set(toolIndex, current);
+        }
+
+        const state = toolItems.get(toolIndex);
+        const args = toolCall.function?.arguments;
+
+        if (args) {
+          state.arguments += args;
+          events.push(event('response.function_call_arguments.delta', {
+            item_id: state.id, output_index: state.outputIndex, delta: args,
+          }));
+        }
+      }
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      return events;
+    },
+
+    finish() {
+      const events = [];
+      closeCurrent(events);
+
+      completeResponse(response, finishReason, usage);
+      const type = response.status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+      events.push(event(type, { response }));
+
+      return events;
+    },
+  };
+}
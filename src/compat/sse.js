@@ -0,0 +1,48 @@
+/**
+ * Server-Sent Events Helpers
+ *
+ * Shared by the API compatibility layers that re-encode the upstream
+ * OpenAI chat completion stream.
+ */
+
+/**
+ * Parse an OpenAI-style SSE stream of text chunks into JSON objects
+ *
+ * Stops at `data: [DONE]`. Lines that are not `data:` lines or do not
+ * hold valid JSON are skipped.
+ */
+export async function* parseSSEStream(textChunks) {
+  let buffer = '';
+
+  for await (const chunk of textChunks) {
+    buffer += chunk;
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') {
+        return;
+      }
+
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // Ignore malformed events
+      }
+    }
+  }
+}
+
+/**
+ * Format a named SSE event
+ */
+export function formatSSEEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
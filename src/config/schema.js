@@ -0,0 +1,353 @@
+/**
+ * Configuration Schema
+ *
+ * Every setting in config.json, keyed by its dotted path. Each entry has:
+ *   type - 'integer', 'number', 'boolean', 'string', 'enum', 'object' or 'array'
+ *   default - Value used when neither config.json nor the environment sets it
+ *   env - Environment variable that overrides config.json
+ *   restart - true if the running server only applies it on restart
+ *   min, max - Bounds for numbers
+ *   values - Allowed values for enums (a function, evaluated when validating)
+ *   validate - Extra check returning an error message, for objects and arrays
+ */
+
+import { listStrategies } from '../accounts/strategies.js';
+import { DEFAULT_ROTATION } from '../logging/rotate.js';
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// { "<alias>": "<model>" } or { "<alias>": { "model": "<model>", "params": { ... } } }
+function validateAliases(aliases) {
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (typeof target === 'string') {
+      if (!target) return `alias "${alias}" must map to a model name`;
+      continue;
+    }
+
+    if (!isPlainObject(target) || typeof target.model !== 'string' || !target.model) {
+      return `alias "${alias}" must be a model name or { "model": "<name>", "params": { ... } }`;
+    }
+
+    if (target.params !== undefined && !isPlainObject(target.params)) {
+      return `params of alias "${alias}" must be an object`;
+    }
+  }
+
+  return null;
+}
+
+const RULE_CONDITIONS = ['model', 'key', 'header'];
+const RULE_TARGETS = ['account', 'tag'];
+
+// [{ "model" | "key" | "header": "<pattern>", "account" | "tag": "<name>" }]; see accounts/rules.js
+function validateRules(rules) {
+  for (const [index, rule] of rules.entries()) {
+    const label = `rule ${index + 1}`;
+
+    if (!isPlainObject(rule)) {
+      return `${label} must be an object`;
+    }
+
+    for (const [field, value] of Object.entries(rule)) {
+      if (!RULE_CONDITIONS.includes(field) && !RULE_TARGETS.includes(field)) {
+        return `${label} has unknown field "${field}" (use ${[...RULE_CONDITIONS, ...RULE_TARGETS].join(', ')})`;
+      }
+      if (typeof value !== 'string' || !value) {
+        return `${label}: "${field}" must be a non-empty string`;
+      }
+    }
+
+    if (!RULE_CONDITIONS.some(field => rule[field] !== undefined)) {
+      return `${label} needs a condition (${RULE_CONDITIONS.join(', ')})`;
+    }
+
+    if (rule.account !== undefined && rule.tag !== undefined) {
+      return `${label} may have an account or a tag, not both`;
+    }
+
+    if (rule.account === undefined && rule.tag === undefined && rule.header === undefined) {
+      return `${label} needs an account or a tag`;
+    }
+  }
+
+  return null;
+}
+
+export const CONFIG_SCHEMA = {
+  'server.port': {
+    type: 'integer', min: 1, max: 65535, default: 3000, env: 'PORT', restart: true,
+    description: 'Port to listen on',
+  },
+  'server.host': {
+    type: 'string', default: 'localhost', env: 'HOST', restart: true,
+    description: 'Address to listen on',
+  },
+
+  'routing.strategy': {
+    type: 'enum', values: listStrategies, default: 'default', env: 'ROUTING_STRATEGY',
+    description: 'How requests are spread across accounts',
+  },
+  'routing.maxAttempts': {
+    type: 'integer', min: 1, default: 3, env: 'MAX_ATTEMPTS',
+    description: 'Accounts to try per request before giving up',
+  },
+  'routing.retryBackoffMs': {
+    type: 'integer', min: 0, default: 250, env: 'RETRY_BACKOFF_MS',
+    description: 'Base delay between failover attempts, doubled on each retry',
+  },
+  'routing.rules': {
+    type: 'array', default: [], env: 'ROUTING_RULES', validate: validateRules,
+    description: 'Rules that reserve accounts for models, keys or the x-qwen-account header',
+  },
+  'routing.sessionAffinity': {
+    type: 'boolean', default: false, env: 'SESSION_AFFINITY',
+    description: 'Pin conversations to one account',
+  },
+  'routing.sessionAffinityTtlMs': {
+    type: 'integer', min: 0, default: 30 * 60 * 1000, env: 'SESSION_AFFINITY_TTL_MS',
+    description: 'Idle time before a conversation pin expires',
+  },
+
+  'timeouts.upstreamMs': {
+    type: 'integer', min: 0, default: 120 * 1000, env: 'UPSTREAM_TIMEOUT_MS',
+    description: 'Time to wait for upstream response headers before failing over (0 = no limit)',
+  },
+
+  'models.aliases': {
+    type: 'object', default: {}, env: 'MODEL_ALIASES', validate: validateAliases,
+    description: 'Model names clients may use in place of Qwen models',
+  },
+  'models.discovery': {
+    type: 'boolean', default: true, env: 'MODEL_DISCOVERY',
+    description: 'Ask each account\'s endpoint which models it serves',
+  },
+  'models.discoveryTtlMs': {
+    type: 'integer', min: 1000, default: 10 * 60 * 1000, env: 'MODEL_DISCOVERY_TTL_MS',
+    description: 'How long discovered model lists are cached',
+  },
+
+  'logging.level': {
+    type: 'enum', values: () => LOG_LEVELS, default: 'info', env: 'LOG_LEVEL',
+    description: 'Lowest level written to the log',
+  },
+  'logging.redactContent': {
+    type: 'boolean', default: true, env: 'LOG_REDACT',
+    description: 'Replace message content in logs with its length',
+  },
+  'logging.maxSize': {
+    type: 'integer', min: 1024, default: DEFAULT_ROTATION.maxBytes, env: 'LOG_MAX_SIZE',
+    description: 'Rotate server.log at this many bytes',
+  },
+  'logging.maxAgeHours': {
+    type: 'number', min: 0, default: DEFAULT_ROTATION.maxAgeMs / 3600000, env: 'LOG_MAX_AGE_HOURS',
+    description: 'Rotate server.log once it is this old (0 = no age limit)',
+  },
+  'logging.retain': {
+    type: 'integer', min: 0, default: DEFAULT_ROTATION.retain, env: 'LOG_RETAIN',
+    description: 'Rotated log files to keep',
+  },
+
+  'auth.tokenRefreshAheadMs': {
+    type: 'integer', min: 0, default: 5 * 60 * 1000, env: 'TOKEN_REFRESH_AHEAD_MS',
+    description: 'Refresh OAuth tokens this long before they expire',
+  },
+  'auth.ollamaWithoutKey': {
+    type: 'boolean', default: false, env: 'OLLAMA_WITHOUT_KEY',
+    description: 'Let /api/* (Ollama) requests without an API key through, for clients that cannot send one',
+  },
+
+  'limits.requestsPerMinute': {
+    type: 'integer', min: 0, default: 0, env: 'DEFAULT_KEY_RPM',
+    description: 'Requests per minute for API keys without their own limit (0 = unlimited)',
+  },
+  'limits.tokensPerDay': {
+    type: 'integer', min: 0, default: 0, env: 'DEFAULT_KEY_TOKENS_PER_DAY',
+    description: 'Tokens per UTC day for API keys without their own limit (0 = unlimited)',
+  },
+
+  'capture.enabled': {
+    type: 'boolean', default: false, env: 'CAPTURE',
+    description: 'Record requests to ~/.qwen-proxy/captures',
+  },
+  'capture.maxFiles': {
+    type: 'integer', min: 1, default: 200, env: 'CAPTURE_MAX_FILES',
+    description: 'Captures to keep, oldest deleted first',
+  },
+};
+
+// Flat keys written by earlier versions, and where they live now
+export const LEGACY_KEYS = {
+  port: 'server.port',
+  host: 'server.host',
+  routingStrategy: 'routing.strategy',
+  sessionAffinity: 'routing.sessionAffinity',
+  capture: 'capture.enabled',
+  logMaxSize: 'logging.maxSize',
+  logMaxAgeHours: 'logging.maxAgeHours',
+  logRetain: 'logging.retain',
+};
+
+const TRUE_VALUES = new Set(['1', 'true', 'on', 'yes']);
+const FALSE_VALUES = new Set(['0', 'false', 'off', 'no']);
+
+/**
+ * Get the value at a dotted path, or undefined
+ */
+export function getPath(object, key) {
+  return key.split('.').reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), object);
+}
+
+/**
+ * Set the value at a dotted path, creating objects along the way
+ */
+export function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let node = object;
+
+  for (const part of parts) {
+    if (!isPlainObject(node[part])) {
+      node[part] = {};
+    }
+    node = node[part];
+  }
+
+  node[last] = value;
+}
+
+/**
+ * Remove the value at a dotted path, dropping objects left empty
+ */
+export function unsetPath(object, key) {
+  const parts = key.split('.');
+  const nodes = [object];
+
+  for (const part of parts.slice(0, -1)) {
+    const next = nodes[nodes.length - 1][part];
+    if (!isPlainObject(next)) return;
+    nodes.push(next);
+  }
+
+  delete nodes[nodes.length - 1][parts[parts.length - 1]];
+
+  for (let i = nodes.length - 1; i > 0 && Object.keys(nodes[i]).length === 0; i--) {
+    delete nodes[i - 1][parts[i - 1]];
+  }
+}
+
+/**
+ * Convert text from the command line or an environment variable into a
+ * value of the key's type
+ *
+ * Text that doesn't parse is returned unchanged so validation reports it.
+ */
+export function parseValue(key, text) {
+  const { type } = CONFIG_SCHEMA[key];
+
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(text);
+      return text.trim() !== '' && Number.isFinite(value) ? value : text;
+    }
+    case 'boolean': {
+      const normalized = text.toLowerCase();
+      if (TRUE_VALUES.has(normalized)) return true;
+      if (FALSE_VALUES.has(normalized)) return false;
+      return text;
+    }
+    case 'object':
+    case 'array':
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    default:
+      return text;
+  }
+}
+
+/**
+ * Check a value against its key's schema
+ *
+ * Returns an error message, or null if the value is valid.
+ */
+export function validateValue(key, value) {
+  const entry = CONFIG_SCHEMA[key];
+
+  if (!entry) {
+    return 'unknown setting';
+  }
+
+  switch (entry.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+      if (entry.type === 'integer' && !Number.isInteger(value)) return `must be a whole number, got ${value}`;
+      if (entry.min !== undefined && value < entry.min) return `must be at least ${entry.min}, got ${value}`;
+      if (entry.max !== undefined && value > entry.max) return `must be at most ${entry.max}, got ${value}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`;
+    case 'string':
+      return typeof value === 'string' && value ? null : 'must be a non-empty string';
+    case 'enum': {
+      const values = entry.values();
+      return values.includes(value) ? null : `must be one of ${values.join(', ')}, got ${JSON.stringify(value)}`;
+    }
+    case 'object':
+      if (!isPlainObject(value)) return 'must be a JSON object';
+      return entry.validate ? entry.validate(value) : null;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be a JSON array';
+      return entry.validate ? entry.validate(value) : null;
+    default:
+      return null;
+  }
+}
+
+// Collect the dotted paths of every leaf in config.json that isn't in the schema
+function findUnknownKeys(object, prefix = '') {
+  const unknown = [];
+
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+
+    if (CONFIG_SCHEMA[key]) continue;
+
+    const isSection = Object.keys(CONFIG_SCHEMA).some(k => k.startsWith(`${key}.`));
+    if (isSection && isPlainObject(value)) {
+      unknown.push(...findUnknownKeys(value, key));
+    } else {
+      unknown.push(key);
+    }
+  }
+
+  return unknown;
+}
+
+/**
+ * Validate the contents of config.json
+ *
+ * Returns a list of { key, message }; empty when the file is valid.
+ */
+export function validateConfig(fileData) {
+  const errors = findUnknownKeys(fileData).map(key => ({ key, message: 'unknown setting' }));
+
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    const value = getPath(fileData, key);
+    if (value === undefined) continue;
+
+    const message = validateValue(key, value);
+    if (message) {
+      errors.push({ key, message });
+    }
+  }
+
+  return errors;
+}
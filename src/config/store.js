@@ -0,0 +1,246 @@
+/**
+ * Configuration Store
+ *
+ * Resolves each setting from, in order of precedence: its environment
+ * variable, ~/.qwen-proxy/config.json, and the default in ./schema.js.
+ *
+ * The server loads the configuration once and reloads config.json when it
+ * changes or on SIGHUP. A reload that fails validation keeps the current
+ * settings. Modules read settings with `getConfig()` when they need them,
+ * so reloaded values apply to the next request.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync, watchFile } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { isDeepStrictEqual } from 'node:util';
+
+import {
+  CONFIG_SCHEMA,
+  LEGACY_KEYS,
+  isPlainObject,
+  getPath,
+  setPath,
+  parseValue,
+  validateValue,
+  validateConfig,
+} from './schema.js';
+
+// Paths
+const QWEN_PROXY_DIR = join(homedir(), '.qwen-proxy');
+export const CONFIG_FILE = join(QWEN_PROXY_DIR, 'config.json');
+
+const WATCH_INTERVAL_MS = 1000;
+
+// Resolved configuration in use: { config, sources, errors }
+let current = null;
+const listeners = new Set();
+
+function ensureDir() {
+  if (!existsSync(QWEN_PROXY_DIR)) {
+    mkdirSync(QWEN_PROXY_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+// Move flat keys written by earlier versions to their dotted paths
+function migrateLegacyKeys(data) {
+  for (const [legacyKey, key] of Object.entries(LEGACY_KEYS)) {
+    // `capture` is also the name of a section; only a flat value is legacy
+    if (data[legacyKey] === undefined || isPlainObject(data[legacyKey])) continue;
+
+    // Removed before setting, as the new path may start with the same name
+    const value = data[legacyKey];
+    delete data[legacyKey];
+    if (getPath(data, key) === undefined) {
+      setPath(data, key, value);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Read config.json, or {} if there is none
+ *
+ * Throws if the file is not a JSON object.
+ */
+export function readConfigFile() {
+  if (!existsSync(CONFIG_FILE)) {
+    return {};
+  }
+
+  const data = JSON.parse(readFileSync(CONFIG_FILE, 'utf-8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('config.json must contain a JSON object');
+  }
+
+  return migrateLegacyKeys(data);
+}
+
+/**
+ * Write config.json via a temp file, so the server never reads half a file
+ */
+export function writeConfigFile(data) {
+  ensureDir();
+
+  const tempFile = `${CONFIG_FILE}.${process.pid}.tmp`;
+  writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+  renameSync(tempFile, CONFIG_FILE);
+}
+
+// The environment's value for a setting, or undefined
+function readEnv(key, entry, env) {
+  if (env[entry.env] !== undefined && env[entry.env] !== '') {
+    return parseValue(key, env[entry.env]);
+  }
+
+  // DEBUG=1 predates LOG_LEVEL
+  if (key === 'logging.level' && env.DEBUG === '1') {
+    return 'debug';
+  }
+
+  return undefined;
+}
+
+/**
+ * Resolve the effective configuration from config.json contents and the
+ * environment
+ *
+ * Returns { config, sources, errors }: `config` is nested like config.json
+ * with every setting filled in, `sources` maps each key to 'default',
+ * 'file' or 'env', and `errors` lists { key, source, message } for values
+ * that failed validation (those fall back to the next source).
+ */
+export function resolveConfig(fileData, env = process.env) {
+  const config = {};
+  const sources = {};
+  const errors = validateConfig(fileData).map(error => ({ ...error, source: 'config.json' }));
+  const invalid = new Set(errors.map(error => error.key));
+
+  for (const [key, entry] of Object.entries(CONFIG_SCHEMA)) {
+    let value = entry.default;
+    let source = 'default';
+
+    const fileValue = getPath(fileData, key);
+    if (fileValue !== undefined && !invalid.has(key)) {
+      value = fileValue;
+      source = 'file';
+    }
+
+    const envValue = readEnv(key, entry, env);
+    if (envValue !== undefined) {
+      const message = validateValue(key, envValue);
+      if (message) {
+        errors.push({ key, source: entry.env, message });
+      } else {
+        value = envValue;
+        source = 'env';
+      }
+    }
+
+    setPath(config, key, structuredClone(value));
+    sources[key] = source;
+  }
+
+  return { config, sources, errors };
+}
+
+// Read and resolve config.json, reporting a file that can't be parsed as an error
+function resolveFromDisk() {
+  let fileData = {};
+  let fileError = null;
+
+  try {
+    fileData = readConfigFile();
+  } catch (e) {
+    fileError = { key: null, source: 'config.json', message: e.message };
+  }
+
+  const resolved = resolveConfig(fileData);
+  if (fileError) {
+    resolved.errors.unshift(fileError);
+  }
+
+  return resolved;
+}
+
+/**
+ * Load the configuration, replacing whatever was loaded before
+ *
+ * Returns { config, sources, errors }; see `resolveConfig()`.
+ */
+export function loadConfig() {
+  current = resolveFromDisk();
+  return current;
+}
+
+/**
+ * Get the current configuration, loading it on first use
+ */
+export function getConfig() {
+  return (current ?? loadConfig()).config;
+}
+
+/**
+ * Get where each setting's current value came from
+ */
+export function getConfigSources() {
+  return (current ?? loadConfig()).sources;
+}
+
+/**
+ * Re-read config.json and apply it if it is valid
+ *
+ * Returns { changed, restartRequired, errors }: the keys whose values
+ * changed, those of them the server only applies on restart, and any
+ * validation errors (in which case nothing was applied).
+ */
+export function reloadConfig() {
+  const previous = current ?? loadConfig();
+  const next = resolveFromDisk();
+
+  if (next.errors.length > 0) {
+    return { changed: [], restartRequired: [], errors: next.errors };
+  }
+
+  const changed = Object.keys(CONFIG_SCHEMA)
+    .filter(key => !isDeepStrictEqual(getPath(previous.config, key), getPath(next.config, key)));
+
+  current = next;
+
+  if (changed.length > 0) {
+    for (const listener of listeners) {
+      listener(current.config, changed);
+    }
+  }
+
+  return {
+    changed,
+    restartRequired: changed.filter(key => CONFIG_SCHEMA[key].restart),
+    errors: [],
+  };
+}
+
+/**
+ * Call `listener(config, changedKeys)` after each reload that changes
+ * something. Returns a function that unsubscribes.
+ */
+export function onConfigChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Reload whenever config.json changes
+ *
+ * `onReload(result)` receives what `reloadConfig()` returned.
+ */
+export function watchConfigFile(onReload = () => {}) {
+  watchFile(CONFIG_FILE, { interval: WATCH_INTERVAL_MS }, (currentStat, previousStat) => {
+    if (currentStat.mtimeMs === previousStat.mtimeMs) {
+      return;
+    }
+
+    onReload(reloadConfig());
+  }).unref();
+}
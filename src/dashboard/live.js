@@ -0,0 +1,76 @@
+/**
+ * Live Requests
+ *
+ * Tracks the API requests the server is handling right now, for the
+ * dashboard's live feed. Subscribers hear about each request when it
+ * starts, when its model or serving account becomes known, and when it
+ * ends.
+ */
+
+// Requests still in progress; keyed by object, as clients may reuse request IDs
+const inFlight = new Set();
+const listeners = new Set();
+
+function describeRequest(req, extra = {}) {
+  return {
+    id: req.id,
+    method: req.method,
+    path: req.livePath,
+    model: req.model || null,
+    account: req.account?.name || null,
+    client: req.clientKey?.name || null,
+    startedAt: req.liveStartedAt,
+    ...extra,
+  };
+}
+
+function emit(type, request) {
+  for (const listener of listeners) {
+    listener({ type, request });
+  }
+}
+
+/**
+ * Track a request until its response closes
+ */
+export function trackRequest(req, res, path) {
+  req.livePath = path;
+  req.liveStartedAt = Date.now();
+  inFlight.add(req);
+  emit('start', describeRequest(req));
+
+  res.once('close', () => {
+    inFlight.delete(req);
+    emit('end', describeRequest(req, {
+      status: res.statusCode,
+      aborted: !res.writableFinished,
+      durationMs: Date.now() - req.liveStartedAt,
+      totalTokens: req.usage?.totalTokens ?? null,
+    }));
+  });
+}
+
+/**
+ * Report that a tracked request's model or account changed
+ */
+export function updateRequest(req) {
+  if (inFlight.has(req)) {
+    emit('update', describeRequest(req));
+  }
+}
+
+/**
+ * List the requests in progress, oldest first
+ */
+export function listInFlightRequests() {
+  return [...inFlight].map(req => describeRequest(req));
+}
+
+/**
+ * Call `listener({ type, request })` for each 'start', 'update' and 'end'.
+ * Returns a function that unsubscribes.
+ */
+export function onRequestEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,545 @@
+/**
+ * Dashboard Page
+ *
+ * The single page served at GET /dashboard. Everything it needs is inline,
+ * so it works without internet access: it reads /status, and once an
+ * admin token is entered reads /usage, follows /dashboard/events for
+ * requests in flight and calls the /admin API for account actions. The
+ * token is kept in the tab's sessionStorage only.
+ *
+ * The page script avoids template literals so it can live in one here.
+ */
+
+export const DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Qwen Proxy Dashboard</title>
+<style>
+  :root {
+    --bg: #f6f7f9; --panel: #fff; --text: #1d2330; --muted: #6b7385; --border: #e2e5eb;
+    --accent: #5b5bd6; --accent2: #9d9df0; --ok: #1f9d55; --warn: #c98a00; --bad: #d64545;
+  }
+  @media (prefers-color-scheme: dark) {
+    :root {
+      --bg: #14161b; --panel: #1c1f26; --text: #e4e7ee; --muted: #8a92a6; --border: #2c313c;
+      --accent: #8585f0; --accent2: #4d4da6;
+    }
+  }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif; background: var(--bg); color: var(--text); }
+  header { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; justify-content: space-between; padding: 14px 24px; border-bottom: 1px solid var(--border); background: var(--panel); }
+  header h1 { font-size: 18px; margin: 0; }
+  main { padding: 20px 24px; display: grid; gap: 20px; max-width: 1400px; margin: 0 auto; }
+  section { background: var(--panel); border: 1px solid var(--border); border-radius: 8px; padding: 16px; overflow-x: auto; }
+  h2 { font-size: 15px; margin: 0 0 12px; display: flex; justify-content: space-between; align-items: center; gap: 8px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border); white-space: nowrap; }
+  th { color: var(--muted); font-weight: 600; font-size: 12px; text-transform: uppercase; letter-spacing: .03em; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+  input, select, button { font: inherit; color: inherit; background: var(--bg); border: 1px solid var(--border); border-radius: 6px; padding: 4px 8px; }
+  button { cursor: pointer; }
+  button:disabled { cursor: default; opacity: .5; }
+  button + button { margin-left: 4px; }
+  .summary { display: flex; flex-wrap: wrap; gap: 16px; color: var(--muted); }
+  .summary b { color: var(--text); }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; color: #fff; }
+  .healthy, .valid { background: var(--ok); }
+  .degraded, .cooldown { background: var(--warn); }
+  .login-required, .expired, .error { background: var(--bad); }
+  .disabled { background: var(--muted); }
+  .muted { color: var(--muted); }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 20px; }
+  .chart svg { width: 100%; height: 180px; display: block; }
+  .chart h3, .bars h3 { font-size: 13px; margin: 0 0 6px; color: var(--muted); font-weight: 600; }
+  .bar-row { display: grid; grid-template-columns: 140px 1fr 70px; gap: 8px; align-items: center; margin: 4px 0; }
+  .bar-row .label { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .bar-track { background: var(--bg); border-radius: 4px; height: 12px; }
+  .bar-fill { background: var(--accent); border-radius: 4px; height: 12px; }
+  .legend { display: flex; gap: 12px; font-size: 12px; color: var(--muted); }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; vertical-align: -1px; }
+  #message { min-height: 20px; color: var(--bad); }
+  #message.ok { color: var(--ok); }
+  .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; background: var(--bad); margin-right: 6px; }
+  .dot.live { background: var(--ok); }
+</style>
+</head>
+<body>
+<header>
+  <h1>Qwen Proxy</h1>
+  <div class="summary" id="summary"></div>
+  <form id="token-form">
+    <input id="token" type="password" placeholder="Admin token" autocomplete="off" size="24">
+    <button type="submit" id="token-save">Use token</button>
+    <button type="button" id="token-clear">Forget</button>
+  </form>
+</header>
+<main>
+  <div id="message"></div>
+
+  <section>
+    <h2>Accounts <span class="muted" id="accounts-note"></span></h2>
+    <table>
+      <thead><tr>
+        <th>Name</th><th>State</th><th>Token</th><th>Expires</th><th class="num">Requests</th>
+        <th class="num">In flight</th><th>Last used</th><th>Tags</th><th>Actions</th>
+      </tr></thead>
+      <tbody id="accounts"></tbody>
+    </table>
+  </section>
+
+  <section>
+    <h2>Usage <span class="muted" id="usage-note"></span>
+      <select id="range">
+        <option value="7">Last 7 days</option>
+        <option value="14" selected>Last 14 days</option>
+        <option value="30">Last 30 days</option>
+      </select>
+    </h2>
+    <div class="grid">
+      <div class="chart">
+        <h3>Tokens per day</h3>
+        <div class="legend"><span><i style="background: var(--accent)"></i>Prompt</span><span><i style="background: var(--accent2)"></i>Completion</span></div>
+        <div id="tokens-chart"></div>
+      </div>
+      <div class="chart">
+        <h3>Requests per day</h3>
+        <div class="legend">&nbsp;</div>
+        <div id="requests-chart"></div>
+      </div>
+      <div class="bars"><h3>Tokens by account</h3><div id="account-bars"></div></div>
+      <div class="bars"><h3>Tokens by model</h3><div id="model-bars"></div></div>
+    </div>
+  </section>
+
+  <section>
+    <h2><span><span class="dot" id="live-dot"></span>Requests in flight</span><span class="muted" id="live-count"></span></h2>
+    <table>
+      <thead><tr><th>Request</th><th>Route</th><th>Model</th><th>Account</th><th>Client</th><th class="num">Elapsed</th></tr></thead>
+      <tbody id="in-flight"></tbody>
+    </table>
+  </section>
+
+  <section>
+    <h2>Recently finished</h2>
+    <table>
+      <thead><tr><th>Request</th><th>Route</th><th>Model</th><th>Account</th><th>Status</th><th class="num">Duration</th><th class="num">Tokens</th></tr></thead>
+      <tbody id="finished"></tbody>
+    </table>
+  </section>
+</main>
+
+<script>
+(function () {
+  var STATUS_INTERVAL_MS = 5000;
+  var USAGE_INTERVAL_MS = 60000;
+  var EVENTS_RETRY_MS = 5000;
+  var FINISHED_LIMIT = 50;
+
+  var status = null;
+  var inFlight = new Map();
+  var finished = [];
+
+  function $(id) { return document.getElementById(id); }
+
+  // Build an element; children may be strings, nodes or arrays of them
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (key) {
+      if (key === 'onclick') node.onclick = attrs[key];
+      else if (attrs[key] !== false && attrs[key] != null) node.setAttribute(key, attrs[key] === true ? '' : attrs[key]);
+    });
+    [].concat(children == null ? [] : children).forEach(function (child) {
+      node.append(child instanceof Node ? child : String(child));
+    });
+    return node;
+  }
+
+  function svg(tag, attrs, children) {
+    var node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.keys(attrs || {}).forEach(function (key) { node.setAttribute(key, attrs[key]); });
+    [].concat(children || []).forEach(function (child) {
+      node.append(child instanceof Node ? child : String(child));
+    });
+    return node;
+  }
+
+  function formatNumber(n) {
+    if (n >= 1e9) return (n / 1e9).toFixed(1) + 'B';
+    if (n >= 1e6) return (n / 1e6).toFixed(1) + 'M';
+    if (n >= 1e4) return (n / 1e3).toFixed(1) + 'k';
+    return String(n);
+  }
+
+  function formatDuration(ms) {
+    var seconds = Math.round(ms / 1000);
+    if (ms < 1000) return ms + 'ms';
+    if (seconds < 60) return (ms / 1000).toFixed(1) + 's';
+    if (seconds < 3600) return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+    if (seconds < 86400) return Math.floor(seconds / 3600) + 'h ' + Math.floor(seconds % 3600 / 60) + 'm';
+    return Math.floor(seconds / 86400) + 'd';
+  }
+
+  function formatExpiry(expiryDate) {
+    if (!expiryDate) return '-';
+    var ms = expiryDate - Date.now();
+    return ms <= 0 ? 'expired' : 'in ' + formatDuration(ms);
+  }
+
+  function formatAgo(time) {
+    return time ? formatDuration(Math.max(0, Date.now() - time)) + ' ago' : 'never';
+  }
+
+  function showMessage(text, ok) {
+    var message = $('message');
+    message.textContent = text || '';
+    message.className = ok ? 'ok' : '';
+  }
+
+  // Admin token
+
+  function getToken() {
+    return sessionStorage.getItem('qwen-proxy-admin-token');
+  }
+
+  $('token-form').onsubmit = function (event) {
+    event.preventDefault();
+    var token = $('token').value.trim();
+    if (!token) return;
+    sessionStorage.setItem('qwen-proxy-admin-token', token);
+    $('token').value = '';
+    fetch('/admin/accounts', { headers: { Authorization: 'Bearer ' + token } }).then(function (response) {
+      if (response.ok) {
+        showMessage('Admin token accepted; account actions are available.', true);
+      } else {
+        sessionStorage.removeItem('qwen-proxy-admin-token');
+        return response.json().then(function (body) { showMessage(body.error || 'Admin token rejected'); });
+      }
+    }).catch(function (e) { showMessage(e.message); }).then(function () {
+      renderAccounts();
+      loadUsage();
+      connectEvents();
+    });
+  };
+
+  $('token-clear').onclick = function () {
+    sessionStorage.removeItem('qwen-proxy-admin-token');
+    showMessage('');
+    renderAccounts();
+    loadUsage();
+    connectEvents();
+  };
+
+  function adminAction(label, method, path, body) {
+    showMessage(label + '...', true);
+    fetch(path, {
+      method: method,
+      headers: { Authorization: 'Bearer ' + getToken(), 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    }).then(function (response) {
+      return response.json().then(function (result) {
+        if (!response.ok) throw new Error(result.error || 'HTTP ' + response.status);
+        showMessage(label + ': done', true);
+      });
+    }).catch(function (e) {
+      showMessage(label + ' failed: ' + e.message);
+    }).then(loadStatus);
+  }
+
+  // Accounts
+
+  function loadStatus() {
+    return fetch('/status').then(function (response) { return response.json(); }).then(function (body) {
+      status = body;
+      renderSummary();
+      renderAccounts();
+    }).catch(function (e) {
+      showMessage('Could not load /status: ' + e.message);
+    });
+  }
+
+  function renderSummary() {
+    var summary = $('summary');
+    summary.replaceChildren(
+      el('span', {}, ['Strategy ', el('b', {}, status.routingStrategy)]),
+      el('span', {}, ['Active ', el('b', {}, status.activeAccounts + ' / ' + status.totalAccounts)]),
+      el('span', {}, ['Cooling down ', el('b', {}, status.coolingDownAccounts)]),
+      el('span', {}, ['Login required ', el('b', {}, status.loginRequiredAccounts)])
+    );
+  }
+
+  function renderAccounts() {
+    if (!status) return;
+
+    var admin = Boolean(getToken());
+    $('accounts-note').textContent = admin ? '' : 'enter the admin token to manage accounts';
+
+    var rows = status.accounts.map(function (account) {
+      var state = account.enabled ? account.health.state : 'disabled';
+      var path = '/admin/accounts/' + encodeURIComponent(account.id);
+
+      return el('tr', {}, [
+        el('td', {}, [account.name, account.isDefault ? el('span', { class: 'muted' }, ' (default)') : '']),
+        el('td', {}, el('span', { class: 'badge ' + state, title: account.health.lastError ? 'Last error: ' + account.health.lastError.message : '' }, state)),
+        el('td', {}, el('span', { class: 'badge ' + (account.isValid ? 'valid' : 'expired') }, account.isValid ? 'valid' : 'invalid')),
+        el('td', {}, formatExpiry(account.expiryDate)),
+        el('td', { class: 'num' }, formatNumber(account.requestCount)),
+        el('td', { class: 'num' }, account.inFlight),
+        el('td', {}, formatAgo(account.lastUsed)),
+        el('td', {}, account.tags.join(', ')),
+        el('td', {}, [
+          el('button', {
+            disabled: !admin,
+            onclick: function () {
+              adminAction((account.enabled ? 'Disable ' : 'Enable ') + account.name, 'PATCH', path, { enabled: !account.enabled });
+            },
+          }, account.enabled ? 'Disable' : 'Enable'),
+          el('button', {
+            disabled: !admin || account.isDefault,
+            onclick: function () { adminAction('Make ' + account.name + ' the default', 'PATCH', path, { default: true }); },
+          }, 'Make default'),
+          el('button', {
+            disabled: !admin,
+            onclick: function () { adminAction('Refresh ' + account.name, 'POST', path + '/refresh'); },
+          }, 'Refresh'),
+        ]),
+      ]);
+    });
+
+    if (rows.length === 0) {
+      rows = [el('tr', {}, el('td', { colspan: 9, class: 'muted' }, 'No accounts. Add one with "qwen-proxy account login".'))];
+    }
+    $('accounts').replaceChildren.apply($('accounts'), rows);
+  }
+
+  // Usage
+
+  // Stacked bar chart of days; series are [{ key, color }]
+  function dayChart(days, series) {
+    var width = 600, height = 180, top = 16, bottom = 22, left = 4;
+    var max = Math.max.apply(null, [1].concat(days.map(function (day) {
+      return series.reduce(function (sum, s) { return sum + day[s.key]; }, 0);
+    })));
+    var slot = (width - left) / Math.max(days.length, 1);
+    var scale = (height - top - bottom) / max;
+    var chart = svg('svg', { viewBox: '0 0 ' + width + ' ' + height, preserveAspectRatio: 'none' });
+
+    chart.append(svg('text', { x: left, y: 11, 'font-size': 11, fill: 'currentColor', opacity: 0.6 }, 'max ' + formatNumber(max)));
+
+    days.forEach(function (day, i) {
+      var x = left + i * slot + slot * 0.15;
+      var y = height - bottom;
+      var title = day.date + ': ' + series.map(function (s) { return s.label + ' ' + day[s.key].toLocaleString(); }).join(', ');
+      var group = svg('g', {}, svg('title', {}, title));
+
+      series.forEach(function (s) {
+        var h = day[s.key] * scale;
+        y -= h;
+        group.append(svg('rect', { x: x, y: y, width: slot * 0.7, height: h, rx: 2, style: 'fill: ' + s.color }));
+      });
+      chart.append(group);
+
+      if (days.length <= 14 || i % Math.ceil(days.length / 14) === 0) {
+        chart.append(svg('text', {
+          x: x + slot * 0.35, y: height - 6, 'font-size': 10, 'text-anchor': 'middle', fill: 'currentColor', opacity: 0.6,
+        }, day.date.slice(5)));
+      }
+    });
+
+    return chart;
+  }
+
+  function barList(rows) {
+    if (rows.length === 0) return [el('div', { class: 'muted' }, 'No usage yet')];
+    var max = Math.max.apply(null, rows.map(function (row) { return row.totalTokens; }).concat(1));
+    return rows.slice(0, 10).map(function (row) {
+      return el('div', { class: 'bar-row', title: row.requests + ' requests' }, [
+        el('span', { class: 'label' }, row.name || row.id),
+        el('div', { class: 'bar-track' }, el('div', { class: 'bar-fill', style: 'width: ' + (row.totalTokens / max * 100) + '%' })),
+        el('span', { class: 'num' }, formatNumber(row.totalTokens)),
+      ]);
+    });
+  }
+
+  // /usage only lists days with traffic; fill in the rest
+  function fillDays(usage, count) {
+    var byDate = {};
+    usage.days.forEach(function (day) { byDate[day.date] = day; });
+    var days = [];
+    for (var i = count - 1; i >= 0; i--) {
+      var date = new Date(Date.now() - i * 86400000).toISOString().slice(0, 10);
+      days.push(byDate[date] || { date: date, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+    }
+    return days;
+  }
+
+  function loadUsage() {
+    var count = Number($('range').value);
+    var token = getToken();
+    $('usage-note').textContent = token ? '' : 'enter the admin token to see usage';
+    if (!token) {
+      showUsage({ days: [], accounts: [], models: [] }, count);
+      return Promise.resolve();
+    }
+
+    return fetch('/usage?days=' + count, { headers: { Authorization: 'Bearer ' + token } }).then(function (response) {
+      return response.json().then(function (body) {
+        if (!response.ok) throw new Error(body.error || 'HTTP ' + response.status);
+        showUsage(body, count);
+      });
+    }).catch(function (e) {
+      showMessage('Could not load /usage: ' + e.message);
+    });
+  }
+
+  function showUsage(usage, count) {
+    var days = fillDays(usage, count);
+    $('tokens-chart').replaceChildren(dayChart(days, [
+      { key: 'promptTokens', label: 'prompt', color: 'var(--accent)' },
+      { key: 'completionTokens', label: 'completion', color: 'var(--accent2)' },
+    ]));
+    $('requests-chart').replaceChildren(dayChart(days, [{ key: 'requests', label: 'requests', color: 'var(--accent)' }]));
+    $('account-bars').replaceChildren.apply($('account-bars'), barList(usage.accounts));
+    $('model-bars').replaceChildren.apply($('model-bars'), barList(usage.models));
+  }
+
+  $('range').onchange = loadUsage;
+
+  // Live requests
+
+  function routeOf(request) {
+    return request.method + ' ' + request.path;
+  }
+
+  function renderInFlight() {
+    var requests = Array.from(inFlight.values());
+    $('live-count').textContent = getToken() ? requests.length + ' in flight' : 'enter the admin token to follow requests';
+
+    var rows = requests.map(function (request) {
+      return el('tr', {}, [
+        el('td', { title: request.id }, request.id.slice(0, 8)),
+        el('td', {}, routeOf(request)),
+        el('td', {}, request.model || '-'),
+        el('td', {}, request.account || '-'),
+        el('td', {}, request.client || '-'),
+        el('td', { class: 'num' }, formatDuration(Date.now() - request.startedAt)),
+      ]);
+    });
+    if (rows.length === 0) {
+      rows = [el('tr', {}, el('td', { colspan: 6, class: 'muted' }, 'Idle'))];
+    }
+    $('in-flight').replaceChildren.apply($('in-flight'), rows);
+  }
+
+  function renderFinished() {
+    var rows = finished.map(function (request) {
+      var failed = request.aborted || request.status >= 400;
+      return el('tr', {}, [
+        el('td', { title: request.id }, request.id.slice(0, 8)),
+        el('td', {}, routeOf(request)),
+        el('td', {}, request.model || '-'),
+        el('td', {}, request.account || '-'),
+        el('td', {}, el('span', { class: 'badge ' + (failed ? 'error' : 'valid') }, request.aborted ? 'aborted' : request.status)),
+        el('td', { class: 'num' }, formatDuration(request.durationMs)),
+        el('td', { class: 'num' }, request.totalTokens == null ? '-' : formatNumber(request.totalTokens)),
+      ]);
+    });
+    if (rows.length === 0) {
+      rows = [el('tr', {}, el('td', { colspan: 7, class: 'muted' }, 'Nothing yet'))];
+    }
+    $('finished').replaceChildren.apply($('finished'), rows);
+  }
+
+  function handleEvent(type, data) {
+    if (type === 'snapshot') {
+      inFlight.clear();
+      data.requests.forEach(function (request) { inFlight.set(request.id, request); });
+    } else if (type === 'start' || type === 'update') {
+      inFlight.set(data.id, data);
+    } else if (type === 'end') {
+      inFlight.delete(data.id);
+      finished.unshift(data);
+      finished.length = Math.min(finished.length, FINISHED_LIMIT);
+      renderFinished();
+    }
+    renderInFlight();
+  }
+
+  // One server-sent event: "event:" and "data:" lines
+  function parseEvent(block) {
+    var type = 'message';
+    var data = '';
+    block.split('\\n').forEach(function (line) {
+      if (line.indexOf('event: ') === 0) type = line.slice(7);
+      else if (line.indexOf('data: ') === 0) data += line.slice(6);
+    });
+    if (data) handleEvent(type, JSON.parse(data));
+  }
+
+  // The event stream needs the admin token, which EventSource cannot send,
+  // so it is read with fetch. Set to the current connection's controller.
+  var events = null;
+
+  function connectEvents() {
+    if (events) events.abort();
+    events = null;
+    $('live-dot').className = 'dot';
+
+    var token = getToken();
+    if (!token) {
+      inFlight.clear();
+      renderInFlight();
+      return;
+    }
+
+    var controller = new AbortController();
+    events = controller;
+
+    fetch('/dashboard/events', { headers: { Authorization: 'Bearer ' + token }, signal: controller.signal }).then(function (response) {
+      if (!response.ok) {
+        return response.json().then(function (body) {
+          showMessage('Live requests: ' + (body.error || 'HTTP ' + response.status));
+          events = null;
+        });
+      }
+
+      $('live-dot').className = 'dot live';
+      var reader = response.body.getReader();
+      var decoder = new TextDecoder();
+      var buffer = '';
+
+      function read() {
+        return reader.read().then(function (chunk) {
+          if (chunk.done) throw new Error('Event stream closed');
+          buffer += decoder.decode(chunk.value, { stream: true });
+          var blocks = buffer.split('\\n\\n');
+          buffer = blocks.pop();
+          blocks.forEach(parseEvent);
+          return read();
+        });
+      }
+      return read();
+    }).catch(function () {
+      // Reconnect, unless the stream was replaced or stopped meanwhile
+      if (events !== controller) return;
+      $('live-dot').className = 'dot';
+      setTimeout(function () { if (events === controller) connectEvents(); }, EVENTS_RETRY_MS);
+    });
+  }
+
+  loadStatus();
+  loadUsage();
+  renderInFlight();
+  renderFinished();
+  connectEvents();
+
+  setInterval(loadStatus, STATUS_INTERVAL_MS);
+  setInterval(loadUsage, USAGE_INTERVAL_MS);
+  // Keep elapsed times ticking between events
+  setInterval(function () { if (inFlight.size > 0) renderInFlight(); }, 1000);
+})();
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,139 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line to stdout, or to LOG_FILE when set:
+ *   {"time":"...","level":"info","msg":"...","requestId":"...",...}
+ *
+ * Level, content redaction and rotation of LOG_FILE follow the `logging.*`
+ * settings (see ../config/schema.js) and change with a config reload.
+ *
+ * Credentials (tokens, API keys, Authorization headers) are always redacted.
+ */
+
+import { createRotatingWriter } from './rotate.js';
+import { getConfig, onConfigChange } from '../config/store.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Created on first write, so importing the logger never touches the file
+let fileWriter = null;
+
+function getOutput() {
+  if (!process.env.LOG_FILE) {
+    return process.stdout;
+  }
+
+  if (!fileWriter) {
+    const { logging } = getConfig();
+    fileWriter = createRotatingWriter(process.env.LOG_FILE, {
+      maxBytes: logging.maxSize,
+      maxAgeMs: logging.maxAgeHours * 3600000,
+      retain: logging.retain,
+    });
+  }
+
+  return fileWriter;
+}
+
+// Reopen the log file with new rotation settings on the next write
+onConfigChange((config, changed) => {
+  if (fileWriter && changed.some(key => ['logging.maxSize', 'logging.maxAgeHours', 'logging.retain'].includes(key))) {
+    fileWriter.close();
+    fileWriter = null;
+  }
+});
+
+// Field names are compared lowercased with '-' and '_' removed
+const SECRET_FIELDS = new Set([
+  'authorization', 'accesstoken', 'refreshtoken', 'idtoken', 'token',
+  'apikey', 'xapikey', 'password', 'secret', 'clientsecret', 'devicecode', 'codeverifier',
+]);
+
+const CONTENT_FIELDS = new Set([
+  'content', 'text', 'prompt', 'suffix', 'input', 'instructions', 'system',
+  'arguments', 'output', 'images', 'partialjson',
+]);
+
+function normalizeField(name) {
+  return name.toLowerCase().replace(/[-_]/g, '');
+}
+
+function redactContent(value) {
+  if (typeof value === 'string') {
+    return `[REDACTED ${value.length} chars]`;
+  }
+  return redact(value, true);
+}
+
+/**
+ * Copy a value with credentials (and, unless disabled, message content)
+ * replaced by placeholders
+ */
+export function redact(value, inContent = false) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => (inContent && typeof item === 'string' ? redactContent(item) : redact(item, inContent)));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const copy = {};
+
+  for (const [key, field] of Object.entries(value)) {
+    const name = normalizeField(key);
+
+    if (SECRET_FIELDS.has(name) && field) {
+      copy[key] = '[REDACTED]';
+    } else if (isContentRedacted() && CONTENT_FIELDS.has(name) && field !== null && field !== undefined) {
+      copy[key] = redactContent(field);
+    } else {
+      copy[key] = redact(field, inContent);
+    }
+  }
+
+  return copy;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < LEVELS[getLogLevel()]) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...bindings,
+    ...redact(fields || {}),
+  };
+
+  getOutput().write(JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Create a logger; `bindings` are added to every line it writes
+ */
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+
+    // Logger with extra bindings, e.g. a request ID
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+export function getLogLevel() {
+  return getConfig().logging.level;
+}
+
+export function isContentRedacted() {
+  return getConfig().logging.redactContent;
+}
@@ -0,0 +1,176 @@
+/**
+ * Log File Reader
+ *
+ * Reads structured log lines newest-first across rotated files, without
+ * loading whole files, and follows a log file as it grows and rotates.
+ */
+
+import { existsSync, openSync, readSync, closeSync, statSync, watchFile, unwatchFile } from 'node:fs';
+
+const CHUNK_SIZE = 64 * 1024;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a log line into { time, level, entry, raw }
+ *
+ * JSON lines carry their own time and level; older plain-text lines of the
+ * form "[<ISO time>] ..." are treated as info.
+ */
+export function parseLogLine(raw) {
+  if (raw.startsWith('{')) {
+    try {
+      const entry = JSON.parse(raw);
+      return { time: Date.parse(entry.time), level: entry.level || 'info', entry, raw };
+    } catch {
+      // Fall through to plain text
+    }
+  }
+
+  const match = raw.match(/^\[(\d{4}-\d{2}-\d{2}T[^\]]+)\]/);
+  return { time: match ? Date.parse(match[1]) : NaN, level: 'info', entry: null, raw };
+}
+
+/**
+ * Parse a --since value: a duration like "30s", "15m", "2h", "7d", or a date
+ *
+ * Returns a timestamp in milliseconds, or null if the value is invalid.
+ */
+export function parseSince(value, now = Date.now()) {
+  const match = String(value).match(/^(\d+)([smhd])$/);
+  if (match) {
+    return now - Number(match[1]) * DURATION_UNITS[match[2]];
+  }
+
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// List the current log file followed by its rotations, newest first
+function listLogFiles(path) {
+  const files = [];
+
+  if (existsSync(path)) {
+    files.push(path);
+  }
+
+  for (let i = 1; existsSync(`${path}.${i}`); i++) {
+    files.push(`${path}.${i}`);
+  }
+
+  return files;
+}
+
+// Yield the lines of a file from last to first, reading it in chunks
+function* readLinesBackward(file) {
+  const fd = openSync(file, 'r');
+
+  try {
+    let position = statSync(file).size;
+    // Bytes of the line that continues into the previous chunk
+    let carry = Buffer.alloc(0);
+
+    while (position > 0) {
+      const length = Math.min(CHUNK_SIZE, position);
+      position -= length;
+
+      const chunk = Buffer.alloc(length);
+      readSync(fd, chunk, 0, length, position);
+
+      const buffer = Buffer.concat([chunk, carry]);
+      let end = buffer.length;
+
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] === 0x0a) {
+          const line = buffer.subarray(i + 1, end).toString('utf-8');
+          if (line) yield line;
+          end = i;
+        }
+      }
+
+      carry = buffer.subarray(0, end);
+    }
+
+    const first = carry.toString('utf-8');
+    if (first) yield first;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Read the last `limit` matching lines of a log and its rotated files
+ *
+ * `filter(parsed)` selects lines; reading stops at the first line older
+ * than `since`. Lines are returned oldest first.
+ */
+export function readLogLines(path, { limit = Infinity, since = null, filter = () => true } = {}) {
+  const lines = [];
+
+  for (const file of listLogFiles(path)) {
+    for (const raw of readLinesBackward(file)) {
+      const parsed = parseLogLine(raw);
+
+      if (since !== null && parsed.time < since) {
+        return lines.reverse();
+      }
+
+      if (filter(parsed)) {
+        lines.push(parsed);
+        if (lines.length >= limit) {
+          return lines.reverse();
+        }
+      }
+    }
+  }
+
+  return lines.reverse();
+}
+
+/**
+ * Call `onLine(parsed)` for every line appended to `path` from now on
+ *
+ * Handles the file being rotated or truncated. Returns a function that
+ * stops following.
+ */
+export function followLog(path, onLine, { filter = () => true, interval = 500 } = {}) {
+  let offset = existsSync(path) ? statSync(path).size : 0;
+  let partial = '';
+
+  function readNew(size) {
+    if (size <= offset) return;
+
+    const fd = openSync(path, 'r');
+    try {
+      const buffer = Buffer.alloc(size - offset);
+      readSync(fd, buffer, 0, buffer.length, offset);
+      offset = size;
+
+      const lines = (partial + buffer.toString('utf-8')).split('\n');
+      partial = lines.pop();
+
+      for (const raw of lines) {
+        const parsed = parseLogLine(raw);
+        if (raw && filter(parsed)) {
+          onLine(parsed);
+        }
+      }
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  watchFile(path, { interval }, (current, previous) => {
+    // A new inode or a smaller file means the log was rotated or truncated
+    if (current.ino !== previous.ino || current.size < offset) {
+      offset = 0;
+      partial = '';
+    }
+
+    if (existsSync(path)) {
+      readNew(current.size);
+    }
+  });
+
+  return () => unwatchFile(path);
+}
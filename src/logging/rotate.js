@@ -0,0 +1,129 @@
+/**
+ * Log File Rotation
+ *
+ * Rotated files are numbered: server.log is current, server.log.1 the most
+ * recent rotation and server.log.<retain> the oldest kept.
+ */
+
+import { existsSync, statSync, renameSync, unlinkSync, openSync, readSync, writeSync, closeSync } from 'node:fs';
+
+import { parseLogLine } from './reader.js';
+
+export const DEFAULT_ROTATION = {
+  maxBytes: 10 * 1024 * 1024,
+  maxAgeMs: 24 * 60 * 60 * 1000,
+  retain: 5,
+};
+
+/**
+ * Shift `path` to `path.1`, `path.1` to `path.2` and so on, deleting the
+ * file that falls past `retain`
+ */
+export function rotateFiles(path, retain = DEFAULT_ROTATION.retain) {
+  const oldest = `${path}.${retain}`;
+  if (existsSync(oldest)) {
+    unlinkSync(oldest);
+  }
+
+  for (let i = retain - 1; i >= 1; i--) {
+    if (existsSync(`${path}.${i}`)) {
+      renameSync(`${path}.${i}`, `${path}.${i + 1}`);
+    }
+  }
+
+  if (existsSync(path)) {
+    if (retain > 0) {
+      renameSync(path, `${path}.1`);
+    } else {
+      unlinkSync(path);
+    }
+  }
+}
+
+// Enough of a file to hold its first line
+const FIRST_LINE_BYTES = 4096;
+
+// Time of a file's first log line, or null if it has none
+function readFirstLineTime(path) {
+  const fd = openSync(path, 'r');
+
+  try {
+    const buffer = Buffer.alloc(FIRST_LINE_BYTES);
+    const length = readSync(fd, buffer, 0, buffer.length, 0);
+    const [first] = buffer.subarray(0, length).toString('utf-8').split('\n');
+    const { time } = parseLogLine(first);
+    return Number.isNaN(time) ? null : time;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Age is measured from file creation. Where the filesystem does not record
+// that, the first line's time stands in; ctime would not, as every write
+// moves it. Lines without a time (stderr) leave only the last write.
+function getFileStartTime(path, stats) {
+  return stats.birthtimeMs || readFirstLineTime(path) || stats.mtimeMs;
+}
+
+// A `maxAgeMs` of 0 means no age limit
+function isTooOld(startedAt, maxAgeMs) {
+  return maxAgeMs > 0 && Date.now() - startedAt >= maxAgeMs;
+}
+
+/**
+ * Check whether a log file has reached the size or age limit
+ */
+export function needsRotation(path, { maxBytes, maxAgeMs } = DEFAULT_ROTATION) {
+  if (!existsSync(path)) {
+    return false;
+  }
+
+  const stats = statSync(path);
+  return stats.size >= maxBytes || isTooOld(getFileStartTime(path, stats), maxAgeMs);
+}
+
+/**
+ * Create an append-only writer that rotates `path` by size and age (no
+ * age limit when `maxAgeMs` is 0)
+ */
+export function createRotatingWriter(path, options = {}) {
+  const { maxBytes, maxAgeMs, retain } = { ...DEFAULT_ROTATION, ...options };
+  let fd = null;
+  let size = 0;
+  let openedAt = 0;
+
+  function open() {
+    fd = openSync(path, 'a', 0o600);
+    const stats = statSync(path);
+    size = stats.size;
+    openedAt = stats.size > 0 ? getFileStartTime(path, stats) : Date.now();
+  }
+
+  function rotate() {
+    closeSync(fd);
+    rotateFiles(path, retain);
+    open();
+  }
+
+  open();
+
+  return {
+    write(text) {
+      const bytes = Buffer.byteLength(text);
+
+      if (size > 0 && (size + bytes > maxBytes || isTooOld(openedAt, maxAgeMs))) {
+        rotate();
+      }
+
+      writeSync(fd, text);
+      size += bytes;
+    },
+
+    close() {
+      if (fd !== null) {
+        closeSync(fd);
+        fd = null;
+      }
+    },
+  };
+}
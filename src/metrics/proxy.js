@@ -0,0 +1,73 @@
+/**
+ * Proxy Metrics
+ *
+ * The metrics exported at `GET /metrics`. Account gauges are rebuilt from
+ * the accounts file on every scrape; everything else is updated as
+ * requests happen.
+ */
+
+import { createCounter, createGauge, createHistogram } from './registry.js';
+
+export const requestsTotal = createCounter({
+  name: 'qwen_proxy_requests_total',
+  help: 'Client requests by route, model, serving account and response status.',
+  labelNames: ['route', 'model', 'account', 'status'],
+});
+
+export const upstreamLatency = createHistogram({
+  name: 'qwen_proxy_upstream_latency_seconds',
+  help: 'Time until the upstream API returned response headers.',
+  labelNames: ['account', 'status'],
+});
+
+export const timeToFirstToken = createHistogram({
+  name: 'qwen_proxy_time_to_first_token_seconds',
+  help: 'Time from sending a streaming request upstream to its first chunk.',
+  labelNames: ['model', 'account'],
+});
+
+export const streamsInFlight = createGauge({
+  name: 'qwen_proxy_streams_in_flight',
+  help: 'Upstream streams currently being relayed to clients.',
+});
+
+export const tokenRefreshes = createCounter({
+  name: 'qwen_proxy_token_refreshes_total',
+  help: 'OAuth token refreshes by result (success or failure).',
+  labelNames: ['result'],
+});
+
+// Export both results from the start so rate() works before the first refresh
+for (const result of ['success', 'failure']) {
+  tokenRefreshes.inc({ result }, 0);
+}
+
+export const accountEnabled = createGauge({
+  name: 'qwen_proxy_account_enabled',
+  help: 'Whether the account is enabled (1) or disabled (0).',
+  labelNames: ['account'],
+});
+
+export const accountHealth = createGauge({
+  name: 'qwen_proxy_account_health',
+  help: 'Current health state of the account: 1 for its state, 0 for the others.',
+  labelNames: ['account', 'state'],
+});
+
+export const accountConsecutiveFailures = createGauge({
+  name: 'qwen_proxy_account_consecutive_failures',
+  help: 'Failed upstream requests in a row for the account.',
+  labelNames: ['account'],
+});
+
+export const accountCooldownSeconds = createGauge({
+  name: 'qwen_proxy_account_cooldown_seconds',
+  help: 'Seconds until the account leaves its cooldown (0 when not cooling down).',
+  labelNames: ['account'],
+});
+
+export const accountInFlight = createGauge({
+  name: 'qwen_proxy_account_in_flight',
+  help: 'Upstream requests currently in flight on the account.',
+  labelNames: ['account'],
+});
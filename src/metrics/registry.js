@@ -0,0 +1,161 @@
+/**
+ * Prometheus Metrics Registry
+ *
+ * Minimal counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4). Metrics register themselves on
+ * creation and are all rendered by `renderMetrics()`.
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default histogram buckets, in seconds
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their label values in labelNames order
+function createSeries(labelNames) {
+  const series = new Map();
+
+  return {
+    get(labels = {}, create) {
+      const values = labelNames.map(name => labels[name] ?? '');
+      const key = JSON.stringify(values);
+
+      if (!series.has(key) && create) {
+        const labelObject = Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+        series.set(key, create(labelObject));
+      }
+
+      return series.get(key);
+    },
+
+    entries() {
+      return [...series.values()];
+    },
+
+    clear() {
+      series.clear();
+    },
+  };
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Create a counter
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = createSeries(labelNames);
+
+  return register({
+    inc(labels = {}, amount = 1) {
+      series.get(labels, l => ({ labels: l, value: 0 })).value += amount;
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.entries()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Create a gauge
+ *
+ * `reset()` drops all series, for gauges rebuilt from current state on
+ * every scrape.
+ */
+export function createGauge({ name, help, labelNames = [] }) {
+  const series = createSeries(labelNames);
+  const entry = labels => series.get(labels, l => ({ labels: l, value: 0 }));
+
+  return register({
+    set(labels, value) {
+      entry(labels).value = value;
+    },
+
+    inc(labels = {}, amount = 1) {
+      entry(labels).value += amount;
+    },
+
+    dec(labels = {}, amount = 1) {
+      entry(labels).value -= amount;
+    },
+
+    reset() {
+      series.clear();
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels, value } of series.entries()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Create a histogram
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = createSeries(labelNames);
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  return register({
+    observe(labels, value) {
+      const entry = series.get(labels, l => ({ labels: l, counts: bounds.map(() => 0), sum: 0, count: 0 }));
+
+      bounds.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+      for (const { labels, counts, sum, count } of series.entries()) {
+        bounds.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+
+      return lines;
+    },
+  });
+}
+
+/**
+ * Render every registered metric in the Prometheus text format
+ */
+export function renderMetrics() {
+  return registry.flatMap(metric => metric.render()).join('\n') + '\n';
+}
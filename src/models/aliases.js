@@ -0,0 +1,134 @@
+/**
+ * Model Aliases
+ *
+ * Lets clients use model names of their choosing (e.g. `gpt-4o`) in place
+ * of Qwen models. Aliases come from the `models.aliases` setting:
+ *
+ *   { "gpt-4o": "qwen3-coder-plus",
+ *     "fast": { "model": "qwen3-coder-flash", "params": { "temperature": 0.2 } } }
+ *
+ * An alias's `params` are defaults: they fill in request fields the client
+ * left out and never replace ones it sent. Responses report the alias as
+ * the model, so clients see the name they asked for.
+ */
+
+import { getConfig } from '../config/store.js';
+
+/**
+ * Look up an alias
+ *
+ * Returns { alias, model, params }, or null if `name` is not an alias.
+ */
+export function resolveAlias(name) {
+  const aliases = getConfig().models.aliases;
+
+  if (typeof name !== 'string' || !Object.hasOwn(aliases, name)) {
+    return null;
+  }
+
+  const target = aliases[name];
+  if (typeof target === 'string') {
+    return { alias: name, model: target, params: {} };
+  }
+
+  return { alias: name, model: target.model, params: target.params || {} };
+}
+
+/**
+ * Point a chat completion request at the model its alias stands for
+ *
+ * Changes `requestBody` in place and returns the alias, or null if the
+ * requested model is not an alias.
+ */
+export function applyAlias(requestBody) {
+  const resolved = resolveAlias(requestBody.model);
+  if (!resolved) {
+    return null;
+  }
+
+  for (const [name, value] of Object.entries(resolved.params)) {
+    if (requestBody[name] === undefined) {
+      requestBody[name] = structuredClone(value);
+    }
+  }
+
+  requestBody.model = resolved.model;
+  return resolved;
+}
+
+/**
+ * Build /v1/models entries for the configured aliases
+ *
+ * `root` and `parent` name the model each alias stands for.
+ */
+export function listAliasModels(created) {
+  return Object.keys(getConfig().models.aliases).map((name) => {
+    const { model } = resolveAlias(name);
+
+    return {
+      id: name,
+      object: 'model',
+      created,
+      owned_by: 'qwen-proxy',
+      permission: [],
+      root: model,
+      parent: model,
+    };
+  });
+}
+
+// Replace the `model` field of a JSON document, leaving other text alone
+function rewriteJson(text, model) {
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || data.model === undefined) {
+      return null;
+    }
+
+    data.model = model;
+    return JSON.stringify(data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Report `model` in a non-streaming chat completion body
+ */
+export function rewriteResponseModel(responseText, model) {
+  return rewriteJson(responseText, model) ?? responseText;
+}
+
+/**
+ * Create a rewriter that reports `model` in each event of an SSE stream
+ *
+ * Feed every chunk to `push()` and forward what it returns; events are
+ * passed on once their line is complete. Call `flush()` when the stream
+ * ends.
+ */
+export function createStreamModelRewriter(model) {
+  let buffer = '';
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      return lines.map((line) => {
+        if (!line.startsWith('data:')) {
+          return line + '\n';
+        }
+
+        const rewritten = rewriteJson(line.slice(5), model);
+        return (rewritten ? `data: ${rewritten}` : line) + '\n';
+      }).join('');
+    },
+
+    flush() {
+      const rest = buffer;
+      buffer = '';
+      return rest;
+    },
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * Model Catalog
+ *
+ * Works out which models the proxy can serve. Each enabled account's
+ * endpoint is asked for its model list (`GET <base URL>/models`), and the
+ * answers are cached for the `models.discoveryTtlMs` setting. An account
+ * whose list hasn't been fetched, or that doesn't offer one, is assumed to
+ * serve the built-in models in QWEN_MODELS. Configured aliases are listed
+ * alongside.
+ *
+ * Once every account has been asked at least once, stale lists are
+ * refreshed in the background and the cached ones served meanwhile.
+ */
+
+import {
+  getEnabledAccounts,
+  getValidCredentials,
+  resolveBaseUrl,
+  buildHeaders,
+} from '../accounts/manager.js';
+import { listAliasModels, resolveAlias } from './aliases.js';
+import { getConfig } from '../config/store.js';
+import { createLogger } from '../logging/logger.js';
+
+// Give up on an account's model list after this long
+const DISCOVERY_TIMEOUT_MS = 10 * 1000;
+// Wait this long before asking an account that failed again
+const RETRY_AFTER_FAILURE_MS = 60 * 1000;
+
+// `created` (Unix seconds, as in the OpenAI API) for models without one:
+// fixed, so clients that cache model lists don't see them change on restart
+export const MODELS_CREATED = 1753142400; // 2025-07-22, the qwen3-coder release
+
+// Built-in Qwen models
+export const QWEN_MODELS = {
+  'qwen3-coder-plus': {
+    id: 'qwen3-coder-plus',
+    object: 'model',
+    created: MODELS_CREATED,
+    owned_by: 'qwen',
+    permission: [],
+    root: 'qwen3-coder-plus',
+  },
+  'qwen3-coder-flash': {
+    id: 'qwen3-coder-flash',
+    object: 'model',
+    created: MODELS_CREATED,
+    owned_by: 'qwen',
+    permission: [],
+    root: 'qwen3-coder-flash',
+  },
+  'coder-model': {
+    id: 'coder-model',
+    object: 'model',
+    created: MODELS_CREATED,
+    owned_by: 'qwen',
+    permission: [],
+    root: 'coder-model',
+  },
+  'vision-model': {
+    id: 'vision-model',
+    object: 'model',
+    created: MODELS_CREATED,
+    owned_by: 'qwen',
+    permission: [],
+    root: 'vision-model',
+  },
+};
+
+const logger = createLogger({ component: 'models' });
+
+// Account ID -> { endpoint, models, fetchedAt, error }; `models` is null
+// until a list has been fetched, and kept when a later fetch fails
+const discovered = new Map();
+let refreshing = null;
+
+// Ask one account's endpoint for its models
+async function fetchAccountModels(account) {
+  const credentials = await getValidCredentials(account.id);
+  if (!credentials) {
+    throw new Error('No valid credentials');
+  }
+
+  const endpoint = resolveBaseUrl(credentials.resourceUrl);
+  const response = await fetch(`${endpoint}/models`, {
+    headers: buildHeaders(credentials),
+    signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Upstream returned ${response.status}`);
+  }
+
+  const body = await response.json();
+  if (!Array.isArray(body?.data)) {
+    throw new Error('Response has no model list');
+  }
+
+  const models = body.data
+    .filter(model => typeof model?.id === 'string' && model.id)
+    .map(model => ({
+      id: model.id,
+      object: 'model',
+      created: typeof model.created === 'number' ? model.created : MODELS_CREATED,
+      owned_by: model.owned_by || 'qwen',
+      permission: [],
+      root: model.id,
+    }));
+
+  return { endpoint, models };
+}
+
+async function discoverAccount(account) {
+  const previous = discovered.get(account.id);
+
+  try {
+    const { endpoint, models } = await fetchAccountModels(account);
+    discovered.set(account.id, { endpoint, models, fetchedAt: Date.now(), error: null });
+    logger.debug('Discovered models', { account: account.name, endpoint, count: models.length });
+  } catch (e) {
+    discovered.set(account.id, {
+      endpoint: previous?.endpoint ?? resolveBaseUrl(account.credentials?.resourceUrl),
+      models: previous?.models ?? null,
+      fetchedAt: Date.now(),
+      error: e.message,
+    });
+    logger.warn('Model discovery failed', { account: account.name, error: e.message });
+  }
+}
+
+// Whether an account's cached list should be fetched again
+function isStale(entry, now) {
+  if (!entry) return true;
+
+  const maxAge = entry.error ? RETRY_AFTER_FAILURE_MS : getConfig().models.discoveryTtlMs;
+  return now - entry.fetchedAt >= maxAge;
+}
+
+/**
+ * Fetch the model lists of accounts whose cached list is stale, or of
+ * every enabled account with `force`
+ *
+ * Concurrent calls share one refresh.
+ */
+export function refreshModels({ force = false } = {}) {
+  if (refreshing) {
+    return refreshing;
+  }
+
+  if (!getConfig().models.discovery) {
+    return Promise.resolve();
+  }
+
+  const now = Date.now();
+  const accounts = getEnabledAccounts()
+    .filter(account => !account.loginRequired)
+    .filter(account => force || isStale(discovered.get(account.id), now));
+
+  if (accounts.length === 0) {
+    return Promise.resolve();
+  }
+
+  refreshing = Promise.all(accounts.map(discoverAccount)).finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+}
+
+// Wait for accounts that have never been asked; refresh the rest in the background
+async function ensureDiscovered() {
+  if (!getConfig().models.discovery) {
+    return;
+  }
+
+  const unknown = getEnabledAccounts()
+    .some(account => !account.loginRequired && !discovered.has(account.id));
+
+  const refresh = refreshModels();
+  if (unknown) {
+    await refresh;
+  }
+}
+
+/**
+ * Build the catalog from what is cached, without fetching anything
+ *
+ * Returns a map of model ID -> { model, accounts }, where `accounts` lists
+ * { id, name, endpoint, discovered } for each account that serves the
+ * model; `discovered` is false when the account is only assumed to serve
+ * a built-in model because its list is unknown.
+ */
+export function buildCatalog() {
+  const catalog = new Map();
+  const discovery = getConfig().models.discovery;
+
+  const add = (model, source) => {
+    if (!catalog.has(model.id)) {
+      catalog.set(model.id, { model, accounts: [] });
+    }
+    if (source) {
+      catalog.get(model.id).accounts.push(source);
+    }
+  };
+
+  const accounts = getEnabledAccounts().filter(account => !account.loginRequired);
+
+  for (const account of accounts) {
+    const entry = discovery ? discovered.get(account.id) : null;
+    const known = Boolean(entry?.models);
+    const source = {
+      id: account.id,
+      name: account.name,
+      endpoint: entry?.endpoint ?? resolveBaseUrl(account.credentials?.resourceUrl),
+      discovered: known,
+    };
+
+    for (const model of known ? entry.models : Object.values(QWEN_MODELS)) {
+      add(QWEN_MODELS[model.id] ? { ...QWEN_MODELS[model.id], created: model.created } : model, source);
+    }
+  }
+
+  // With no usable accounts there is nothing to discover
+  if (accounts.length === 0) {
+    for (const model of Object.values(QWEN_MODELS)) {
+      add(model, null);
+    }
+  }
+
+  // Aliases are served by whoever serves their model, and an alias named
+  // like a model takes its place
+  const models = new Map(catalog);
+  for (const model of listAliasModels(MODELS_CREATED)) {
+    catalog.set(model.id, { model, accounts: models.get(resolveAlias(model.id).model)?.accounts ?? [] });
+  }
+
+  return catalog;
+}
+
+/**
+ * List every model clients may request, discovering models first if needed
+ */
+export async function listModels() {
+  await ensureDiscovered();
+  return [...buildCatalog().values()].map(entry => entry.model);
+}
+
+/**
+ * Get a model and the accounts that serve it, or null if unknown
+ *
+ * Returns { model, accounts }; see `buildCatalog()`.
+ */
+export async function getModel(id) {
+  await ensureDiscovered();
+  return buildCatalog().get(id) ?? null;
+}
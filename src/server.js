@@ -8,14 +8,15 @@
  * Usage:
  *   node server.js [--port 3000]
  * 
- * Environment variables:
- *   PORT - Server port (default: 3000)
- *   HOST - Server host (default: localhost)
- *   ROUTING_STRATEGY - 'default' or 'round-robin' (default: default)
+ * Settings come from ~/.qwen-proxy/config.json, and each can be overridden
+ * by an environment variable (PORT, ROUTING_STRATEGY, LOG_LEVEL, ...); see
+ * ./config/schema.js for the full list. config.json is reloaded when it
+ * changes or on SIGHUP, without dropping connections.
  */
 
 import http from 'node:http';
 import { URL } from 'node:url';
+import { randomUUID } from 'node:crypto';
 
 import {
   loadAccounts,
@@ -24,85 +25,230 @@ import {
   resolveBaseUrl,
   buildHeaders,
   updateAccountStats,
+  recordAccountFailure,
+  getAccountHealth,
+  getNextAvailableTime,
+  beginAccountRequest,
+  getInFlightCount,
   isTokenValid,
   getDefaultAccount,
 } from './accounts/manager.js';
+import { watchAccountsFile, saveNow as saveAccountsNow } from './accounts/store.js';
+import { startLogin, getLogin } from './accounts/login.js';
+import { startTokenRefresher } from './accounts/refresh.js';
+import {
+  AccountError,
+  findAccount,
+  removeAccount,
+  setDefaultAccount,
+  setAccountEnabled,
+  renameAccount,
+  setAccountWeight,
+  setAccountTags,
+  refreshAccount,
+  redactAccount,
+} from './accounts/actions.js';
+import { getAccountWeight } from './accounts/strategies.js';
+import { getAffinityKey, getPinnedAccountId, pinAccount, getPinCount } from './accounts/affinity.js';
+import { resolveRoute, describeRule, ACCOUNT_HEADER } from './accounts/rules.js';
+import { isAuthRequired, extractKey, verifyKey, KeysFileError } from './auth/keys.js';
+import { checkKeyLimits, recordKeyTokens, saveKeyUsageNow } from './auth/limits.js';
+import { getAdminTokenInfo, verifyAdminToken, extractAdminToken } from './auth/admin.js';
+import { parseUsage, normalizeUsage, createStreamUsageCollector } from './usage/extract.js';
+import {
+  recordUsage,
+  queryUsage,
+  saveUsageNow,
+  toDayKey,
+  daysAgo,
+  isDayKey,
+  parseDayCount,
+  RETENTION_DAYS,
+} from './usage/store.js';
+import { createLogger, getLogLevel, isContentRedacted } from './logging/logger.js';
+import { isCaptureEnabled, createCapture } from './capture/store.js';
+import { applyAlias, rewriteResponseModel, createStreamModelRewriter } from './models/aliases.js';
+import { trackRequest, updateRequest, listInFlightRequests, onRequestEvent } from './dashboard/live.js';
+import { DASHBOARD_HTML } from './dashboard/page.js';
+import { listModels, getModel, refreshModels, buildCatalog } from './models/catalog.js';
+import { loadConfig, getConfig, reloadConfig, watchConfigFile } from './config/store.js';
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, renderMetrics } from './metrics/registry.js';
+import {
+  requestsTotal,
+  upstreamLatency,
+  timeToFirstToken,
+  streamsInFlight,
+  accountEnabled,
+  accountHealth,
+  accountConsecutiveFailures,
+  accountCooldownSeconds,
+  accountInFlight,
+} from './metrics/proxy.js';
+import { parseSSEStream, formatSSEEvent } from './compat/sse.js';
+import {
+  anthropicToOpenAIRequest,
+  openAIToAnthropicResponse,
+  createAnthropicStreamTranslator,
+  anthropicError,
+} from './compat/anthropic.js';
+import {
+  responsesToOpenAIRequest,
+  createResponseObject,
+  completionToResponse,
+  createResponsesStreamTranslator,
+  responseToAssistantMessage,
+  getStoredResponse,
+  storeResponse,
+} from './compat/responses.js';
+import {
+  normalizeModelName,
+  ollamaChatToOpenAIRequest,
+  ollamaGenerateToOpenAIRequest,
+  openAIToOllamaResponse,
+  createOllamaStreamTranslator,
+  modelsToOllamaTags,
+  modelToOllamaShow,
+} from './compat/ollama.js';
+import {
+  MAX_PROMPTS,
+  MAX_CHOICES,
+  generateCompletionId,
+  normalizePrompts,
+  parseChoiceCount,
+  completionToChatRequest,
+  chatToCompletionChoice,
+  createCompletionResponse,
+  chatChunkToCompletionChunk,
+} from './compat/completions.js';
+
+// Response headers readable by browser clients
+const EXPOSED_HEADERS = [
+  'x-request-id',
+  'x-qwen-proxy-attempts',
+  'x-ratelimit-limit-requests',
+  'x-ratelimit-remaining-requests',
+  'x-ratelimit-reset-requests',
+  'x-ratelimit-limit-tokens',
+  'x-ratelimit-remaining-tokens',
+  'x-ratelimit-reset-tokens',
+  'retry-after',
+].join(', ');
 
-// Configuration
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || 'localhost';
-const ROUTING_STRATEGY = process.env.ROUTING_STRATEGY || 'default';
+const logger = createLogger();
 
-// Debug logging
-const DEBUG = process.env.DEBUG === '1';
+// Client-supplied request IDs are reused if they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
-function log(...args) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}]`, ...args);
+function getRequestId(headers) {
+  const id = headers['x-request-id'];
+  return typeof id === 'string' && REQUEST_ID_PATTERN.test(id) ? id : randomUUID();
 }
 
-function debug(...args) {
-  if (DEBUG) {
-    log('[DEBUG]', ...args);
+// Keep upstream error bodies in logs short
+function truncate(text, length = 500) {
+  return text.length > length ? `${text.slice(0, length)}...` : text;
+}
+
+// Send an error in the OpenAI error format
+function sendOpenAIError(res, status, message, type, code = null, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({
+    error: { message, type, param: null, code },
+  }));
+}
+
+/**
+ * Authenticate a /v1/* or /api/* request against the proxy API keys
+ *
+ * Returns the matching key record (or null when auth is disabled because
+ * no keys exist, or the key is `optional` and none was sent), or sends a
+ * 401 and returns false. A keys.json that cannot be read fails closed with
+ * a 500.
+ */
+function authenticate(req, res, { optional = false } = {}) {
+  const presented = extractKey(req.headers);
+  let record;
+
+  if (optional && !presented) {
+    return null;
   }
+
+  try {
+    if (!isAuthRequired()) {
+      return null;
+    }
+    record = verifyKey(presented);
+  } catch (e) {
+    if (!(e instanceof KeysFileError)) throw e;
+
+    req.log.error('Cannot check API key, refusing request', { error: e.message });
+    sendOpenAIError(res, 500, 'The proxy cannot read its API keys. Check the server log.', 'server_error');
+    return false;
+  }
+
+  if (!record) {
+    sendOpenAIError(
+      res,
+      401,
+      presented
+        ? 'Incorrect API key provided. Create one with "qwen-proxy key create".'
+        : 'You didn\'t provide an API key. Pass it in the Authorization header as "Bearer <key>".',
+      'invalid_request_error',
+      'invalid_api_key',
+    );
+    return false;
+  }
+
+  return record;
 }
 
-// Available Qwen models
-const QWEN_MODELS = {
-  'qwen3-coder-plus': {
-    id: 'qwen3-coder-plus',
-    object: 'model',
-    created: Date.now(),
-    owned_by: 'qwen',
-    permission: [],
-    root: 'qwen3-coder-plus',
-  },
-  'qwen3-coder-flash': {
-    id: 'qwen3-coder-flash',
-    object: 'model',
-    created: Date.now(),
-    owned_by: 'qwen',
-    permission: [],
-    root: 'qwen3-coder-flash',
-  },
-  'coder-model': {
-    id: 'coder-model',
-    object: 'model',
-    created: Date.now(),
-    owned_by: 'qwen',
-    permission: [],
-    root: 'coder-model',
-  },
-  'vision-model': {
-    id: 'vision-model',
-    object: 'model',
-    created: Date.now(),
-    owned_by: 'qwen',
-    permission: [],
-    root: 'vision-model',
-  },
-};
+// Upstream response -> { startedAt, model, account } for stream metrics
+const upstreamRequests = new WeakMap();
+
+// Metric label for a requested model: models and aliases the proxy knows
+// get their own series, anything else is "other", so clients cannot add
+// series at will
+function getModelLabel(model) {
+  if (!model) {
+    return '';
+  }
+  return buildCatalog().has(model) ? model : 'other';
+}
 
 // Streaming helper
 async function* streamIterator(response) {
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
-  
+  const upstream = upstreamRequests.get(response);
+  let first = true;
+
+  streamsInFlight.inc();
+
   try {
     while (true) {
       const { done, value } = await reader.read();
       if (done) break;
+
+      if (first && upstream) {
+        timeToFirstToken.observe(
+          { model: upstream.model, account: upstream.account },
+          (performance.now() - upstream.startedAt) / 1000,
+        );
+      }
+      first = false;
+
       yield decoder.decode(value, { stream: true });
     }
   } finally {
+    streamsInFlight.dec();
     reader.releaseLock();
   }
 }
 
 // Handle /v1/models endpoint
 async function handleModels(res) {
-  const models = Object.values(QWEN_MODELS);
-  
+  const models = await listModels();
+
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({
     object: 'list',
@@ -110,117 +256,778 @@ async function handleModels(res) {
   }));
 }
 
-// Handle /v1/chat/completions endpoint
-async function handleChatCompletions(req, res) {
+// Upstream statuses that are worth retrying on another account
+function isRetryableStatus(status) {
+  return status === 429 || status === 401 || status === 403 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Forward a chat completion request upstream, failing over to the next
+ * account on retryable errors.
+ *
+ * Resolves with the successful upstream response and the account that
+ * served it, or with the last failure once attempts or accounts run out.
+ * The response body is left unread so the caller can stream it, and the
+ * caller must invoke `release` once it is done with the response.
+ *
+ * With an `affinityKey`, the pinned account is tried first and the key is
+ * (re)pinned to whichever account ends up serving the request. With
+ * `accountIds`, only those accounts are tried.
+ */
+async function forwardChatCompletion(requestBody, { affinityKey, accountIds, requestId, log = logger, capture = null } = {}) {
+  const { routing, timeouts } = getConfig();
+  const tried = [];
+  let attempts = 0;
+  let failure = null;
+  const preferredAccountId = affinityKey ? getPinnedAccountId(affinityKey) : null;
+
+  while (attempts < routing.maxAttempts) {
+    const account = getAccountForRequest(routing.strategy, tried, { preferredAccountId, accountIds });
+
+    if (!account) {
+      break;
+    }
+
+    if (attempts > 0) {
+      const delay = routing.retryBackoffMs * 2 ** (attempts - 1);
+      log.info('Retrying on another account', {
+        account: account.name, delayMs: delay, attempt: attempts + 1, maxAttempts: routing.maxAttempts,
+      });
+      await sleep(delay);
+    }
+
+    tried.push(account.id);
+    attempts++;
+
+    // Get valid credentials
+    let credentials;
+    try {
+      credentials = await getValidCredentials(account.id);
+    } catch (e) {
+      log.error('Failed to get credentials', { account: account.name, error: e.message });
+    }
+
+    if (!credentials) {
+      failure = {
+        status: 401,
+        body: JSON.stringify({ error: `No valid credentials for account ${account.name}` }),
+      };
+      recordAccountFailure(account.id, { status: 401, message: 'No valid credentials' });
+      continue;
+    }
+
+    // Resolve API endpoint
+    const baseUrl = resolveBaseUrl(credentials.resourceUrl);
+    const endpoint = `${baseUrl}/chat/completions`;
+
+    log.debug('Forwarding upstream', { account: account.name, endpoint });
+
+    const release = beginAccountRequest(account.id);
+
+    const startedAt = performance.now();
+    const upstreamRequest = {
+      method: 'POST',
+      headers: requestId ? { ...buildHeaders(credentials), 'X-Request-Id': requestId } : buildHeaders(credentials),
+      body: JSON.stringify(requestBody),
+    };
+    const attempt = { account, url: endpoint, headers: upstreamRequest.headers, body: upstreamRequest.body, startedAt: Date.now() };
+
+    // Only waiting for headers is limited; a long stream may take as long as it needs
+    const timeout = timeouts.upstreamMs > 0 ? new AbortController() : null;
+    const timer = timeout && setTimeout(() => {
+      timeout.abort(new Error(`No response within ${timeouts.upstreamMs}ms`));
+    }, timeouts.upstreamMs);
+
+    let response;
+    try {
+      response = await fetch(endpoint, { ...upstreamRequest, signal: timeout?.signal });
+    } catch (e) {
+      release();
+      capture?.addUpstream({ ...attempt, error: e.message });
+      log.warn('Upstream request failed', { account: account.name, error: e.message });
+      failure = {
+        status: 502,
+        body: JSON.stringify({ error: `Proxy error: ${e.message}` }),
+      };
+      recordAccountFailure(account.id, { message: e.message });
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    log.debug('Upstream responded', { account: account.name, status: response.status });
+    upstreamLatency.observe({ account: account.name, status: response.status }, (performance.now() - startedAt) / 1000);
+    upstreamRequests.set(response, { startedAt, model: getModelLabel(requestBody.model), account: account.name });
+
+    if (response.ok) {
+      capture?.addUpstream({ ...attempt, response });
+
+      if (affinityKey) {
+        if (preferredAccountId && preferredAccountId !== account.id) {
+          log.debug('Affinity moved', { from: preferredAccountId, to: account.name });
+        }
+        pinAccount(affinityKey, account.id, routing.sessionAffinityTtlMs);
+      }
+      return { response, account, attempts, release };
+    }
+
+    const errorText = await response.text().finally(release);
+    capture?.addUpstream({ ...attempt, response, responseBody: errorText });
+    log.warn('Upstream error', { account: account.name, status: response.status, body: truncate(errorText) });
+    failure = { status: response.status, body: errorText };
+
+    if (!isRetryableStatus(response.status)) {
+      break;
+    }
+
+    recordAccountFailure(account.id, {
+      status: response.status,
+      retryAfter: response.headers.get('retry-after'),
+      body: errorText,
+    });
+  }
+
+  // Accounts exist but every one of them is cooling down
+  const nextAvailable = failure ? null : getNextAvailableTime(accountIds);
+  if (nextAvailable) {
+    failure = {
+      status: 429,
+      headers: { 'Retry-After': String(Math.ceil((nextAvailable - Date.now()) / 1000)) },
+      body: JSON.stringify({ error: 'All accounts are cooling down after rate limits or errors. Try again later.' }),
+    };
+  }
+
+  if (!failure) {
+    failure = {
+      status: 401,
+      body: JSON.stringify({ error: 'No accounts configured. Use "qwen-proxy account add" to add an account.' }),
+    };
+  }
+
+  return { failure, attempts };
+}
+
+// Read and parse a JSON request body, or return null if it is not valid JSON
+async function readJsonBody(req) {
   let body = '';
   
   for await (const chunk of req) {
     body += chunk;
   }
 
-  let requestBody;
-  try {
-    requestBody = JSON.parse(body);
+  // Kept for request capture
+  req.rawBody = body;
+
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+// Get a human-readable message out of a failure body
+function getFailureMessage(failure) {
+  try {
+    const { error } = JSON.parse(failure.body);
+    if (typeof error === 'string') return error;
+    if (error?.message) return error.message;
+  } catch {
+    // Upstream sent plain text
+  }
+  return failure.body || `HTTP ${failure.status}`;
+}
+
+// Send a failure from runChatCompletion as-is (OpenAI-compatible endpoints)
+function sendFailure(res, failure) {
+  res.writeHead(failure.status, { 'Content-Type': 'application/json', ...failure.headers });
+  res.end(failure.body);
+}
+
+/**
+ * Run a chat completion on behalf of a client
+ *
+ * Resolves model aliases, applies the client key's limits and routing
+ * rules, then forwards the request with session affinity and failover. Rate-limit and
+ * attempt headers are set on `res` but nothing is written, so each API
+ * surface can format its own output.
+ *
+ * On failure, resolves with `failure` ({ status, body, headers }). On
+ * success, resolves with the upstream `response` and the `alias` the
+ * client asked for (or null), and the caller must call `done(usage)` once
+ * it has finished reading the response.
+ */
+async function runChatCompletion(req, res, requestBody) {
+  // Limits, metrics and usage all see the model the alias stands for
+  const alias = applyAlias(requestBody);
+  if (alias) {
+    req.log.debug('Resolved model alias', { alias: alias.alias, model: alias.model });
+  }
+
+  // Enforce per-key limits
+  const clientKey = req.clientKey;
+  if (clientKey) {
+    const verdict = checkKeyLimits(clientKey, requestBody.model);
+
+    for (const [name, value] of Object.entries(verdict.headers)) {
+      res.setHeader(name, value);
+    }
+
+    if (verdict.error) {
+      req.log.warn('Key limit exceeded', { key: clientKey.name, reason: verdict.error.message });
+      return {
+        failure: { status: verdict.status, body: JSON.stringify({ error: verdict.error }) },
+      };
+    }
+  }
+
+  // Labels for the request metrics
+  req.model = requestBody.model;
+  updateRequest(req);
+
+  // Routing rules narrow down the accounts the strategy picks from
+  const route = resolveRoute({ model: requestBody.model, clientKey, accountHeader: req.headers[ACCOUNT_HEADER] });
+  if (route) {
+    req.log.debug('Routing rule matched', { rule: route.index + 1, accounts: route.accountIds.length });
+
+    if (route.accountIds.length === 0) {
+      const message = route.fromHeader
+        ? `No enabled account or tag named "${req.headers[ACCOUNT_HEADER]}" (${ACCOUNT_HEADER} header)`
+        : `No enabled account matches routing rule ${route.index + 1} (${describeRule(route.rule)})`;
+      return {
+        failure: { status: route.fromHeader ? 400 : 503, body: JSON.stringify({ error: message }) },
+      };
+    }
+  }
+
+  // Retries all happen here, before anything is written to the client
+  const affinityKey = getConfig().routing.sessionAffinity ? getAffinityKey(req.headers, requestBody, clientKey) : null;
+  const { response, account, attempts, failure, release } = await forwardChatCompletion(requestBody, {
+    affinityKey,
+    accountIds: route?.accountIds,
+    requestId: req.id,
+    log: req.log,
+    capture: req.capture,
+  });
+
+  res.setHeader('x-qwen-proxy-attempts', String(attempts));
+  req.attempts = attempts;
+
+  if (failure) {
+    return { failure };
+  }
+
+  req.account = account;
+  updateRequest(req);
+
+  // Update account stats
+  updateAccountStats(account.id);
+
+  const done = (usage) => {
+    release();
+    req.usage = usage;
+
+    if (clientKey && usage) {
+      recordKeyTokens(clientKey.id, usage.totalTokens);
+    }
+
+    recordUsage({ account, model: requestBody.model, client: clientKey, usage });
+  };
+
+  return { response, account, alias: alias?.alias ?? null, done };
+}
+
+// Handle /v1/chat/completions endpoint
+async function handleChatCompletions(req, res) {
+  const requestBody = await readJsonBody(req);
+
+  if (!requestBody) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+    return;
+  }
+
+  req.log.debug('Request body', { body: requestBody });
+
+  // Check if streaming
+  const isStreaming = requestBody.stream === true;
+
+  // Ask for usage on streams so tokens can be counted, hiding it if unrequested
+  const clientWantsUsage = requestBody.stream_options?.include_usage === true;
+  if (isStreaming && !clientWantsUsage) {
+    requestBody.stream_options = { ...requestBody.stream_options, include_usage: true };
+  }
+
+  const { response, alias, failure, done } = await runChatCompletion(req, res, requestBody);
+
+  if (failure) {
+    sendFailure(res, failure);
+    return;
+  }
+
+  let usage = null;
+
+  try {
+    if (isStreaming) {
+      // Stream response
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      });
+
+      const collector = createStreamUsageCollector({ stripUsageChunk: !clientWantsUsage });
+      // Report the alias the client asked for rather than the Qwen model
+      const rewriter = alias ? createStreamModelRewriter(alias) : null;
+
+      for await (const chunk of streamIterator(response)) {
+        const output = collector.push(chunk);
+        res.write(rewriter ? rewriter.push(output) : output);
+      }
+
+      const rest = collector.flush();
+      res.end(rewriter ? rewriter.push(rest) + rewriter.flush() : rest);
+      usage = collector.usage;
+    } else {
+      // Non-streaming response
+      const responseText = await response.text();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(alias ? rewriteResponseModel(responseText, alias) : responseText);
+      usage = parseUsage(responseText);
+    }
+  } catch (e) {
+    req.log.error('Request error', { error: e.message });
+
+    // Once headers are out the stream can only be cut short
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.writeHead(502, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Proxy error: ${e.message}` }));
+  } finally {
+    done(usage);
+  }
+}
+
+// Send an error in the Anthropic error format
+function sendAnthropicError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(anthropicError(status, message)));
+}
+
+// Handle /v1/messages endpoint (Anthropic Messages API)
+async function handleMessages(req, res) {
+  const anthropicBody = await readJsonBody(req);
+
+  if (!anthropicBody) {
+    sendAnthropicError(res, 400, 'Invalid JSON body');
+    return;
+  }
+
+  if (!Array.isArray(anthropicBody.messages)) {
+    sendAnthropicError(res, 400, 'messages: Field required');
+    return;
+  }
+
+  const requestBody = anthropicToOpenAIRequest(anthropicBody);
+  req.log.debug('Translated Anthropic request', { body: requestBody });
+
+  const { response, failure, done } = await runChatCompletion(req, res, requestBody);
+
+  if (failure) {
+    sendAnthropicError(res, failure.status, getFailureMessage(failure), failure.headers);
+    return;
+  }
+
+  let usage = null;
+
+  try {
+    if (requestBody.stream) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      });
+
+      const translator = createAnthropicStreamTranslator(anthropicBody.model);
+
+      for await (const chunk of parseSSEStream(streamIterator(response))) {
+        usage = normalizeUsage(chunk.usage) || usage;
+
+        for (const event of translator.push(chunk)) {
+          res.write(event);
+        }
+      }
+
+      for (const event of translator.finish()) {
+        res.write(event);
+      }
+
+      res.end();
+    } else {
+      const completion = await response.json();
+      usage = normalizeUsage(completion.usage);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(openAIToAnthropicResponse(completion, anthropicBody.model)));
+    }
+  } catch (e) {
+    req.log.error('Request error', { error: e.message });
+
+    if (res.headersSent) {
+      res.end(formatSSEEvent('error', anthropicError(502, `Proxy error: ${e.message}`)));
+      return;
+    }
+
+    sendAnthropicError(res, 502, `Proxy error: ${e.message}`);
+  } finally {
+    done(usage);
+  }
+}
+
+// Handle /v1/responses endpoint (OpenAI Responses API)
+async function handleResponses(req, res) {
+  const body = await readJsonBody(req);
+
+  if (!body) {
+    sendOpenAIError(res, 400, 'Invalid JSON body', 'invalid_request_error');
+    return;
+  }
+
+  let history = [];
+  if (body.previous_response_id) {
+    const previous = getStoredResponse(body.previous_response_id);
+
+    if (!previous) {
+      sendOpenAIError(res, 404, `Previous response with id '${body.previous_response_id}' not found.`, 'invalid_request_error', 'previous_response_not_found');
+      return;
+    }
+
+    history = previous.messages;
+  }
+
+  const { request: requestBody, conversation } = responsesToOpenAIRequest(body, history);
+  req.log.debug('Translated Responses request', { body: requestBody });
+
+  const { response, failure, done } = await runChatCompletion(req, res, requestBody);
+
+  if (failure) {
+    sendFailure(res, failure);
+    return;
+  }
+
+  const result = createResponseObject(body);
+  let usage = null;
+
+  try {
+    if (requestBody.stream) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      });
+
+      const translator = createResponsesStreamTranslator(result);
+
+      for (const event of translator.start()) {
+        res.write(event);
+      }
+
+      for await (const chunk of parseSSEStream(streamIterator(response))) {
+        usage = normalizeUsage(chunk.usage) || usage;
+
+        for (const event of translator.push(chunk)) {
+          res.write(event);
+        }
+      }
+
+      for (const event of translator.finish()) {
+        res.write(event);
+      }
+
+      res.end();
+    } else {
+      const completion = await response.json();
+      usage = normalizeUsage(completion.usage);
+      completionToResponse(result, completion);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    }
+
+    if (result.store) {
+      storeResponse(result, [...conversation, responseToAssistantMessage(result)]);
+    }
+  } catch (e) {
+    req.log.error('Request error', { error: e.message });
+
+    if (res.headersSent) {
+      res.end(formatSSEEvent('error', { type: 'error', message: `Proxy error: ${e.message}` }));
+      return;
+    }
+
+    sendOpenAIError(res, 502, `Proxy error: ${e.message}`, 'server_error');
+  } finally {
+    done(usage);
+  }
+}
+
+// Handle /v1/responses/:id endpoint
+async function handleResponse(req, res, responseId) {
+  const stored = getStoredResponse(responseId);
+
+  if (!stored) {
+    sendOpenAIError(res, 404, `Response with id '${responseId}' not found.`, 'invalid_request_error');
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(stored.response));
+}
+
+// Handle /v1/completions endpoint (legacy completions via chat)
+async function handleCompletions(req, res) {
+  const body = await readJsonBody(req);
+
+  if (!body) {
+    sendOpenAIError(res, 400, 'Invalid JSON body', 'invalid_request_error');
+    return;
+  }
+
+  const prompts = normalizePrompts(body.prompt);
+  const n = parseChoiceCount(body.n);
+  const id = generateCompletionId();
+
+  if (prompts.length === 0) {
+    sendOpenAIError(res, 400, 'prompt must be a string or an array of strings', 'invalid_request_error');
+    return;
+  }
+
+  if (prompts.length > MAX_PROMPTS) {
+    sendOpenAIError(res, 400, `prompt can have at most ${MAX_PROMPTS} strings`, 'invalid_request_error');
+    return;
+  }
+
+  if (n === null) {
+    sendOpenAIError(res, 400, `n must be an integer from 1 to ${MAX_CHOICES}`, 'invalid_request_error');
+    return;
+  }
+
+  if (body.stream === true) {
+    if (prompts.length * n > 1) {
+      sendOpenAIError(res, 400, 'Streaming supports a single prompt with n = 1', 'invalid_request_error');
+      return;
+    }
+
+    await streamCompletion(req, res, body, prompts[0], id);
+    return;
+  }
+
+  // One upstream request per prompt and choice, like n > 1 on the real API
+  const choices = [];
+  const total = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+  for (const prompt of prompts) {
+    for (let i = 0; i < n; i++) {
+      const requestBody = completionToChatRequest(body, prompt);
+      const { response, failure, done } = await runChatCompletion(req, res, requestBody);
+
+      if (failure) {
+        sendFailure(res, failure);
+        return;
+      }
+
+      let usage = null;
+      try {
+        const completion = await response.json();
+        usage = normalizeUsage(completion.usage);
+        choices.push(chatToCompletionChoice(completion, {
+          index: choices.length,
+          prompt,
+          echo: body.echo === true,
+          stop: body.stop,
+        }));
+      } catch (e) {
+        req.log.error('Request error', { error: e.message });
+        sendOpenAIError(res, 502, `Proxy error: ${e.message}`, 'server_error');
+        return;
+      } finally {
+        done(usage);
+      }
+
+      if (usage) {
+        total.promptTokens += usage.promptTokens;
+        total.completionTokens += usage.completionTokens;
+        total.totalTokens += usage.totalTokens;
+      }
+    }
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(createCompletionResponse(id, body.model, choices, total)));
+}
+
+// Stream a single legacy completion
+async function streamCompletion(req, res, body, prompt, id) {
+  const requestBody = completionToChatRequest(body, prompt);
+  const { response, failure, done } = await runChatCompletion(req, res, requestBody);
+
+  if (failure) {
+    sendFailure(res, failure);
+    return;
+  }
+
+  let usage = null;
+
+  try {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+
+    if (body.echo === true) {
+      const echoed = chatChunkToCompletionChunk({ choices: [{ delta: { content: prompt } }] }, id, body.model);
+      res.write(`data: ${JSON.stringify(echoed)}\n\n`);
+    }
+
+    const clientWantsUsage = body.stream_options?.include_usage === true;
+
+    for await (const chunk of parseSSEStream(streamIterator(response))) {
+      usage = normalizeUsage(chunk.usage) || usage;
+
+      if (chunk.choices?.length === 0 && !clientWantsUsage) {
+        continue;
+      }
+
+      res.write(`data: ${JSON.stringify(chatChunkToCompletionChunk(chunk, id, body.model))}\n\n`);
+    }
+
+    res.end('data: [DONE]\n\n');
   } catch (e) {
-    res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Invalid JSON body' }));
-    return;
+    req.log.error('Request error', { error: e.message });
+    res.end();
+  } finally {
+    done(usage);
   }
+}
 
-  debug('Request body:', JSON.stringify(requestBody, null, 2));
+// Version reported to Ollama clients that probe /api/version
+const OLLAMA_VERSION = '0.6.0';
 
-  // Get account for this request
-  const account = getAccountForRequest(ROUTING_STRATEGY);
+// Send an error in the Ollama error format
+function sendOllamaError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ error: message }));
+}
 
-  if (!account) {
-    log('No available account');
-    res.writeHead(401, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'No accounts configured. Use "qwen-proxy account add" to add an account.' }));
+// Handle /api/chat and /api/generate endpoints (Ollama API)
+async function handleOllamaCompletion(req, res, kind) {
+  const startedAt = process.hrtime.bigint();
+  const body = await readJsonBody(req);
+
+  if (!body) {
+    sendOllamaError(res, 400, 'invalid JSON body');
     return;
   }
 
-  // Get valid credentials
-  let credentials;
-  try {
-    credentials = await getValidCredentials(account.id);
-  } catch (e) {
-    log('Auth error for account', account.name, ':', e.message);
-    res.writeHead(401, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: e.message }));
+  if (!body.model) {
+    sendOllamaError(res, 400, 'model is required');
     return;
   }
 
-  // Resolve API endpoint
-  const baseUrl = resolveBaseUrl(credentials.resourceUrl);
-  const endpoint = `${baseUrl}/chat/completions`;
-  
-  debug('Using account:', account.name, '->', endpoint);
+  const requestBody = kind === 'chat'
+    ? ollamaChatToOpenAIRequest(body)
+    : ollamaGenerateToOpenAIRequest(body);
+  req.log.debug('Translated Ollama request', { body: requestBody });
 
-  // Build headers
-  const headers = buildHeaders(credentials);
+  const { response, failure, done } = await runChatCompletion(req, res, requestBody);
 
-  // Check if streaming
-  const isStreaming = requestBody.stream === true;
+  if (failure) {
+    sendOllamaError(res, failure.status, getFailureMessage(failure), failure.headers);
+    return;
+  }
 
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(requestBody),
-    });
+  let usage = null;
 
-    debug('Response status:', response.status);
+  try {
+    if (requestBody.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      log('API error:', response.status, errorText);
-      
-      res.writeHead(response.status, { 'Content-Type': 'application/json' });
-      res.end(errorText);
-      return;
-    }
+      const translator = createOllamaStreamTranslator(body.model, kind, startedAt);
 
-    // Update account stats
-    updateAccountStats(account.id);
+      for await (const chunk of parseSSEStream(streamIterator(response))) {
+        usage = normalizeUsage(chunk.usage) || usage;
 
-    if (isStreaming) {
-      // Stream response
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-      });
+        for (const line of translator.push(chunk)) {
+          res.write(line);
+        }
+      }
 
-      for await (const chunk of streamIterator(response)) {
-        res.write(chunk);
+      for (const line of translator.finish()) {
+        res.write(line);
       }
 
       res.end();
     } else {
-      // Non-streaming response
-      const responseText = await response.text();
+      const completion = await response.json();
+      usage = normalizeUsage(completion.usage);
+
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(responseText);
+      res.end(JSON.stringify(openAIToOllamaResponse(completion, body.model, kind, startedAt)));
     }
   } catch (e) {
-    log('Request error:', e.message);
-    res.writeHead(502, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: `Proxy error: ${e.message}` }));
+    req.log.error('Request error', { error: e.message });
+
+    if (res.headersSent) {
+      res.end(JSON.stringify({ error: `Proxy error: ${e.message}` }) + '\n');
+      return;
+    }
+
+    sendOllamaError(res, 502, `Proxy error: ${e.message}`);
+  } finally {
+    done(usage);
   }
 }
 
-// Handle /v1/models/:id endpoint
-async function handleModel(req, res, modelId) {
-  const model = QWEN_MODELS[modelId];
-  
+// Handle /api/tags endpoint (Ollama model list)
+async function handleOllamaTags(res) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(modelsToOllamaTags(await listModels())));
+}
+
+// Handle /api/show endpoint (Ollama model details)
+async function handleOllamaShow(req, res) {
+  const body = await readJsonBody(req);
+  const name = body?.model || body?.name;
+  const model = (await getModel(normalizeModelName(name)))?.model;
+
   if (!model) {
+    sendOllamaError(res, 404, `model '${name}' not found`);
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(modelToOllamaShow(model)));
+}
+
+// Handle /v1/models/:id endpoint, including the accounts that serve the model
+async function handleModel(req, res, modelId) {
+  const entry = await getModel(modelId);
+
+  if (!entry) {
     res.writeHead(404, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Model not found' }));
     return;
   }
 
   res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(model));
+  res.end(JSON.stringify({ ...entry.model, accounts: entry.accounts }));
 }
 
 // Status endpoint
@@ -234,13 +1041,27 @@ async function handleStatus(res) {
     resourceUrl: account.credentials.resourceUrl,
     expiryDate: account.credentials.expiryDate,
     isDefault: account.id === accountsData.defaultAccountId,
+    health: getAccountHealth(account),
+    requestCount: account.requestCount || 0,
+    lastUsed: account.lastUsed || null,
+    weight: getAccountWeight(account),
+    tags: account.tags || [],
+    inFlight: getInFlightCount(account.id),
   }));
 
+  const { routing } = getConfig();
   const status = {
     status: 'ok',
-    routingStrategy: ROUTING_STRATEGY,
+    routingStrategy: routing.strategy,
+    sessionAffinity: {
+      enabled: routing.sessionAffinity,
+      ttlMs: routing.sessionAffinityTtlMs,
+      pins: getPinCount(),
+    },
     totalAccounts: accounts.length,
-    activeAccounts: accounts.filter(a => a.enabled && a.isValid).length,
+    activeAccounts: accounts.filter(a => a.enabled && a.isValid && a.health.state !== 'login-required').length,
+    loginRequiredAccounts: accounts.filter(a => a.health.state === 'login-required').length,
+    coolingDownAccounts: accounts.filter(a => a.enabled && a.health.state === 'cooldown').length,
     accounts,
     defaultAccountId: accountsData.defaultAccountId,
   };
@@ -249,30 +1070,414 @@ async function handleStatus(res) {
   res.end(JSON.stringify(status, null, 2));
 }
 
+// Usage endpoint; it names accounts and client keys, so it needs the admin token
+async function handleUsage(req, res, searchParams) {
+  if (!authenticateAdmin(req, res)) {
+    return;
+  }
+
+  let from = searchParams.get('from') || toDayKey();
+  const to = searchParams.get('to') || toDayKey();
+
+  if (searchParams.has('days') && !searchParams.has('from')) {
+    const days = parseDayCount(searchParams.get('days'));
+    if (days === null) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `days must be a whole number from 1 to ${RETENTION_DAYS}` }));
+      return;
+    }
+    from = daysAgo(days - 1);
+  }
+
+  if (!isDayKey(from) || !isDayKey(to)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'from and to must be dates in YYYY-MM-DD format' }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(queryUsage({ from, to }), null, 2));
+}
+
+// Prometheus metrics endpoint; labels name accounts, so it needs the admin token
+async function handleMetrics(req, res) {
+  if (!authenticateAdmin(req, res)) {
+    return;
+  }
+
+  const accountsData = loadAccounts();
+
+  // Account gauges reflect the current state, so rebuild them per scrape
+  for (const gauge of [accountEnabled, accountHealth, accountConsecutiveFailures, accountCooldownSeconds, accountInFlight]) {
+    gauge.reset();
+  }
+
+  for (const account of Object.values(accountsData.accounts)) {
+    const health = getAccountHealth(account);
+    const labels = { account: account.name };
+
+    accountEnabled.set(labels, account.enabled ? 1 : 0);
+    for (const state of ['healthy', 'degraded', 'cooldown', 'login-required']) {
+      accountHealth.set({ ...labels, state }, health.state === state ? 1 : 0);
+    }
+    accountConsecutiveFailures.set(labels, health.consecutiveFailures);
+    accountCooldownSeconds.set(labels, health.cooldownUntil ? Math.max(0, (health.cooldownUntil - Date.now()) / 1000) : 0);
+    accountInFlight.set(labels, getInFlightCount(account.id));
+  }
+
+  res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+  res.end(renderMetrics());
+}
+
 // Accounts API endpoint
+// Accounts data as reported outside the server, without tokens
+function getRedactedAccounts() {
+  const data = loadAccounts();
+  const accounts = {};
+
+  for (const [id, account] of Object.entries(data.accounts)) {
+    accounts[id] = redactAccount(account);
+  }
+
+  return { accounts, defaultAccountId: data.defaultAccountId };
+}
+
 async function handleAccounts(req, res, method) {
-  const accountsData = loadAccounts();
-  
   if (method === 'GET') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(accountsData, null, 2));
+    res.end(JSON.stringify(getRedactedAccounts(), null, 2));
   } else {
     res.writeHead(405, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Method not allowed' }));
   }
 }
 
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Check the admin token on an /admin/* request
+ *
+ * Returns true, or sends a 403 (no admin token configured) or 401 and
+ * returns false.
+ */
+function authenticateAdmin(req, res) {
+  if (!getAdminTokenInfo()) {
+    sendJson(res, 403, { error: 'The admin API is off. Create an admin token with "qwen-proxy admin token".' });
+    return false;
+  }
+
+  if (!verifyAdminToken(extractAdminToken(req.headers))) {
+    sendJson(res, 401, { error: 'Invalid or missing admin token. Pass it as "Authorization: Bearer <token>" or "x-admin-token".' });
+    return false;
+  }
+
+  return true;
+}
+
+// Fields PATCH /admin/accounts/:id accepts, and how each is applied
+const ACCOUNT_PATCHES = {
+  name: (id, value) => renameAccount(id, value),
+  enabled: (id, value) => {
+    if (typeof value !== 'boolean') {
+      throw new AccountError('"enabled" must be true or false');
+    }
+    return setAccountEnabled(id, value);
+  },
+  default: (id, value) => {
+    if (value !== true) {
+      throw new AccountError('"default" can only be set to true; make another account the default instead');
+    }
+    return setDefaultAccount(id);
+  },
+  weight: (id, value) => setAccountWeight(id, value),
+  tags: (id, value) => setAccountTags(id, value),
+};
+
+async function patchAccount(req, res, idOrName) {
+  const body = await readJsonBody(req);
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new AccountError('Body must be a JSON object');
+  }
+
+  const unknown = Object.keys(body).filter(field => !ACCOUNT_PATCHES[field]);
+  if (unknown.length > 0) {
+    throw new AccountError(`Unknown field(s): ${unknown.join(', ')} (use ${Object.keys(ACCOUNT_PATCHES).join(', ')})`);
+  }
+
+  let account = findAccount(loadAccounts(), idOrName);
+  if (!account) {
+    throw new AccountError(`Account not found: ${idOrName}`, 404);
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    account = await ACCOUNT_PATCHES[field](account.id, value);
+  }
+
+  req.log.info('Account updated via admin API', { account: account.name, fields: Object.keys(body) });
+  sendJson(res, 200, redactAccount(loadAccounts().accounts[account.id]));
+}
+
+/**
+ * Start a server-side device login and answer 202 with the session
+ *
+ * `target` is { name } for a new account or { relogin } for an existing
+ * one; see `startLogin()`.
+ */
+async function beginLogin(req, res, target) {
+  let login;
+  try {
+    login = await startLogin(target);
+  } catch (e) {
+    if (e instanceof AccountError) {
+      sendJson(res, e.status, { error: e.message });
+      return;
+    }
+    sendJson(res, 502, { error: `Could not start login: ${e.message}` });
+    return;
+  }
+
+  req.log.info('Login started via admin API', { login: login.id, account: login.name, relogin: login.relogin });
+  sendJson(res, 202, login);
+}
+
+// Handle /admin/logins[/:id]: server-side device logins for new accounts
+async function handleLogins(req, res, id) {
+  if (!id && req.method === 'POST') {
+    const body = await readJsonBody(req);
+    const name = body?.name;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      sendJson(res, 400, { error: '"name" must be a non-empty string' });
+      return;
+    }
+
+    await beginLogin(req, res, { name });
+  } else if (id && req.method === 'GET') {
+    const login = getLogin(id);
+    if (!login) {
+      sendJson(res, 404, { error: `Login not found: ${id}` });
+      return;
+    }
+    sendJson(res, 200, login);
+  } else {
+    sendJson(res, 405, { error: 'Method not allowed' });
+  }
+}
+
+// Handle /admin/accounts[/:id[/refresh|/login]] and /admin/logins[/:id]
+async function handleAdmin(req, res, path) {
+  if (!authenticateAdmin(req, res)) {
+    return;
+  }
+
+  const login = path.match(/^\/admin\/logins(?:\/([^/]+))?$/);
+  if (login) {
+    await handleLogins(req, res, login[1] && decodeURIComponent(login[1]));
+    return;
+  }
+
+  const match = path.match(/^\/admin\/accounts(?:\/([^/]+)(?:\/(refresh|login))?)?$/);
+  if (!match) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const idOrName = match[1] && decodeURIComponent(match[1]);
+  const route = `${req.method} ${!idOrName ? 'list' : match[2] || 'account'}`;
+
+  try {
+    switch (route) {
+      case 'GET list':
+        sendJson(res, 200, getRedactedAccounts());
+        break;
+
+      case 'GET account': {
+        const account = findAccount(loadAccounts(), idOrName);
+        if (!account) {
+          throw new AccountError(`Account not found: ${idOrName}`, 404);
+        }
+        sendJson(res, 200, redactAccount(account));
+        break;
+      }
+
+      case 'PATCH account':
+        await patchAccount(req, res, idOrName);
+        break;
+
+      case 'DELETE account': {
+        const account = await removeAccount(idOrName);
+        req.log.info('Account removed via admin API', { account: account.name });
+        sendJson(res, 200, { id: account.id, name: account.name, deleted: true });
+        break;
+      }
+
+      case 'POST refresh': {
+        let account;
+        try {
+          account = await refreshAccount(idOrName, { log: req.log });
+        } catch (e) {
+          if (e instanceof AccountError) throw e;
+          sendJson(res, 502, { error: `Token refresh failed: ${e.message}` });
+          break;
+        }
+        sendJson(res, 200, redactAccount(account));
+        break;
+      }
+
+      case 'POST login':
+        await beginLogin(req, res, { relogin: idOrName });
+        break;
+
+      default:
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+  } catch (e) {
+    if (!(e instanceof AccountError)) {
+      throw e;
+    }
+    sendJson(res, e.status, { error: e.message });
+  }
+}
+
+// The dashboard only loads its own inline script and styles
+const DASHBOARD_CSP = "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; "
+  + "connect-src 'self'; img-src data:; base-uri 'none'; form-action 'none'";
+
+// Send interval for SSE comments that keep idle dashboard connections open
+const DASHBOARD_KEEPALIVE_MS = 15 * 1000;
+
+// Open /dashboard/events responses, ended on shutdown
+const dashboardStreams = new Set();
+
+function handleDashboard(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Security-Policy': DASHBOARD_CSP,
+    'Cache-Control': 'no-cache',
+  });
+  res.end(DASHBOARD_HTML);
+}
+
+/**
+ * Stream request start/update/end events for the dashboard's live feed
+ *
+ * Needs the admin token, as events name clients, accounts and models.
+ * Events for a reader that falls behind are dropped rather than buffered;
+ * once it catches up it gets a fresh snapshot instead.
+ */
+function handleDashboardEvents(req, res) {
+  if (!authenticateAdmin(req, res)) {
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+
+  let behind = false;
+
+  const write = (chunk) => {
+    if (behind || res.writableEnded) return;
+
+    if (!res.write(chunk)) {
+      behind = true;
+      res.once('drain', () => {
+        behind = false;
+        send('snapshot', { requests: listInFlightRequests() });
+      });
+    }
+  };
+
+  const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('snapshot', { requests: listInFlightRequests() });
+
+  const unsubscribe = onRequestEvent(({ type, request }) => send(type, request));
+  const keepalive = setInterval(() => write(': keepalive\n\n'), DASHBOARD_KEEPALIVE_MS);
+  dashboardStreams.add(res);
+
+  res.once('close', () => {
+    unsubscribe();
+    clearInterval(keepalive);
+    dashboardStreams.delete(res);
+  });
+}
+
+// Routes reported by name in request metrics; anything else is "other"
+const METRIC_ROUTES = new Set([
+  '/v1/models', '/v1/chat/completions', '/v1/completions', '/v1/messages', '/v1/responses',
+  '/api/chat', '/api/generate', '/api/tags', '/api/show', '/api/version',
+  '/status', '/usage', '/metrics', '/accounts', '/health', '/admin/accounts',
+  '/admin/logins', '/dashboard', '/dashboard/events',
+]);
+
+// Collapse a path into a route label with bounded cardinality
+function getRouteLabel(path) {
+  if (/^\/v1\/models\/[^/]+$/.test(path)) return '/v1/models/:id';
+  if (/^\/v1\/responses\/[^/]+$/.test(path)) return '/v1/responses/:id';
+  if (/^\/admin\/accounts\/[^/]+$/.test(path)) return '/admin/accounts/:id';
+  if (/^\/admin\/accounts\/[^/]+\/refresh$/.test(path)) return '/admin/accounts/:id/refresh';
+  if (/^\/admin\/accounts\/[^/]+\/login$/.test(path)) return '/admin/accounts/:id/login';
+  if (/^\/admin\/logins\/[^/]+$/.test(path)) return '/admin/logins/:id';
+  return METRIC_ROUTES.has(path) ? path : 'other';
+}
+
 // Main request handler
 async function handleRequest(req, res) {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const path = url.pathname;
 
-  log(`${req.method} ${path}`);
+  const startedAt = performance.now();
+
+  req.id = getRequestId(req.headers);
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader('x-request-id', req.id);
+
+  if (isCaptureEnabled() && req.method !== 'OPTIONS' && (path.startsWith('/v1/') || path.startsWith('/api/'))) {
+    req.capture = createCapture(req, res, req.id);
+  }
+
+  req.log.debug('Request received', { method: req.method, path });
+
+  // Log and count the request once the response is finished or aborted
+  res.once('close', () => {
+    requestsTotal.inc({
+      route: getRouteLabel(path),
+      model: getModelLabel(req.model),
+      account: req.account?.name || '',
+      status: res.statusCode,
+    });
+
+    req.log.info('Request completed', {
+      method: req.method,
+      path,
+      status: res.statusCode,
+      latencyMs: Math.round(performance.now() - startedAt),
+      aborted: !res.writableFinished || undefined,
+      model: req.model,
+      account: req.account?.name,
+      client: req.clientKey?.name,
+      attempts: req.attempts,
+      promptTokens: req.usage?.promptTokens,
+      completionTokens: req.usage?.completionTokens,
+      totalTokens: req.usage?.totalTokens,
+    });
+
+    req.capture?.save().catch((e) => {
+      req.log.warn('Failed to save capture', { error: e.message });
+    });
+  });
 
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key, X-Admin-Token, X-Session-Id, X-Request-Id, X-Qwen-Account, Anthropic-Version, Anthropic-Beta');
+  res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -282,6 +1487,17 @@ async function handleRequest(req, res) {
   }
 
   try {
+    if (path.startsWith('/v1/') || path.startsWith('/api/')) {
+      // Stock Ollama clients cannot send a key; see auth.ollamaWithoutKey
+      const optional = path.startsWith('/api/') && getConfig().auth.ollamaWithoutKey;
+      const clientKey = authenticate(req, res, { optional });
+      if (clientKey === false) {
+        return;
+      }
+      req.clientKey = clientKey;
+      trackRequest(req, res, path);
+    }
+
     // Route requests
     if (path === '/v1/models' && req.method === 'GET') {
       await handleModels(res);
@@ -290,10 +1506,40 @@ async function handleRequest(req, res) {
       await handleModel(req, res, modelId);
     } else if (path === '/v1/chat/completions' && req.method === 'POST') {
       await handleChatCompletions(req, res);
+    } else if (path === '/v1/completions' && req.method === 'POST') {
+      await handleCompletions(req, res);
+    } else if (path === '/v1/messages' && req.method === 'POST') {
+      await handleMessages(req, res);
+    } else if (path === '/v1/responses' && req.method === 'POST') {
+      await handleResponses(req, res);
+    } else if (path.match(/^\/v1\/responses\/[^/]+$/) && req.method === 'GET') {
+      const responseId = path.split('/').pop();
+      await handleResponse(req, res, responseId);
+    } else if (path === '/api/chat' && req.method === 'POST') {
+      await handleOllamaCompletion(req, res, 'chat');
+    } else if (path === '/api/generate' && req.method === 'POST') {
+      await handleOllamaCompletion(req, res, 'generate');
+    } else if (path === '/api/tags' && req.method === 'GET') {
+      await handleOllamaTags(res);
+    } else if (path === '/api/show' && req.method === 'POST') {
+      await handleOllamaShow(req, res);
+    } else if (path === '/api/version' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ version: OLLAMA_VERSION }));
     } else if (path === '/status' && req.method === 'GET') {
       await handleStatus(res);
+    } else if (path === '/metrics' && req.method === 'GET') {
+      await handleMetrics(req, res);
+    } else if (path === '/usage' && req.method === 'GET') {
+      await handleUsage(req, res, url.searchParams);
     } else if (path === '/accounts' && req.method === 'GET') {
       await handleAccounts(req, res, req.method);
+    } else if (path.startsWith('/admin/')) {
+      await handleAdmin(req, res, path);
+    } else if (path === '/dashboard' && req.method === 'GET') {
+      handleDashboard(res);
+    } else if (path === '/dashboard/events' && req.method === 'GET') {
+      handleDashboardEvents(req, res);
     } else if (path === '/health' && req.method === 'GET') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ status: 'healthy' }));
@@ -302,51 +1548,147 @@ async function handleRequest(req, res) {
       res.end(JSON.stringify({ error: 'Not found' }));
     }
   } catch (e) {
-    log('Unhandled error:', e);
+    req.log.error('Unhandled error', { error: e });
     res.writeHead(500, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Internal server error' }));
   }
 }
 
+// Refuse to start with invalid settings; a bad reload keeps the current ones instead
+const { config, errors: configErrors } = loadConfig();
+if (configErrors.length > 0) {
+  for (const error of configErrors) {
+    logger.error('Invalid configuration', error);
+  }
+  process.exit(1);
+}
+
+// Log the outcome of a config reload
+function reportConfigReload({ changed, restartRequired, errors }) {
+  if (errors.length > 0) {
+    logger.error('Config reload failed, keeping current settings', { errors });
+    return;
+  }
+
+  if (changed.length > 0) {
+    logger.info('Config reloaded', { changed });
+  }
+
+  if (restartRequired.length > 0) {
+    logger.warn('Restart the server to apply these settings', { settings: restartRequired });
+  }
+}
+
 // Create and start server
 const server = http.createServer(handleRequest);
+const { port: PORT, host: HOST } = config.server;
 
 server.listen(PORT, HOST, () => {
-  log(`Qwen Proxy Server running at http://${HOST}:${PORT}`);
-  log(`Routing strategy: ${ROUTING_STRATEGY}`);
-  log('');
-  
+  logger.info('Qwen Proxy Server running', {
+    url: `http://${HOST}:${PORT}`,
+    routingStrategy: config.routing.strategy,
+    sessionAffinity: config.routing.sessionAffinity ? { ttlMs: config.routing.sessionAffinityTtlMs } : false,
+    logLevel: getLogLevel(),
+    redactContent: isContentRedacted(),
+    capture: isCaptureEnabled(),
+  });
+
   const accountsData = loadAccounts();
   const accountCount = Object.keys(accountsData.accounts || {}).length;
-  
-  log(`Loaded ${accountCount} account(s)`);
-  
+
+  logger.info(`Loaded ${accountCount} account(s)`, { accounts: accountCount });
+
+  // Pick up accounts added or edited with the CLI while running
+  watchAccountsFile((data) => {
+    logger.info('Reloaded accounts.json', { accounts: Object.keys(data.accounts).length });
+  });
+
+  startTokenRefresher();
+
+  // Fetch model lists now rather than on the first /v1/models request
+  refreshModels();
+
+  watchConfigFile(reportConfigReload);
+
   if (accountCount === 0) {
-    log('WARNING: No accounts configured!');
-    log('Run "qwen-proxy account add" to add an account.');
+    logger.warn('No accounts configured! Run "qwen-proxy account add" to add an account.');
   }
-  
-  log('');
-  log('Endpoints:');
-  log(`  GET  http://${HOST}:${PORT}/v1/models`);
-  log(`  GET  http://${HOST}:${PORT}/v1/models/:id`);
-  log(`  POST http://${HOST}:${PORT}/v1/chat/completions`);
-  log(`  GET  http://${HOST}:${PORT}/status`);
-  log(`  GET  http://${HOST}:${PORT}/accounts`);
-  log(`  GET  http://${HOST}:${PORT}/health`);
-  log('');
-  log('Usage with OpenAI SDK:');
-  log(`  OPENAI_API_KEY=any OPENAI_BASE_URL=http://${HOST}:${PORT}/v1`);
-  log('');
-  log('Usage with curl:');
-  log(`  curl http://${HOST}:${PORT}/v1/models`);
+
+  try {
+    if (!isAuthRequired()) {
+      logger.warn('No API keys configured, /v1/* is open to anyone who can reach this port. '
+        + 'Run "qwen-proxy key create" to require an API key.');
+    } else if (getConfig().auth.ollamaWithoutKey) {
+      logger.warn('auth.ollamaWithoutKey is on, /api/* is open to anyone who can reach this port.');
+    }
+  } catch (e) {
+    logger.error('Cannot read API keys; /v1/* and /api/* will answer 500 until keys.json is fixed', { error: e.message });
+  }
+
+  logger.info('Endpoints', {
+    endpoints: [
+      'GET /v1/models',
+      'GET /v1/models/:id',
+      'POST /v1/chat/completions',
+      'POST /v1/completions',
+      'POST /v1/messages',
+      'POST /v1/responses',
+      'POST /api/chat',
+      'POST /api/generate',
+      'GET /api/tags',
+      'GET /status',
+      'GET /usage',
+      'GET /metrics',
+      'GET /accounts',
+      'GET /health',
+      'GET /admin/accounts',
+      'GET|PATCH|DELETE /admin/accounts/:id',
+      'POST /admin/accounts/:id/refresh',
+      'POST /admin/accounts/:id/login',
+      'POST /admin/logins',
+      'GET /admin/logins/:id',
+      'GET /dashboard',
+    ],
+    openaiBaseUrl: `http://${HOST}:${PORT}/v1`,
+  });
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-  log('Shutting down...');
-  server.close(() => {
-    log('Server closed');
-    process.exit(0);
+function shutdown() {
+  logger.info('Shutting down...');
+
+  // Event streams never finish on their own
+  for (const stream of dashboardStreams) {
+    stream.end();
+  }
+
+  // Write out usage, stats and health that are waiting on the save debounce
+  try {
+    saveUsageNow();
+  } catch (e) {
+    logger.error('Failed to save usage.json', { error: e.message });
+  }
+
+  try {
+    saveKeyUsageNow();
+  } catch (e) {
+    logger.error('Failed to save key-usage.json', { error: e.message });
+  }
+
+  saveAccountsNow().catch((e) => {
+    logger.error('Failed to save accounts.json', { error: e.message });
+  }).finally(() => {
+    server.close(() => {
+      logger.info('Server closed');
+      process.exit(0);
+    });
   });
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+process.on('SIGHUP', () => {
+  logger.info('Received SIGHUP, reloading config');
+  reportConfigReload(reloadConfig());
 });
@@ -0,0 +1,107 @@
+/**
+ * Token Usage Extraction
+ *
+ * Pulls OpenAI-style `usage` objects out of upstream responses, both
+ * plain JSON bodies and server-sent event streams.
+ */
+
+/**
+ * Normalize an OpenAI `usage` object, or return null if absent
+ */
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens,
+  };
+}
+
+/**
+ * Extract usage from a non-streaming JSON response body
+ */
+export function parseUsage(responseText) {
+  try {
+    return normalizeUsage(JSON.parse(responseText).usage);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a collector that watches SSE chunks for a usage object
+ *
+ * Feed every chunk to `push()` and forward what it returns; `usage` holds
+ * the last usage seen. With `stripUsageChunk`, the usage-only chunk that
+ * `stream_options.include_usage` adds is removed from the output, for
+ * clients that did not ask for it. Call `flush()` when the stream ends.
+ */
+export function createStreamUsageCollector({ stripUsageChunk = false } = {}) {
+  let buffer = '';
+  // Drop the blank line that terminates a stripped event
+  let skipBlankLine = false;
+
+  function parseDataLine(line) {
+    if (!line.startsWith('data:') || !line.includes('"usage"')) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(line.slice(5));
+    } catch {
+      // Not JSON (e.g. [DONE]) or a partial event
+      return null;
+    }
+  }
+
+  const collector = {
+    usage: null,
+
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      let output = '';
+
+      for (const line of lines) {
+        const event = parseDataLine(line);
+        const usage = normalizeUsage(event?.usage);
+
+        if (usage) {
+          collector.usage = usage;
+        }
+
+        if (stripUsageChunk && usage && event.choices?.length === 0) {
+          skipBlankLine = true;
+          continue;
+        }
+
+        if (skipBlankLine && line.trim() === '') {
+          skipBlankLine = false;
+          continue;
+        }
+
+        skipBlankLine = false;
+        output += line + '\n';
+      }
+
+      // Without stripping, pass chunks through untouched
+      return stripUsageChunk ? output : chunk;
+    },
+
+    flush() {
+      const rest = buffer;
+      buffer = '';
+      return stripUsageChunk ? rest : '';
+    },
+  };
+
+  return collector;
+}
@@ -0,0 +1,297 @@
+/**
+ * Token Usage Store
+ *
+ * Persists daily rollups of requests and prompt/completion tokens per
+ * account, model and client key in ~/.qwen-proxy/usage.json.
+ *
+ * File layout:
+ *   { days: { "2026-01-31": { accounts: {...}, models: {...}, clients: {...} } } }
+ * where each group maps an ID to { name, requests, promptTokens, completionTokens }.
+ *
+ * The server keeps the rollups in memory and writes them out shortly after
+ * each change, via a temp file renamed over usage.json. A usage.json that
+ * cannot be parsed is moved aside rather than overwritten.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+import { createLogger } from '../logging/logger.js';
+
+// Paths
+const QWEN_PROXY_DIR = join(homedir(), '.qwen-proxy');
+const USAGE_FILE = join(QWEN_PROXY_DIR, 'usage.json');
+
+// Days of rollups kept on disk, and so the longest range worth asking for
+export const RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Delay before recorded usage is written, batching busy periods
+const SAVE_DEBOUNCE_MS = 5 * 1000;
+// Delay before trying again after a failed save
+const SAVE_RETRY_MS = 30 * 1000;
+
+const logger = createLogger({ component: 'usage' });
+
+// In-memory rollups (server only), loaded on the first recorded request
+let memory = null;
+let saveTimer = null;
+
+// Client ID used for requests made without an API key
+export const ANONYMOUS_CLIENT = 'anonymous';
+
+/**
+ * Ensure the .qwen-proxy directory exists
+ */
+function ensureDir() {
+  if (!existsSync(QWEN_PROXY_DIR)) {
+    mkdirSync(QWEN_PROXY_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+/**
+ * Format a timestamp as a UTC day key (YYYY-MM-DD)
+ */
+export function toDayKey(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the day key `days` days before today (0 = today)
+ */
+export function daysAgo(days) {
+  return toDayKey(Date.now() - days * DAY_MS);
+}
+
+/**
+ * Parse a number of days to report on, ending today (e.g. `?days=7`)
+ *
+ * Returns the count, or null unless it is a whole number from 1 to
+ * RETENTION_DAYS.
+ */
+export function parseDayCount(value) {
+  const text = String(value);
+  if (!/^\d+$/.test(text)) {
+    return null;
+  }
+
+  const days = Number(text);
+  return days >= 1 && days <= RETENTION_DAYS ? days : null;
+}
+
+/**
+ * Check that a string is a valid YYYY-MM-DD day key
+ */
+export function isDayKey(value) {
+  return typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+// Read usage.json; throws if it exists but is not a usage file
+function readUsageFile() {
+  ensureDir();
+
+  if (!existsSync(USAGE_FILE)) {
+    return { days: {} };
+  }
+
+  const data = JSON.parse(readFileSync(USAGE_FILE, 'utf-8'));
+
+  if (!data?.days || typeof data.days !== 'object') {
+    throw new Error('No "days" object');
+  }
+
+  return data;
+}
+
+/**
+ * Load usage rollups: the server's in-memory copy, or else the file
+ *
+ * An unreadable file reads as empty here; the server moves it aside when
+ * it first records usage.
+ */
+export function loadUsage() {
+  if (memory) {
+    return memory;
+  }
+
+  try {
+    return readUsageFile();
+  } catch {
+    return { days: {} };
+  }
+}
+
+// Load the rollups into memory, setting aside a usage.json that is corrupt
+function getUsageData() {
+  if (memory) {
+    return memory;
+  }
+
+  try {
+    memory = readUsageFile();
+  } catch (e) {
+    const aside = `${USAGE_FILE}.corrupt-${Date.now()}`;
+    try {
+      renameSync(USAGE_FILE, aside);
+      logger.error('usage.json is corrupt, moved it aside and started a new one', { error: e.message, movedTo: aside });
+    } catch (renameError) {
+      logger.error('usage.json is corrupt and could not be moved aside', { error: e.message, renameError: renameError.message });
+    }
+    memory = { days: {} };
+  }
+
+  return memory;
+}
+
+/**
+ * Write the in-memory rollups to usage.json now, dropping days past
+ * retention
+ *
+ * Throws if the write fails.
+ */
+export function saveUsageNow() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  if (!memory) return;
+
+  ensureDir();
+
+  const oldest = daysAgo(RETENTION_DAYS);
+  for (const day of Object.keys(memory.days)) {
+    if (day < oldest) {
+      delete memory.days[day];
+    }
+  }
+
+  // Write via a temp file and rename, which is atomic on the same filesystem
+  const tempFile = `${USAGE_FILE}.${process.pid}.tmp`;
+  writeFileSync(tempFile, JSON.stringify(memory, null, 2), { mode: 0o600 });
+  renameSync(tempFile, USAGE_FILE);
+}
+
+function scheduleSaveIn(delayMs) {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      saveUsageNow();
+    } catch (e) {
+      logger.error('Failed to save usage.json, will retry', { error: e.message, retryInMs: SAVE_RETRY_MS });
+      scheduleSaveIn(SAVE_RETRY_MS);
+    }
+  }, delayMs);
+  saveTimer.unref();
+}
+
+function addTo(group, id, name, usage) {
+  const entry = group[id] || { name, requests: 0, promptTokens: 0, completionTokens: 0 };
+
+  entry.name = name || entry.name;
+  entry.requests++;
+  entry.promptTokens += usage?.promptTokens || 0;
+  entry.completionTokens += usage?.completionTokens || 0;
+
+  group[id] = entry;
+}
+
+/**
+ * Record one completed request
+ *
+ * `usage` is a normalized usage object (see usage/extract.js) or null
+ * when the upstream did not report one.
+ */
+export function recordUsage({ account, model, client, usage }) {
+  const data = getUsageData();
+  const day = toDayKey();
+  const rollup = data.days[day] || { accounts: {}, models: {}, clients: {} };
+
+  addTo(rollup.accounts, account.id, account.name, usage);
+  addTo(rollup.models, model || 'unknown', model || 'unknown', usage);
+  addTo(rollup.clients, client?.id || ANONYMOUS_CLIENT, client?.name || ANONYMOUS_CLIENT, usage);
+
+  data.days[day] = rollup;
+  scheduleSaveIn(SAVE_DEBOUNCE_MS);
+}
+
+function mergeGroup(target, group) {
+  for (const [id, entry] of Object.entries(group || {})) {
+    const merged = target[id] || { name: entry.name, requests: 0, promptTokens: 0, completionTokens: 0 };
+
+    merged.name = entry.name || merged.name;
+    merged.requests += entry.requests;
+    merged.promptTokens += entry.promptTokens;
+    merged.completionTokens += entry.completionTokens;
+
+    target[id] = merged;
+  }
+}
+
+// Turn an ID -> entry map into a list sorted by total tokens
+function toRows(group) {
+  return Object.entries(group)
+    .map(([id, entry]) => ({
+      id,
+      ...entry,
+      totalTokens: entry.promptTokens + entry.completionTokens,
+    }))
+    .sort((a, b) => b.totalTokens - a.totalTokens || b.requests - a.requests);
+}
+
+/**
+ * Aggregate usage over an inclusive range of day keys
+ *
+ * Returns overall totals, rows per account, model and client, and
+ * per-day totals.
+ */
+export function queryUsage({ from = toDayKey(), to = toDayKey() } = {}) {
+  const data = loadUsage();
+  const accounts = {};
+  const models = {};
+  const clients = {};
+  const days = [];
+
+  for (const day of Object.keys(data.days).sort()) {
+    if (day < from || day > to) {
+      continue;
+    }
+
+    const rollup = data.days[day];
+    mergeGroup(accounts, rollup.accounts);
+    mergeGroup(models, rollup.models);
+    mergeGroup(clients, rollup.clients);
+
+    // Every request is counted once per group, so accounts give the day total
+    const dayTotals = { requests: 0, promptTokens: 0, completionTokens: 0 };
+    for (const entry of Object.values(rollup.accounts || {})) {
+      dayTotals.requests += entry.requests;
+      dayTotals.promptTokens += entry.promptTokens;
+      dayTotals.completionTokens += entry.completionTokens;
+    }
+    days.push({ date: day, ...dayTotals, totalTokens: dayTotals.promptTokens + dayTotals.completionTokens });
+  }
+
+  const totals = days.reduce((sum, day) => ({
+    requests: sum.requests + day.requests,
+    promptTokens: sum.promptTokens + day.promptTokens,
+    completionTokens: sum.completionTokens + day.completionTokens,
+    totalTokens: sum.totalTokens + day.totalTokens,
+  }), { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+  return {
+    from,
+    to,
+    totals,
+    accounts: toRows(accounts),
+    models: toRows(models),
+    clients: toRows(clients),
+    days,
+  };
+}
@@ -0,0 +1,235 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  anthropicToOpenAIRequest,
+  openAIToAnthropicResponse,
+  anthropicError,
+  createAnthropicStreamTranslator,
+} from '../src/compat/anthropic.js';
+
+// Turn `event: x\ndata: {...}\n\n` strings back into { event, data }
+function parseEvents(events) {
+  return events.map((text) => {
+    const [, event, data] = text.match(/^event: (.+)\ndata: (.+)\n\n$/);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+describe('anthropicToOpenAIRequest', () => {
+  it('maps the system prompt, messages and sampling fields', () => {
+    const request = anthropicToOpenAIRequest({
+      model: 'qwen3-coder-plus',
+      system: [{ type: 'text', text: 'Be brief.' }, { type: 'text', text: 'Use English.' }],
+      messages: [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' },
+      ],
+      max_tokens: 100,
+      temperature: 0.2,
+      stop_sequences: ['END'],
+      metadata: { user_id: 'u1' },
+    });
+
+    assert.deepEqual(request, {
+      model: 'qwen3-coder-plus',
+      messages: [
+        { role: 'system', content: 'Be brief.\n\nUse English.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' },
+      ],
+      max_tokens: 100,
+      temperature: 0.2,
+      stop: ['END'],
+      stream: false,
+      user: 'u1',
+    });
+  });
+
+  it('turns images into image_url parts', () => {
+    const request = anthropicToOpenAIRequest({
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } },
+          { type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } },
+        ],
+      }],
+    });
+
+    assert.deepEqual(request.messages[0].content, [
+      { type: 'text', text: 'What is this?' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+      { type: 'image_url', image_url: { url: 'https://example.com/a.png' } },
+    ]);
+  });
+
+  it('converts tool use and tool results, results first', () => {
+    const request = anthropicToOpenAIRequest({
+      messages: [
+        {
+          role: 'assistant',
+          content: [
+            { type: 'thinking', thinking: 'hmm' },
+            { type: 'text', text: 'Checking.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } },
+          ],
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'And tomorrow?' },
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'Sunny' }] },
+            { type: 'tool_result', tool_use_id: 'toolu_2', content: 'Timeout', is_error: true },
+          ],
+        },
+      ],
+    });
+
+    assert.deepEqual(request.messages, [
+      {
+        role: 'assistant',
+        content: 'Checking.',
+        tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+      },
+      { role: 'tool', tool_call_id: 'toolu_1', content: 'Sunny' },
+      { role: 'tool', tool_call_id: 'toolu_2', content: 'Error: Timeout' },
+      { role: 'user', content: 'And tomorrow?' },
+    ]);
+  });
+
+  it('converts tools and each kind of tool_choice', () => {
+    const tools = [{ name: 'f', description: 'Does f', input_schema: { type: 'object' } }];
+    const convert = tool_choice => anthropicToOpenAIRequest({ messages: [], tools, tool_choice });
+
+    assert.deepEqual(convert().tools, [
+      { type: 'function', function: { name: 'f', description: 'Does f', parameters: { type: 'object' } } },
+    ]);
+    assert.equal(convert().tool_choice, undefined);
+    assert.equal(convert({ type: 'auto' }).tool_choice, 'auto');
+    assert.equal(convert({ type: 'any' }).tool_choice, 'required');
+    assert.equal(convert({ type: 'none' }).tool_choice, 'none');
+    assert.deepEqual(convert({ type: 'tool', name: 'f' }).tool_choice, { type: 'function', function: { name: 'f' } });
+  });
+
+  it('asks for usage when streaming', () => {
+    const request = anthropicToOpenAIRequest({ messages: [], stream: true });
+    assert.equal(request.stream, true);
+    assert.deepEqual(request.stream_options, { include_usage: true });
+  });
+});
+
+describe('openAIToAnthropicResponse', () => {
+  it('converts text, tool calls, stop reason and usage', () => {
+    const message = openAIToAnthropicResponse({
+      id: 'chatcmpl-1',
+      model: 'upstream-model',
+      choices: [{
+        finish_reason: 'tool_calls',
+        message: {
+          content: 'Let me look.',
+          tool_calls: [
+            { id: 'call_1', function: { name: 'search', arguments: '{"q":"x"}' } },
+            { id: 'call_2', function: { name: 'broken', arguments: '{not json' } },
+          ],
+        },
+      }],
+      usage: { prompt_tokens: 12, completion_tokens: 5 },
+    }, 'requested-model');
+
+    assert.deepEqual(message, {
+      id: 'msg_chatcmpl-1',
+      type: 'message',
+      role: 'assistant',
+      model: 'requested-model',
+      content: [
+        { type: 'text', text: 'Let me look.' },
+        { type: 'tool_use', id: 'call_1', name: 'search', input: { q: 'x' } },
+        { type: 'tool_use', id: 'call_2', name: 'broken', input: {} },
+      ],
+      stop_reason: 'tool_use',
+      stop_sequence: null,
+      usage: { input_tokens: 12, output_tokens: 5 },
+    });
+  });
+
+  it('maps finish reasons', () => {
+    const stopReason = finish_reason => openAIToAnthropicResponse({ choices: [{ finish_reason, message: {} }] }).stop_reason;
+
+    assert.equal(stopReason('stop'), 'end_turn');
+    assert.equal(stopReason('length'), 'max_tokens');
+    assert.equal(stopReason('content_filter'), 'end_turn');
+    assert.equal(stopReason(undefined), 'end_turn');
+  });
+
+  it('generates an ID when the completion has none', () => {
+    assert.match(openAIToAnthropicResponse({ choices: [] }).id, /^msg_[0-9a-f]{24}$/);
+  });
+});
+
+describe('anthropicError', () => {
+  it('maps statuses to Anthropic error types', () => {
+    assert.deepEqual(anthropicError(429, 'Slow down'), {
+      type: 'error',
+      error: { type: 'rate_limit_error', message: 'Slow down' },
+    });
+    assert.equal(anthropicError(401, '').error.type, 'authentication_error');
+    assert.equal(anthropicError(502, '').error.type, 'api_error');
+    assert.equal(anthropicError(422, '').error.type, 'invalid_request_error');
+  });
+});
+
+describe('createAnthropicStreamTranslator', () => {
+  it('emits text and tool blocks in order, then the closing events', () => {
+    const translator = createAnthropicStreamTranslator('qwen3-coder-plus');
+    const events = parseEvents([
+      ...translator.push({ id: 'c1', choices: [{ delta: { content: 'Hel' } }] }),
+      ...translator.push({ id: 'c1', choices: [{ delta: { content: 'lo' } }] }),
+      ...translator.push({
+        id: 'c1',
+        choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'f', arguments: '{"a"' } }] } }],
+      }),
+      ...translator.push({
+        id: 'c1',
+        choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: ':1}' } }] }, finish_reason: 'tool_calls' }],
+      }),
+      ...translator.push({ id: 'c1', choices: [], usage: { prompt_tokens: 7, completion_tokens: 3 } }),
+      ...translator.finish(),
+    ]);
+
+    assert.deepEqual(events.map(e => e.event), [
+      'message_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_delta',
+      'content_block_stop',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop',
+    ]);
+
+    assert.equal(events[0].data.message.id, 'msg_c1');
+    assert.equal(events[0].data.message.model, 'qwen3-coder-plus');
+    assert.deepEqual(events[2].data.delta, { type: 'text_delta', text: 'Hel' });
+    assert.deepEqual(events[5].data, {
+      type: 'content_block_start',
+      index: 1,
+      content_block: { type: 'tool_use', id: 'call_1', name: 'f', input: {} },
+    });
+    assert.deepEqual(events[7].data.delta, { type: 'input_json_delta', partial_json: ':1}' });
+    assert.deepEqual(events[9].data, {
+      type: 'message_delta',
+      delta: { stop_reason: 'tool_use', stop_sequence: null },
+      usage: { output_tokens: 3 },
+    });
+  });
+
+  it('still sends message_start when the stream was empty', () => {
+    const translator = createAnthropicStreamTranslator('m');
+    assert.deepEqual(parseEvents(translator.finish()).map(e => e.event), ['message_start', 'message_delta', 'message_stop']);
+  });
+});
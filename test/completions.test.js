@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_CHOICES,
+  generateCompletionId,
+  normalizePrompts,
+  parseChoiceCount,
+  completionToChatRequest,
+  cleanCompletionText,
+  chatToCompletionChoice,
+  createCompletionResponse,
+  chatChunkToCompletionChunk,
+} from '../src/compat/completions.js';
+
+describe('generateCompletionId', () => {
+  it('looks like an OpenAI completion ID', () => {
+    assert.match(generateCompletionId(), /^cmpl-[0-9a-f]{24}$/);
+  });
+});
+
+describe('normalizePrompts', () => {
+  it('wraps a string and keeps only strings from a list', () => {
+    assert.deepEqual(normalizePrompts('a'), ['a']);
+    assert.deepEqual(normalizePrompts(['a', [1, 2], 'b']), ['a', 'b']);
+  });
+
+  it('treats a missing prompt as empty', () => {
+    assert.deepEqual(normalizePrompts(undefined), ['']);
+    assert.deepEqual(normalizePrompts([]), []);
+  });
+});
+
+describe('parseChoiceCount', () => {
+  it('defaults to 1', () => {
+    assert.equal(parseChoiceCount(undefined), 1);
+    assert.equal(parseChoiceCount(null), 1);
+  });
+
+  it('accepts integers from 1 to MAX_CHOICES', () => {
+    assert.equal(parseChoiceCount(1), 1);
+    assert.equal(parseChoiceCount(MAX_CHOICES), MAX_CHOICES);
+  });
+
+  it('rejects anything else', () => {
+    for (const n of [0, -1, 1.5, MAX_CHOICES + 1, '2', Infinity, NaN]) {
+      assert.equal(parseChoiceCount(n), null, String(n));
+    }
+  });
+});
+
+describe('completionToChatRequest', () => {
+  it('asks the model to continue a plain prompt', () => {
+    const request = completionToChatRequest({ model: 'm', max_tokens: 16, stop: '\n', user: null }, 'def add(a, b):');
+
+    assert.equal(request.messages[0].role, 'system');
+    assert.match(request.messages[0].content, /text completion engine/);
+    assert.deepEqual(request.messages[1], { role: 'user', content: 'def add(a, b):' });
+    assert.equal(request.max_tokens, 16);
+    assert.equal(request.stop, '\n');
+    assert.equal(request.stream, false);
+    assert.ok(!('user' in request));
+    assert.ok(!('stream_options' in request));
+  });
+
+  it('marks the cursor for fill-in-the-middle', () => {
+    const request = completionToChatRequest({ model: 'm', suffix: '\n  return c' }, 'def f():\n  c = ');
+
+    assert.match(request.messages[0].content, /code completion engine/);
+    assert.equal(request.messages[1].content, 'def f():\n  c = <|cursor|>\n  return c');
+  });
+
+  it('asks for usage when streaming', () => {
+    assert.deepEqual(completionToChatRequest({ model: 'm', stream: true }, 'x').stream_options, { include_usage: true });
+  });
+});
+
+describe('cleanCompletionText', () => {
+  it('unwraps a code fence', () => {
+    assert.equal(cleanCompletionText('```python\nreturn a + b\n```'), 'return a + b');
+  });
+
+  it('cuts at the first of several stop sequences', () => {
+    assert.equal(cleanCompletionText('one\ntwo;three', ['\n', ';']), 'one');
+    assert.equal(cleanCompletionText('one;two', ';'), 'one');
+  });
+
+  it('leaves other text alone', () => {
+    assert.equal(cleanCompletionText('a ``` b', ['']), 'a ``` b');
+  });
+});
+
+describe('chatToCompletionChoice', () => {
+  const completion = { choices: [{ message: { content: '```\n42\n```' }, finish_reason: 'length' }] };
+
+  it('builds a choice from the cleaned text', () => {
+    assert.deepEqual(chatToCompletionChoice(completion, { index: 2, prompt: 'x = ', echo: false }), {
+      text: '42',
+      index: 2,
+      logprobs: null,
+      finish_reason: 'length',
+    });
+  });
+
+  it('prepends the prompt with echo', () => {
+    assert.equal(chatToCompletionChoice(completion, { index: 0, prompt: 'x = ', echo: true }).text, 'x = 42');
+  });
+
+  it('reports other finish reasons as stop', () => {
+    const choice = chatToCompletionChoice({ choices: [{ message: { content: 'a' }, finish_reason: 'tool_calls' }] }, { index: 0 });
+    assert.equal(choice.finish_reason, 'stop');
+  });
+});
+
+describe('createCompletionResponse', () => {
+  it('builds a text_completion with created in Unix seconds', () => {
+    const before = Math.floor(Date.now() / 1000);
+    const response = createCompletionResponse('cmpl-1', 'm', [], { promptTokens: 3, completionTokens: 4, totalTokens: 7 });
+
+    assert.equal(response.object, 'text_completion');
+    assert.ok(response.created >= before && response.created <= before + 1);
+    assert.deepEqual(response.usage, { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 });
+  });
+});
+
+describe('chatChunkToCompletionChunk', () => {
+  it('converts a content delta', () => {
+    const chunk = chatChunkToCompletionChunk({ created: 100, choices: [{ delta: { content: 'x' }, finish_reason: null }] }, 'cmpl-1', 'm');
+
+    assert.deepEqual(chunk, {
+      id: 'cmpl-1',
+      object: 'text_completion',
+      created: 100,
+      model: 'm',
+      choices: [{ text: 'x', index: 0, logprobs: null, finish_reason: null }],
+    });
+  });
+
+  it('passes a usage-only chunk through with no choices', () => {
+    const usage = { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 };
+    const chunk = chatChunkToCompletionChunk({ created: 100, choices: [], usage }, 'cmpl-1', 'm');
+
+    assert.deepEqual(chunk.choices, []);
+    assert.deepEqual(chunk.usage, usage);
+  });
+});
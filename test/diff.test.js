@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_DIFF_LINES, normalizeBody, diffLines } from '../src/capture/diff.js';
+
+// Render a diff as compact "<type><line>" strings
+function render(diff) {
+  return diff.map(({ type, line }) => `${type}${line}`);
+}
+
+describe('normalizeBody', () => {
+  it('pretty-prints a JSON document', () => {
+    assert.deepEqual(normalizeBody('{"a":1,"b":[2]}'), ['{', '  "a": 1,', '  "b": [', '    2', '  ]', '}']);
+  });
+
+  it('keeps each SSE or NDJSON line and drops blank ones', () => {
+    assert.deepEqual(normalizeBody('data: {"x":1}\n\ndata: [DONE]\n\n'), ['data: {"x":1}', 'data: [DONE]']);
+    assert.deepEqual(normalizeBody('{"a":1}\n{"a":2}\n'), ['{"a":1}', '{"a":2}']);
+  });
+});
+
+describe('diffLines', () => {
+  it('marks identical input as unchanged', () => {
+    assert.deepEqual(render(diffLines(['a', 'b'], ['a', 'b'])), [' a', ' b']);
+  });
+
+  it('shows a changed line as a removal then an addition', () => {
+    assert.deepEqual(render(diffLines(['a', 'b', 'c'], ['a', 'x', 'c'])), [' a', '-b', '+x', ' c']);
+  });
+
+  it('handles lines added or removed at either end', () => {
+    assert.deepEqual(render(diffLines(['b'], ['a', 'b', 'c'])), ['+a', ' b', '+c']);
+    assert.deepEqual(render(diffLines(['a', 'b', 'c'], ['b'])), ['-a', ' b', '-c']);
+    assert.deepEqual(render(diffLines([], ['a'])), ['+a']);
+  });
+
+  it('keeps the longest common subsequence', () => {
+    const diff = diffLines(['a', 'b', 'c', 'd'], ['b', 'd', 'e']);
+    assert.deepEqual(diff.filter(d => d.type === ' ').map(d => d.line), ['b', 'd']);
+    assert.deepEqual(render(diff), ['-a', ' b', '-c', ' d', '+e']);
+  });
+
+  it('gives up on inputs over MAX_DIFF_LINES', () => {
+    const long = Array.from({ length: MAX_DIFF_LINES + 1 }, (_, i) => String(i));
+    assert.equal(diffLines(long, ['a']), null);
+    assert.equal(diffLines(['a'], long), null);
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizeModelName,
+  convertMessages,
+  ollamaChatToOpenAIRequest,
+  ollamaGenerateToOpenAIRequest,
+  openAIToOllamaResponse,
+  createOllamaStreamTranslator,
+  modelsToOllamaTags,
+  modelToOllamaShow,
+} from '../src/compat/ollama.js';
+
+const startedAt = process.hrtime.bigint();
+
+function parseLines(lines) {
+  return lines.map((line) => {
+    assert.ok(line.endsWith('\n'));
+    return JSON.parse(line);
+  });
+}
+
+describe('normalizeModelName', () => {
+  it('strips only the :latest tag', () => {
+    assert.equal(normalizeModelName('qwen3-coder-plus:latest'), 'qwen3-coder-plus');
+    assert.equal(normalizeModelName('qwen3-coder-plus:7b'), 'qwen3-coder-plus:7b');
+    assert.equal(normalizeModelName(undefined), undefined);
+  });
+});
+
+describe('convertMessages', () => {
+  it('turns raw base64 images into data URLs by their signature', () => {
+    const [message] = convertMessages([{ role: 'user', content: 'Look', images: ['/9j/abc', 'R0lGODabc', 'data:image/webp;base64,x'] }]);
+
+    assert.deepEqual(message.content, [
+      { type: 'text', text: 'Look' },
+      { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/abc' } },
+      { type: 'image_url', image_url: { url: 'data:image/gif;base64,R0lGODabc' } },
+      { type: 'image_url', image_url: { url: 'data:image/webp;base64,x' } },
+    ]);
+  });
+
+  it('gives tool calls IDs and matches them to the tool messages in order', () => {
+    const messages = convertMessages([
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          { function: { name: 'a', arguments: { x: 1 } } },
+          { function: { name: 'b', arguments: '{"y":2}' } },
+        ],
+      },
+      { role: 'tool', content: 'A done' },
+      { role: 'tool', content: 'B done' },
+    ]);
+
+    const [assistant, first, second] = messages;
+    assert.equal(assistant.content, null);
+    assert.deepEqual(assistant.tool_calls.map(call => call.function), [
+      { name: 'a', arguments: '{"x":1}' },
+      { name: 'b', arguments: '{"y":2}' },
+    ]);
+    assert.match(assistant.tool_calls[0].id, /^call_[0-9a-f]{24}$/);
+    assert.equal(first.tool_call_id, assistant.tool_calls[0].id);
+    assert.equal(second.tool_call_id, assistant.tool_calls[1].id);
+  });
+});
+
+describe('ollamaChatToOpenAIRequest', () => {
+  it('streams by default and maps options', () => {
+    const request = ollamaChatToOpenAIRequest({
+      model: 'qwen3-coder-plus:latest',
+      messages: [{ role: 'user', content: 'Hi' }],
+      options: { temperature: 0.1, top_p: 0.9, seed: 7, stop: ['\n'], num_predict: 64 },
+      format: 'json',
+    });
+
+    assert.deepEqual(request, {
+      model: 'qwen3-coder-plus',
+      messages: [{ role: 'user', content: 'Hi' }],
+      stream: true,
+      temperature: 0.1,
+      top_p: 0.9,
+      seed: 7,
+      stop: ['\n'],
+      max_tokens: 64,
+      response_format: { type: 'json_object' },
+      stream_options: { include_usage: true },
+    });
+  });
+
+  it('ignores a non-positive num_predict and maps a JSON schema format', () => {
+    const request = ollamaChatToOpenAIRequest({
+      model: 'm',
+      messages: [],
+      stream: false,
+      options: { num_predict: -1 },
+      format: { type: 'object' },
+    });
+
+    assert.equal(request.max_tokens, undefined);
+    assert.equal(request.stream_options, undefined);
+    assert.deepEqual(request.response_format, { type: 'json_schema', json_schema: { name: 'response', schema: { type: 'object' } } });
+  });
+});
+
+describe('ollamaGenerateToOpenAIRequest', () => {
+  it('sends the system prompt and prompt as messages', () => {
+    const request = ollamaGenerateToOpenAIRequest({ model: 'm', system: 'Be brief.', prompt: 'Hi', stream: false });
+
+    assert.deepEqual(request.messages, [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+    ]);
+  });
+});
+
+describe('openAIToOllamaResponse', () => {
+  const completion = {
+    choices: [{
+      finish_reason: 'stop',
+      message: { content: 'Hello', tool_calls: [{ function: { name: 'f', arguments: '{"a":1}' } }] },
+    }],
+    usage: { prompt_tokens: 4, completion_tokens: 2 },
+  };
+
+  it('builds a chat response with parsed tool arguments and counts', () => {
+    const response = openAIToOllamaResponse(completion, 'm:latest', 'chat', startedAt);
+
+    assert.deepEqual(response.message, {
+      role: 'assistant',
+      content: 'Hello',
+      tool_calls: [{ function: { name: 'f', arguments: { a: 1 } } }],
+    });
+    assert.equal(response.model, 'm:latest');
+    assert.equal(response.done, true);
+    assert.equal(response.done_reason, 'stop');
+    assert.equal(response.prompt_eval_count, 4);
+    assert.equal(response.eval_count, 2);
+    assert.ok(response.total_duration > 0);
+  });
+
+  it('builds a generate response', () => {
+    const response = openAIToOllamaResponse({ choices: [{ finish_reason: 'length', message: { content: 'Hel' } }] }, 'm', 'generate', startedAt);
+
+    assert.equal(response.response, 'Hel');
+    assert.equal(response.message, undefined);
+    assert.equal(response.done_reason, 'length');
+  });
+});
+
+describe('createOllamaStreamTranslator', () => {
+  it('streams content, sends tool calls whole, then a done line', () => {
+    const translator = createOllamaStreamTranslator('m', 'chat', startedAt);
+    const lines = parseLines([
+      ...translator.push({ choices: [{ delta: { content: 'Hi' } }] }),
+      ...translator.push({ choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'f', arguments: '{"a"' } }] } }] }),
+      ...translator.push({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: ':1}' } }] }, finish_reason: 'tool_calls' }] }),
+      ...translator.push({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 5 } }),
+      ...translator.finish(),
+    ]);
+
+    assert.equal(lines.length, 3);
+    assert.deepEqual(lines[0].message, { role: 'assistant', content: 'Hi' });
+    assert.equal(lines[0].done, false);
+    assert.deepEqual(lines[1].message.tool_calls, [{ function: { name: 'f', arguments: { a: 1 } } }]);
+    assert.equal(lines[2].done, true);
+    assert.equal(lines[2].done_reason, 'stop');
+    assert.equal(lines[2].eval_count, 5);
+  });
+
+  it('uses `response` for generate', () => {
+    const translator = createOllamaStreamTranslator('m', 'generate', startedAt);
+    const lines = parseLines([...translator.push({ choices: [{ delta: { content: 'Hi' } }] }), ...translator.finish()]);
+
+    assert.deepEqual(lines.map(line => line.response), ['Hi', '']);
+  });
+});
+
+describe('model listings', () => {
+  const model = { id: 'vision-model', created: 1753142400 };
+
+  it('lists models as name:latest with created as the modified time', () => {
+    const [tag] = modelsToOllamaTags([model]).models;
+
+    assert.equal(tag.name, 'vision-model:latest');
+    assert.equal(tag.model, 'vision-model:latest');
+    assert.equal(tag.modified_at, '2025-07-22T00:00:00.000Z');
+  });
+
+  it('shows capabilities, with vision for vision models', () => {
+    assert.deepEqual(modelToOllamaShow(model).capabilities, ['completion', 'tools', 'vision']);
+    assert.deepEqual(modelToOllamaShow({ id: 'coder-model', created: 0 }).capabilities, ['completion', 'tools']);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeQrCode, renderQrCode } from '../src/auth/qrcode.js';
+
+// Format info for error correction level L with masks 0-7 (ISO/IEC 18004, table C.1)
+const FORMAT_L = [0x77c4, 0x72f3, 0x7daa, 0x789d, 0x662f, 0x6318, 0x6c41, 0x6976];
+
+function readFormatBits(modules) {
+  const size = modules.length;
+  const bit = (x, y, i) => (modules[y][x] ? 1 << i : 0);
+
+  let first = 0;
+  for (let i = 0; i <= 5; i++) first |= bit(8, i, i);
+  first |= bit(8, 7, 6) | bit(8, 8, 7) | bit(7, 8, 8);
+  for (let i = 9; i < 15; i++) first |= bit(14 - i, 8, i);
+
+  let second = 0;
+  for (let i = 0; i < 8; i++) second |= bit(size - 1 - i, 8, i);
+  for (let i = 8; i < 15; i++) second |= bit(8, size - 15 + i, i);
+
+  return [first, second];
+}
+
+function assertFinder(modules, left, top) {
+  for (let dy = 0; dy < 7; dy++) {
+    for (let dx = 0; dx < 7; dx++) {
+      const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+      assert.equal(modules[top + dy][left + dx], ring !== 2, `finder module ${left + dx},${top + dy}`);
+    }
+  }
+}
+
+describe('encodeQrCode', () => {
+  it('picks the smallest version that fits', () => {
+    assert.equal(encodeQrCode('').length, 21);
+    assert.equal(encodeQrCode('a'.repeat(17)).length, 21);
+    assert.equal(encodeQrCode('a'.repeat(18)).length, 25);
+    assert.equal(encodeQrCode('a'.repeat(230)).length, 53);
+    assert.equal(encodeQrCode('a'.repeat(231)).length, 57);
+    assert.equal(encodeQrCode('a'.repeat(271)).length, 57);
+  });
+
+  it('counts UTF-8 bytes, not characters', () => {
+    assert.equal(encodeQrCode('é'.repeat(9)).length, 25);
+  });
+
+  it('rejects text longer than version 10 holds', () => {
+    assert.throws(() => encodeQrCode('a'.repeat(272)), /too long for a QR code \(272 bytes\)/);
+  });
+
+  it('returns square rows of booleans, the same each time', () => {
+    const url = 'https://chat.qwen.ai/authorize?user_code=ABCD-1234&client=qwen-code';
+    const modules = encodeQrCode(url);
+
+    for (const row of modules) {
+      assert.equal(row.length, modules.length);
+      assert.ok(row.every(module => typeof module === 'boolean'));
+    }
+    assert.deepEqual(encodeQrCode(url), modules);
+    assert.notDeepEqual(encodeQrCode(`${url}x`), modules);
+  });
+
+  it('draws the finder and timing patterns and the dark module', () => {
+    for (const text of ['hi', 'a'.repeat(100)]) {
+      const modules = encodeQrCode(text);
+      const size = modules.length;
+
+      assertFinder(modules, 0, 0);
+      assertFinder(modules, size - 7, 0);
+      assertFinder(modules, 0, size - 7);
+      for (let i = 8; i < size - 8; i++) {
+        assert.equal(modules[6][i], i % 2 === 0);
+        assert.equal(modules[i][6], i % 2 === 0);
+      }
+      assert.equal(modules[size - 8][8], true);
+    }
+  });
+
+  it('writes level L format info, twice', () => {
+    for (const text of ['', 'hello', 'a'.repeat(200)]) {
+      const [first, second] = readFormatBits(encodeQrCode(text));
+      assert.ok(FORMAT_L.includes(first), `format bits ${first.toString(16)}`);
+      assert.equal(second, first);
+    }
+  });
+
+  it('writes version info from version 7', () => {
+    // Version 7 holds 154 bytes at level L; its version info is 0x07c94
+    const modules = encodeQrCode('a'.repeat(150));
+    const size = modules.length;
+    assert.equal(size, 45);
+
+    let below = 0;
+    let right = 0;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      below |= modules[a][b] ? 1 << i : 0;
+      right |= modules[b][a] ? 1 << i : 0;
+    }
+    assert.equal(below, 0x07c94);
+    assert.equal(right, 0x07c94);
+  });
+});
+
+describe('renderQrCode', () => {
+  const strip = text => text.replace(/\x1b\[[\d;]*m/g, '');
+
+  it('draws two rows of modules per line, inside the margin', () => {
+    const lines = renderQrCode('hi').split('\n');
+    assert.equal(lines.length, 15);
+    for (const line of lines) {
+      assert.equal(strip(line), '▀'.repeat(29));
+      assert.ok(line.endsWith('\x1b[0m'));
+    }
+  });
+
+  it('colours each half block by its two modules', () => {
+    const modules = encodeQrCode('hi');
+    const lines = renderQrCode('hi', { margin: 0 }).split('\n');
+    assert.equal(lines.length, 11);
+
+    const cells = lines.map(line => line.match(/\x1b\[(\d+);(\d+)m▀/g));
+    assert.equal(cells[0][0], '\x1b[30;40m▀');
+    assert.equal(cells[0][7], '\x1b[97;107m▀');
+    // The last line's lower half is past the bottom edge
+    assert.equal(cells[10][0], `\x1b[${modules[20][0] ? 30 : 97};107m▀`);
+  });
+
+  it('draws the margin light', () => {
+    const first = renderQrCode('hi', { margin: 2 }).split('\n')[0];
+    assert.match(first, /^(\x1b\[97;107m▀){25}\x1b\[0m$/);
+  });
+});
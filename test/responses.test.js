@@ -0,0 +1,240 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getStoredResponse,
+  storeResponse,
+  inputToMessages,
+  responsesToOpenAIRequest,
+  createResponseObject,
+  responseToAssistantMessage,
+  completionToResponse,
+  createResponsesStreamTranslator,
+} from '../src/compat/responses.js';
+
+function parseEvents(events) {
+  return events.map((text) => {
+    const [, event, data] = text.match(/^event: (.+)\ndata: (.+)\n\n$/);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+describe('inputToMessages', () => {
+  it('treats a string as one user message', () => {
+    assert.deepEqual(inputToMessages('Hi'), [{ role: 'user', content: 'Hi' }]);
+  });
+
+  it('converts messages, images and developer instructions', () => {
+    const messages = inputToMessages([
+      { role: 'developer', content: 'Be brief.' },
+      {
+        type: 'message',
+        role: 'user',
+        content: [
+          { type: 'input_text', text: 'What is this?' },
+          { type: 'input_image', image_url: 'data:image/png;base64,AAAA', detail: 'low' },
+        ],
+      },
+      { role: 'assistant', content: [{ type: 'output_text', text: 'A' }, { type: 'output_text', text: 'B' }] },
+    ]);
+
+    assert.deepEqual(messages, [
+      { role: 'system', content: 'Be brief.' },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA', detail: 'low' } },
+        ],
+      },
+      { role: 'assistant', content: 'A\n\nB' },
+    ]);
+  });
+
+  it('groups consecutive function calls into one assistant turn', () => {
+    const messages = inputToMessages([
+      { type: 'function_call', call_id: 'c1', name: 'a', arguments: '{"x":1}' },
+      { type: 'function_call', call_id: 'c2', name: 'b' },
+      { type: 'function_call_output', call_id: 'c1', output: 'done' },
+      { type: 'function_call_output', call_id: 'c2', output: { ok: true } },
+    ]);
+
+    assert.deepEqual(messages, [
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [
+          { id: 'c1', type: 'function', function: { name: 'a', arguments: '{"x":1}' } },
+          { id: 'c2', type: 'function', function: { name: 'b', arguments: '{}' } },
+        ],
+      },
+      { role: 'tool', tool_call_id: 'c1', content: 'done' },
+      { role: 'tool', tool_call_id: 'c2', content: '{"ok":true}' },
+    ]);
+  });
+});
+
+describe('responsesToOpenAIRequest', () => {
+  it('adds instructions before the history, and keeps them out of the stored conversation', () => {
+    const history = [{ role: 'user', content: 'Earlier' }, { role: 'assistant', content: 'Reply' }];
+    const { request, conversation } = responsesToOpenAIRequest({
+      model: 'qwen3-coder-plus',
+      instructions: 'Be brief.',
+      input: 'Now',
+      max_output_tokens: 50,
+    }, history);
+
+    assert.deepEqual(conversation, [...history, { role: 'user', content: 'Now' }]);
+    assert.deepEqual(request, {
+      model: 'qwen3-coder-plus',
+      messages: [{ role: 'system', content: 'Be brief.' }, ...conversation],
+      max_tokens: 50,
+      stream: false,
+    });
+  });
+
+  it('keeps only function tools and converts tool_choice', () => {
+    const { request } = responsesToOpenAIRequest({
+      input: 'x',
+      tools: [
+        { type: 'web_search' },
+        { type: 'function', name: 'f', description: 'Does f', parameters: { type: 'object' } },
+      ],
+      tool_choice: { type: 'function', name: 'f' },
+      parallel_tool_calls: false,
+    });
+
+    assert.deepEqual(request.tools, [
+      { type: 'function', function: { name: 'f', description: 'Does f', parameters: { type: 'object' } } },
+    ]);
+    assert.deepEqual(request.tool_choice, { type: 'function', function: { name: 'f' } });
+    assert.equal(request.parallel_tool_calls, false);
+  });
+
+  it('converts text formats to response_format', () => {
+    const format = text => responsesToOpenAIRequest({ input: 'x', text }).request.response_format;
+
+    assert.deepEqual(format({ format: { type: 'json_schema', name: 'out', schema: { type: 'object' }, strict: true } }), {
+      type: 'json_schema',
+      json_schema: { name: 'out', schema: { type: 'object' }, strict: true },
+    });
+    assert.deepEqual(format({ format: { type: 'json_object' } }), { type: 'json_object' });
+    assert.equal(format({ format: { type: 'text' } }), undefined);
+  });
+
+  it('asks for usage when streaming', () => {
+    const { request } = responsesToOpenAIRequest({ input: 'x', stream: true });
+    assert.deepEqual(request.stream_options, { include_usage: true });
+  });
+});
+
+describe('completionToResponse', () => {
+  it('fills output items, output_text and usage', () => {
+    const response = completionToResponse(createResponseObject({ model: 'm' }), {
+      choices: [{
+        finish_reason: 'tool_calls',
+        message: { content: 'Calling.', tool_calls: [{ id: 'call_1', function: { name: 'f', arguments: '{"a":1}' } }] },
+      }],
+      usage: { prompt_tokens: 10, completion_tokens: 4 },
+    });
+
+    assert.equal(response.status, 'completed');
+    assert.equal(response.output_text, 'Calling.');
+    assert.deepEqual(response.usage, { input_tokens: 10, output_tokens: 4, total_tokens: 14 });
+    assert.equal(response.output.length, 2);
+    assert.deepEqual(response.output[0].content, [{ type: 'output_text', text: 'Calling.', annotations: [] }]);
+    assert.deepEqual(
+      { type: response.output[1].type, call_id: response.output[1].call_id, name: response.output[1].name, arguments: response.output[1].arguments },
+      { type: 'function_call', call_id: 'call_1', name: 'f', arguments: '{"a":1}' },
+    );
+  });
+
+  it('marks a response cut short by the token limit as incomplete', () => {
+    const response = completionToResponse(createResponseObject({ model: 'm' }), {
+      choices: [{ finish_reason: 'length', message: { content: 'Trunc' } }],
+    });
+
+    assert.equal(response.status, 'incomplete');
+    assert.deepEqual(response.incomplete_details, { reason: 'max_output_tokens' });
+    assert.equal(response.usage, null);
+  });
+});
+
+describe('responseToAssistantMessage', () => {
+  it('rebuilds the assistant chat message with its tool calls', () => {
+    const response = completionToResponse(createResponseObject({ model: 'm' }), {
+      choices: [{ message: { tool_calls: [{ id: 'call_1', function: { name: 'f', arguments: '{}' } }] } }],
+    });
+
+    assert.deepEqual(responseToAssistantMessage(response), {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'f', arguments: '{}' } }],
+    });
+  });
+});
+
+describe('stored responses', () => {
+  it('returns what was stored, and null for unknown IDs', () => {
+    const response = createResponseObject({ model: 'm' });
+    const messages = [{ role: 'user', content: 'Hi' }];
+    storeResponse(response, messages);
+
+    assert.equal(getStoredResponse(response.id).response, response);
+    assert.equal(getStoredResponse(response.id).messages, messages);
+    assert.equal(getStoredResponse('resp_unknown'), null);
+  });
+});
+
+describe('createResponsesStreamTranslator', () => {
+  it('emits numbered events for text, then a function call, then completion', () => {
+    const translator = createResponsesStreamTranslator(createResponseObject({ model: 'm' }));
+    const events = parseEvents([
+      ...translator.start(),
+      ...translator.push({ choices: [{ delta: { content: 'Hel' } }] }),
+      ...translator.push({ choices: [{ delta: { content: 'lo' } }] }),
+      ...translator.push({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'f', arguments: '{"a"' } }] } }] }),
+      ...translator.push({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: ':1}' } }] }, finish_reason: 'tool_calls' }] }),
+      ...translator.push({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } }),
+      ...translator.finish(),
+    ]);
+
+    assert.deepEqual(events.map(e => e.event), [
+      'response.created',
+      'response.in_progress',
+      'response.output_item.added',
+      'response.content_part.added',
+      'response.output_text.delta',
+      'response.output_text.delta',
+      'response.output_text.done',
+      'response.content_part.done',
+      'response.output_item.done',
+      'response.output_item.added',
+      'response.function_call_arguments.delta',
+      'response.function_call_arguments.delta',
+      'response.function_call_arguments.done',
+      'response.output_item.done',
+      'response.completed',
+    ]);
+    assert.deepEqual(events.map(e => e.data.sequence_number), events.map((_, i) => i));
+
+    assert.equal(events[6].data.text, 'Hello');
+    assert.equal(events[12].data.arguments, '{"a":1}');
+
+    const { response } = events[events.length - 1].data;
+    assert.equal(response.status, 'completed');
+    assert.equal(response.output_text, 'Hello');
+    assert.deepEqual(response.usage, { input_tokens: 3, output_tokens: 2, total_tokens: 5 });
+    assert.deepEqual(response.output.map(item => item.status), ['completed', 'completed']);
+    assert.equal(translator.response.id, response.id);
+  });
+
+  it('ends with response.incomplete when the token limit was hit', () => {
+    const translator = createResponsesStreamTranslator(createResponseObject({ model: 'm' }));
+    translator.start();
+    translator.push({ choices: [{ delta: { content: 'x' }, finish_reason: 'length' }] });
+    const events = parseEvents(translator.finish());
+
+    assert.equal(events[events.length - 1].event, 'response.incomplete');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { rotateFiles, needsRotation, createRotatingWriter } from '../src/logging/rotate.js';
+
+let dir;
+let path;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'qwen-proxy-rotate-'));
+  path = join(dir, 'server.log');
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const read = file => readFileSync(file, 'utf-8');
+
+describe('rotateFiles', () => {
+  it('shifts the numbered files and drops the oldest', () => {
+    writeFileSync(path, 'current');
+    writeFileSync(`${path}.1`, 'one');
+    writeFileSync(`${path}.2`, 'two');
+
+    rotateFiles(path, 2);
+
+    assert.equal(existsSync(path), false);
+    assert.equal(read(`${path}.1`), 'current');
+    assert.equal(read(`${path}.2`), 'one');
+    assert.equal(existsSync(`${path}.3`), false);
+  });
+
+  it('deletes the file when nothing is retained', () => {
+    writeFileSync(path, 'current');
+    rotateFiles(path, 0);
+    assert.equal(existsSync(path), false);
+    assert.equal(existsSync(`${path}.1`), false);
+  });
+});
+
+describe('needsRotation', () => {
+  it('is false for a missing file', () => {
+    assert.equal(needsRotation(path, { maxBytes: 1, maxAgeMs: 1 }), false);
+  });
+
+  it('checks the size limit', () => {
+    writeFileSync(path, '0123456789');
+    assert.equal(needsRotation(path, { maxBytes: 10, maxAgeMs: 0 }), true);
+    assert.equal(needsRotation(path, { maxBytes: 11, maxAgeMs: 0 }), false);
+  });
+
+  it('checks the age limit, unless it is 0', async () => {
+    writeFileSync(path, `${JSON.stringify({ time: new Date().toISOString(), level: 'info', msg: 'hi' })}\n`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal(needsRotation(path, { maxBytes: 1024, maxAgeMs: 1 }), true);
+    assert.equal(needsRotation(path, { maxBytes: 1024, maxAgeMs: 0 }), false);
+  });
+});
+
+describe('createRotatingWriter', () => {
+  it('rotates before a write that would pass the size limit', () => {
+    const writer = createRotatingWriter(path, { maxBytes: 10, maxAgeMs: 0, retain: 2 });
+    writer.write('12345\n');
+    writer.write('67890\n');
+    writer.write('abcde\n');
+    writer.close();
+
+    assert.equal(read(path), 'abcde\n');
+    assert.equal(read(`${path}.1`), '67890\n');
+    assert.equal(read(`${path}.2`), '12345\n');
+  });
+
+  it('rotates by size only when the age limit is 0', async () => {
+    const writer = createRotatingWriter(path, { maxBytes: 1024, maxAgeMs: 0, retain: 0 });
+    writer.write('one\n');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    writer.write('two\n');
+    writer.close();
+
+    assert.equal(read(path), 'one\ntwo\n');
+  });
+
+  it('rotates once the file reaches the age limit', async () => {
+    const writer = createRotatingWriter(path, { maxBytes: 1024, maxAgeMs: 1, retain: 1 });
+    writer.write('one\n');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    writer.write('two\n');
+    writer.close();
+
+    assert.equal(read(path), 'two\n');
+    assert.equal(read(`${path}.1`), 'one\n');
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// The stores find their files under the home directory when first imported
+const home = mkdtempSync(join(tmpdir(), 'qwen-proxy-rules-'));
+process.env.HOME = home;
+
+const { ACCOUNT_HEADER, describeRule, resolveRoute } = await import('../src/accounts/rules.js');
+const { writeConfigFile, loadConfig } = await import('../src/config/store.js');
+
+function account(id, extra = {}) {
+  return { id, name: `${id}-name`, enabled: true, tags: [], ...extra };
+}
+
+function useRules(rules) {
+  writeConfigFile({ routing: { rules } });
+  loadConfig();
+}
+
+const route = (request) => resolveRoute({ model: 'qwen3-coder-plus', clientKey: null, accountHeader: undefined, ...request });
+
+describe('describeRule', () => {
+  it('lists the conditions and the target', () => {
+    assert.equal(describeRule({ model: 'vision-*', tag: 'vision' }), 'model vision-* -> tag "vision"');
+    assert.equal(describeRule({ model: 'm', key: 'ci', account: 'work' }), 'model m and key ci -> account "work"');
+  });
+
+  it('describes header rules without a target', () => {
+    assert.equal(describeRule({ header: '*' }), `header * -> the account or tag named in ${ACCOUNT_HEADER}`);
+  });
+});
+
+describe('resolveRoute', () => {
+  before(() => {
+    const accounts = [
+      account('a1', { tags: ['fast'] }),
+      account('a2', { tags: ['fast', 'vision'] }),
+      account('a3', { enabled: false, tags: ['fast'] }),
+      account('a4', { loginRequired: true, tags: ['vision'] }),
+    ];
+    mkdirSync(join(home, '.qwen-proxy'), { recursive: true });
+    writeFileSync(join(home, '.qwen-proxy', 'accounts.json'), JSON.stringify({
+      accounts: Object.fromEntries(accounts.map(a => [a.id, a])),
+      defaultAccountId: 'a1',
+    }));
+  });
+
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('returns null without rules or when none match', () => {
+    useRules([]);
+    assert.equal(route({}), null);
+
+    useRules([{ model: 'vision-*', tag: 'vision' }]);
+    assert.equal(route({}), null);
+  });
+
+  it('picks the first matching rule, skipping unusable accounts', () => {
+    useRules([
+      { model: 'qwen3-*-plus', tag: 'fast' },
+      { model: '*', account: 'a2' },
+    ]);
+    assert.deepEqual(route({}), { index: 0, rule: { model: 'qwen3-*-plus', tag: 'fast' }, accountIds: ['a1', 'a2'], fromHeader: false });
+    assert.equal(route({ model: 'qwen3-coder-flash' }).index, 1);
+  });
+
+  it('treats pattern characters other than * literally', () => {
+    useRules([{ model: 'qwen3.coder', account: 'a1' }]);
+    assert.equal(route({ model: 'qwen3-coder' }), null);
+    assert.equal(route({ model: 'qwen3.coder' }).index, 0);
+  });
+
+  it('targets accounts by ID or name', () => {
+    useRules([{ model: 'a', account: 'a2' }, { model: 'b', account: 'a2-name' }, { model: 'c', account: 'a3' }]);
+    assert.deepEqual(route({ model: 'a' }).accountIds, ['a2']);
+    assert.deepEqual(route({ model: 'b' }).accountIds, ['a2']);
+    assert.deepEqual(route({ model: 'c' }).accountIds, []);
+  });
+
+  it('matches client keys by name pattern or ID', () => {
+    useRules([{ key: 'ci-*', tag: 'vision' }, { key: 'key-7', account: 'a1' }]);
+    assert.equal(route({}), null);
+    assert.equal(route({ clientKey: { id: 'key-1', name: 'ci-nightly' } }).index, 0);
+    assert.equal(route({ clientKey: { id: 'key-7', name: 'laptop' } }).index, 1);
+    assert.equal(route({ clientKey: { id: 'key-8', name: 'laptop' } }), null);
+  });
+
+  it('requires every condition to match', () => {
+    useRules([{ model: 'qwen3-*', key: 'ci', tag: 'fast' }]);
+    assert.equal(route({ clientKey: { id: 'k', name: 'dev' } }), null);
+    assert.equal(route({ clientKey: { id: 'k', name: 'ci' } }).index, 0);
+  });
+
+  it('uses the header value as the target when the rule has none', () => {
+    useRules([{ header: '*' }]);
+    assert.equal(route({}), null);
+    assert.deepEqual(route({ accountHeader: 'a1-name' }), { index: 0, rule: { header: '*' }, accountIds: ['a1'], fromHeader: true });
+    assert.deepEqual(route({ accountHeader: 'vision' }).accountIds, ['a2']);
+    assert.deepEqual(route({ accountHeader: 'nobody' }).accountIds, []);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CONFIG_SCHEMA,
+  LEGACY_KEYS,
+  isPlainObject,
+  getPath,
+  setPath,
+  unsetPath,
+  parseValue,
+  validateValue,
+  validateConfig,
+} from '../src/config/schema.js';
+
+describe('CONFIG_SCHEMA', () => {
+  it('gives every setting a valid default', () => {
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+      assert.equal(validateValue(key, CONFIG_SCHEMA[key].default), null, key);
+    }
+  });
+
+  it('maps every legacy key to a setting', () => {
+    for (const key of Object.values(LEGACY_KEYS)) {
+      assert.ok(CONFIG_SCHEMA[key], key);
+    }
+  });
+
+  it('defaults the host to localhost', () => {
+    assert.equal(CONFIG_SCHEMA['server.host'].default, 'localhost');
+  });
+});
+
+describe('isPlainObject', () => {
+  it('accepts only non-array objects', () => {
+    assert.equal(isPlainObject({}), true);
+    assert.equal(isPlainObject([]), false);
+    assert.equal(isPlainObject(null), false);
+    assert.equal(isPlainObject('x'), false);
+  });
+});
+
+describe('dotted paths', () => {
+  it('gets nested values, and undefined through non-objects', () => {
+    const data = { server: { port: 3000 }, capture: true };
+    assert.equal(getPath(data, 'server.port'), 3000);
+    assert.equal(getPath(data, 'server.host'), undefined);
+    assert.equal(getPath(data, 'capture.enabled'), undefined);
+  });
+
+  it('sets values, replacing non-objects along the way', () => {
+    const data = { capture: true };
+    setPath(data, 'capture.enabled', false);
+    setPath(data, 'routing.strategy', 'weighted');
+    assert.deepEqual(data, { capture: { enabled: false }, routing: { strategy: 'weighted' } });
+  });
+
+  it('unsets values and drops sections left empty', () => {
+    const data = { routing: { strategy: 'weighted' }, server: { port: 1, host: 'h' } };
+    unsetPath(data, 'routing.strategy');
+    unsetPath(data, 'server.port');
+    unsetPath(data, 'missing.key');
+    assert.deepEqual(data, { server: { host: 'h' } });
+  });
+});
+
+describe('parseValue', () => {
+  it('parses numbers, and returns text that is not one unchanged', () => {
+    assert.equal(parseValue('server.port', '8080'), 8080);
+    assert.equal(parseValue('server.port', 'eighty'), 'eighty');
+    assert.equal(parseValue('server.port', ' '), ' ');
+  });
+
+  it('parses the boolean spellings', () => {
+    for (const text of ['1', 'true', 'ON', 'yes']) {
+      assert.equal(parseValue('capture.enabled', text), true, text);
+    }
+    for (const text of ['0', 'false', 'Off', 'no']) {
+      assert.equal(parseValue('capture.enabled', text), false, text);
+    }
+    assert.equal(parseValue('capture.enabled', 'maybe'), 'maybe');
+  });
+
+  it('parses JSON for objects and arrays', () => {
+    assert.deepEqual(parseValue('models.aliases', '{"gpt-4o":"qwen3-coder-plus"}'), { 'gpt-4o': 'qwen3-coder-plus' });
+    assert.deepEqual(parseValue('routing.rules', '[]'), []);
+    assert.equal(parseValue('routing.rules', '[oops'), '[oops');
+  });
+
+  it('keeps strings as they are', () => {
+    assert.equal(parseValue('server.host', '0.0.0.0'), '0.0.0.0');
+  });
+});
+
+describe('validateValue', () => {
+  it('checks number types and bounds', () => {
+    assert.equal(validateValue('server.port', 3000), null);
+    assert.match(validateValue('server.port', '3000'), /must be a number/);
+    assert.match(validateValue('server.port', 1.5), /whole number/);
+    assert.match(validateValue('server.port', 0), /at least 1/);
+    assert.match(validateValue('server.port', 70000), /at most 65535/);
+    assert.equal(validateValue('logging.maxAgeHours', 0.5), null);
+  });
+
+  it('checks booleans, strings and enums', () => {
+    assert.match(validateValue('capture.enabled', 'yes'), /true or false/);
+    assert.match(validateValue('server.host', ''), /non-empty string/);
+    assert.equal(validateValue('routing.strategy', 'round-robin'), null);
+    assert.match(validateValue('routing.strategy', 'fastest'), /must be one of .*round-robin/);
+    assert.match(validateValue('logging.level', 'trace'), /must be one of debug, info, warn, error/);
+  });
+
+  it('rejects unknown settings', () => {
+    assert.equal(validateValue('server.colour', 'blue'), 'unknown setting');
+  });
+
+  it('validates model aliases', () => {
+    assert.equal(validateValue('models.aliases', { a: 'm', b: { model: 'm', params: { temperature: 0 } } }), null);
+    assert.match(validateValue('models.aliases', []), /JSON object/);
+    assert.match(validateValue('models.aliases', { a: '' }), /alias "a" must map to a model name/);
+    assert.match(validateValue('models.aliases', { a: { params: {} } }), /alias "a" must be a model name or/);
+    assert.match(validateValue('models.aliases', { a: { model: 'm', params: [] } }), /params of alias "a"/);
+  });
+
+  it('validates routing rules', () => {
+    const check = rules => validateValue('routing.rules', rules);
+
+    assert.equal(check([{ model: 'qwen3-*', tag: 'fast' }, { header: '*' }, { key: 'ci', account: 'work' }]), null);
+    assert.match(check({}), /JSON array/);
+    assert.match(check(['x']), /rule 1 must be an object/);
+    assert.match(check([{ model: 'm', weight: 'x' }]), /unknown field "weight"/);
+    assert.match(check([{ model: '' , tag: 't' }]), /"model" must be a non-empty string/);
+    assert.match(check([{ account: 'work' }]), /needs a condition/);
+    assert.match(check([{ model: 'm', account: 'a', tag: 't' }]), /not both/);
+    assert.match(check([{ model: 'm' }]), /needs an account or a tag/);
+  });
+});
+
+describe('validateConfig', () => {
+  it('accepts an empty or valid file', () => {
+    assert.deepEqual(validateConfig({}), []);
+    assert.deepEqual(validateConfig({ server: { port: 8080 }, capture: { enabled: true, maxFiles: 10 } }), []);
+  });
+
+  it('reports unknown keys and invalid values by dotted path', () => {
+    assert.deepEqual(validateConfig({
+      server: { port: 0, colour: 'blue' },
+      extra: 1,
+      routing: 'fast',
+    }), [
+      { key: 'server.colour', message: 'unknown setting' },
+      { key: 'extra', message: 'unknown setting' },
+      { key: 'routing', message: 'unknown setting' },
+      { key: 'server.port', message: 'must be at least 1, got 0' },
+    ]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+// The server runs in a child process with a home directory of its own
+const home = mkdtempSync(join(tmpdir(), 'qwen-proxy-server-'));
+const serverPath = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+process.env.HOME = home;
+const { createAdminToken } = await import('../src/auth/admin.js');
+const admin = { Authorization: `Bearer ${createAdminToken()}` };
+
+let child;
+let baseUrl;
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  const port = await findFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  child = spawn(process.execPath, [serverPath], {
+    env: { ...process.env, HOME: home, PORT: String(port), HOST: '127.0.0.1' },
+    stdio: 'ignore',
+  });
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await sleep(100);
+  }
+  throw new Error('The server did not start');
+});
+
+after(async () => {
+  if (child && child.exitCode === null) {
+    child.kill();
+    await once(child, 'exit');
+  }
+  rmSync(home, { recursive: true, force: true });
+});
+
+describe('GET /usage', () => {
+  it('needs the admin token', async () => {
+    const response = await fetch(`${baseUrl}/usage`);
+    assert.equal(response.status, 401);
+    assert.match((await response.json()).error, /admin token/);
+  });
+
+  it('rejects a days value that is not a whole number from 1 to 90', async () => {
+    for (const days of ['abc', '0', '1e9', '91', '-1', '']) {
+      const response = await fetch(`${baseUrl}/usage?days=${days}`, { headers: admin });
+      assert.equal(response.status, 400, `days=${days}`);
+      assert.deepEqual(await response.json(), { error: 'days must be a whole number from 1 to 90' });
+    }
+  });
+
+  it('reports on the last `days` days', async () => {
+    const response = await fetch(`${baseUrl}/usage?days=7`, { headers: admin });
+    assert.equal(response.status, 200);
+
+    const usage = await response.json();
+    const day = offset => new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    assert.equal(usage.from, day(6));
+    assert.equal(usage.to, day(0));
+  });
+});
+
+describe('GET /metrics', () => {
+  // Requests are counted once their response closes
+  async function waitForMetrics(pattern) {
+    let text = '';
+    for (let attempt = 0; attempt < 20; attempt++) {
+      text = await (await fetch(`${baseUrl}/metrics`, { headers: admin })).text();
+      if (pattern.test(text)) break;
+      await sleep(50);
+    }
+    return text;
+  }
+
+  it('needs the admin token', async () => {
+    assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer qpa-wrong' } })).status, 401);
+    assert.equal((await fetch(`${baseUrl}/metrics`, { headers: admin })).status, 200);
+  });
+
+  it('counts requests for unknown models as "other"', async () => {
+    for (const model of ['made-up-model', 'qwen3-coder-plus']) {
+      const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, messages: [{ role: 'user', content: 'hi' }] }),
+      });
+      await response.text();
+    }
+
+    const text = await waitForMetrics(/qwen_proxy_requests_total\{[^}]*model="other"/);
+    assert.match(text, /qwen_proxy_requests_total\{[^}]*model="other"/);
+    assert.match(text, /qwen_proxy_requests_total\{[^}]*model="qwen3-coder-plus"/);
+    assert.doesNotMatch(text, /made-up-model/);
+  });
+});
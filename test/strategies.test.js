@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  getAccountWeight,
+} from '../src/accounts/strategies.js';
+
+const noneInFlight = { defaultAccountId: null, getInFlight: () => 0 };
+
+function pickMany(name, accounts, count, context = noneInFlight) {
+  const select = getStrategy(name);
+  return Array.from({ length: count }, () => select(accounts, context).id);
+}
+
+describe('strategy registry', () => {
+  it('lists the built-in strategies', () => {
+    for (const name of ['default', 'round-robin', 'least-used', 'weighted', 'random', 'least-in-flight']) {
+      assert.ok(listStrategies().includes(name), name);
+    }
+  });
+
+  it('returns null for an unknown strategy', () => {
+    assert.equal(getStrategy('nope'), null);
+  });
+
+  it('registers a custom strategy', () => {
+    registerStrategy('test-last', accounts => accounts[accounts.length - 1]);
+    assert.equal(getStrategy('test-last')([{ id: 'a' }, { id: 'b' }]).id, 'b');
+  });
+
+  it('rejects a strategy that is not a function', () => {
+    assert.throws(() => registerStrategy('broken', 'nope'), TypeError);
+  });
+});
+
+describe('getAccountWeight', () => {
+  it('defaults to 1', () => {
+    assert.equal(getAccountWeight({}), 1);
+  });
+
+  it('accepts zero and numeric strings', () => {
+    assert.equal(getAccountWeight({ weight: 0 }), 0);
+    assert.equal(getAccountWeight({ weight: '3' }), 3);
+  });
+
+  it('falls back to 1 for negative or invalid weights', () => {
+    assert.equal(getAccountWeight({ weight: -2 }), 1);
+    assert.equal(getAccountWeight({ weight: 'heavy' }), 1);
+  });
+});
+
+describe('default', () => {
+  it('picks the default account when available', () => {
+    const accounts = [{ id: 'a' }, { id: 'b' }];
+    assert.equal(getStrategy('default')(accounts, { ...noneInFlight, defaultAccountId: 'b' }).id, 'b');
+  });
+
+  it('falls back to the first account', () => {
+    const accounts = [{ id: 'a' }, { id: 'b' }];
+    assert.equal(getStrategy('default')(accounts, { ...noneInFlight, defaultAccountId: 'gone' }).id, 'a');
+  });
+});
+
+describe('round-robin', () => {
+  it('visits every account once per cycle', () => {
+    const accounts = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    const picks = pickMany('round-robin', accounts, 6);
+    assert.deepEqual(new Set(picks.slice(0, 3)), new Set(['a', 'b', 'c']));
+    assert.deepEqual(picks.slice(3), picks.slice(0, 3));
+  });
+});
+
+describe('least-used', () => {
+  it('prefers the fewest requests, then the least recently used', () => {
+    const accounts = [
+      { id: 'busy', requestCount: 5, lastUsed: 1 },
+      { id: 'recent', requestCount: 1, lastUsed: 200 },
+      { id: 'idle', requestCount: 1, lastUsed: 100 },
+    ];
+    assert.equal(getStrategy('least-used')(accounts, noneInFlight).id, 'idle');
+  });
+
+  it('keeps list order on ties', () => {
+    const accounts = [{ id: 'a' }, { id: 'b' }];
+    assert.equal(getStrategy('least-used')(accounts, noneInFlight).id, 'a');
+  });
+});
+
+describe('weighted', () => {
+  it('spreads picks in proportion to weight, interleaved', () => {
+    const accounts = [{ id: 'w-heavy', weight: 2 }, { id: 'w-light', weight: 1 }];
+    assert.deepEqual(pickMany('weighted', accounts, 6), ['w-heavy', 'w-light', 'w-heavy', 'w-heavy', 'w-light', 'w-heavy']);
+  });
+
+  it('never picks a zero-weight account while others have weight', () => {
+    const accounts = [{ id: 'z-off', weight: 0 }, { id: 'z-on', weight: 1 }];
+    assert.ok(pickMany('weighted', accounts, 5).every(id => id === 'z-on'));
+  });
+});
+
+describe('random', () => {
+  it('only picks from the given accounts', () => {
+    const accounts = [{ id: 'a' }, { id: 'b' }];
+    assert.ok(pickMany('random', accounts, 20).every(id => id === 'a' || id === 'b'));
+  });
+});
+
+describe('least-in-flight', () => {
+  it('prefers the fewest requests in flight, then the fewest requests', () => {
+    const inFlight = { a: 2, b: 0, c: 0 };
+    const accounts = [
+      { id: 'a', requestCount: 0 },
+      { id: 'b', requestCount: 9 },
+      { id: 'c', requestCount: 3 },
+    ];
+    const context = { defaultAccountId: null, getInFlight: id => inFlight[id] };
+    assert.equal(getStrategy('least-in-flight')(accounts, context).id, 'c');
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDayCount, isDayKey, toDayKey, RETENTION_DAYS } from '../src/usage/store.js';
+
+describe('parseDayCount', () => {
+  it('accepts whole numbers from 1 to the retention period', () => {
+    assert.equal(parseDayCount('1'), 1);
+    assert.equal(parseDayCount('30'), 30);
+    assert.equal(parseDayCount(7), 7);
+    assert.equal(parseDayCount(String(RETENTION_DAYS)), RETENTION_DAYS);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['abc', '0', '1e9', '1000000000', String(RETENTION_DAYS + 1), '-1', '2.5', '', ' 7', null]) {
+      assert.equal(parseDayCount(value), null, String(value));
+    }
+  });
+});
+
+describe('day keys', () => {
+  it('formats UTC days', () => {
+    assert.equal(toDayKey(Date.UTC(2026, 0, 31, 23, 59)), '2026-01-31');
+  });
+
+  it('accepts only real YYYY-MM-DD dates', () => {
+    assert.equal(isDayKey('2026-02-28'), true);
+    assert.equal(isDayKey('2026-13-01'), false);
+    assert.equal(isDayKey('2026-1-1'), false);
+    assert.equal(isDayKey(20260101), false);
+  });
+});